@@ -1,15 +1,36 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route, useNavigate, useLocation } from 'react-router-dom';
 import './App.css';
 import Camera from './camera';
 import VirtualCube from './components/VirtualCube';
 import CubePage from './components/CubePage';
+import ManualEntry from './components/ManualEntry';
+import EmbedPlayer from './components/EmbedPlayer';
+import CubeLibrary from './components/CubeLibrary';
+import CubeDataRecovery from './components/CubeDataRecovery';
+import { createSolvedCube, cubeToCubeData } from './cube/cubeCore';
+import {
+  LEGACY_RECOVERY_ID,
+  createLibraryEntry,
+  deleteCube,
+  discardLegacyCube,
+  duplicateLibraryEntry,
+  openLibrary,
+  putCube,
+  setActiveCubeId,
+  updateLibraryEntry
+} from './cube/cubeLibrary';
+import { migrateCubeData, updateCubeData } from './cube/cubeSchema';
 
-// Main App Component with Router
+// Main App Component with Router. The embeddable player runs inside other
+// pages, so it is routed apart from the app and never opens the library.
 function App() {
   return (
     <Router>
-      <AppContent />
+      <Routes>
+        <Route path="/embed" element={<EmbedPlayer />} />
+        <Route path="*" element={<AppContent />} />
+      </Routes>
     </Router>
   );
 }
@@ -22,33 +43,148 @@ function AppContent() {
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Load cube data from localStorage on component mount
+  // Saved-cubes library. capturedCubeData is the cube of the open entry;
+  // the refs let callbacks from the cube views see the latest entries.
+  // Entries whose data is corrupt or needed repairs wait in recoveries until
+  // the user decides what to do with them.
+  const [library, setLibrary] = useState([]);
+  const [libraryLoaded, setLibraryLoaded] = useState(false);
+  const [activeCubeId, setActiveCubeIdState] = useState(null);
+  const [recoveries, setRecoveries] = useState([]);
+  const libraryRef = useRef([]);
+  const activeCubeIdRef = useRef(null);
+  const recoveriesRef = useRef([]);
+
+  const updateLibrary = (entries) => {
+    libraryRef.current = entries;
+    setLibrary(entries);
+  };
+
+  const updateRecoveries = (items) => {
+    recoveriesRef.current = items;
+    setRecoveries(items);
+  };
+
+  // An entry waiting for recovery is opened without its cube
+  const openEntry = (entry) => {
+    activeCubeIdRef.current = entry ? entry.id : null;
+    setActiveCubeIdState(activeCubeIdRef.current);
+    setActiveCubeId(activeCubeIdRef.current);
+    const needsRecovery = entry && recoveriesRef.current.some(item => item.id === entry.id);
+    setCapturedCubeData(entry && !needsRecovery ? entry.cubeData : null);
+  };
+
+  // Open the library on mount; the old single saved cube is moved into it
   useEffect(() => {
-    const savedCubeData = localStorage.getItem('capturedCubeData');
-    if (savedCubeData) {
-      try {
-        const parsedData = JSON.parse(savedCubeData);
-        setCapturedCubeData(parsedData);
-        console.log('📦 Loaded cube data from localStorage:', parsedData);
-      } catch (error) {
-        console.error('❌ Error loading cube data from localStorage:', error);
-      }
-    }
+    let cancelled = false;
+    openLibrary().then(({ entries, active, recoveries: found }) => {
+      if (cancelled) return;
+      updateLibrary(entries);
+      updateRecoveries(found);
+      if (found.length > 0) console.warn('⚠️ Saved cubes that need attention:', found);
+      if (active) openEntry(active);
+      setLibraryLoaded(true);
+      console.log(`📚 Cube library loaded: ${entries.length} saved cube${entries.length === 1 ? '' : 's'}`);
+    });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Save cube data to localStorage whenever it changes
-  useEffect(() => {
-    if (capturedCubeData) {
-      localStorage.setItem('capturedCubeData', JSON.stringify(capturedCubeData));
-      console.log('💾 Saved cube data to localStorage:', capturedCubeData);
+  // Store a new cube in the library and open it. options: { source, scramble, name }
+  const saveNewCube = (cubeData, options = {}) => {
+    const { status, cubeData: versioned, errors } = migrateCubeData(cubeData, { source: options.source, capturedAt: new Date() });
+    if (status === 'corrupt') {
+      console.error('❌ Cube data could not be saved:', errors);
+      return null;
+    }
+    const entry = createLibraryEntry(versioned, options);
+    updateLibrary([entry, ...libraryRef.current]);
+    openEntry(entry);
+    putCube(entry);
+    console.log(`💾 Saved "${entry.name}" to the library`);
+    return entry;
+  };
+
+  // Edits to the open cube update its entry, keeping the capture metadata
+  // and schema version in both the entry and the open cube
+  const handleCubeChange = (cubeData) => {
+    const entry = libraryRef.current.find(item => item.id === activeCubeIdRef.current);
+    if (!entry) {
+      setCapturedCubeData(cubeData);
+      return;
     }
-  }, [capturedCubeData]);
+    const versioned = updateCubeData(entry.cubeData, cubeData);
+    setCapturedCubeData(versioned);
+    const updated = updateLibraryEntry(entry, { cubeData: versioned });
+    updateLibrary(libraryRef.current.map(item => (item.id === updated.id ? updated : item)));
+    putCube(updated);
+  };
 
-  const handleCubeCaptured = (cubeData) => {
-    setCapturedCubeData(cubeData);
+  // Camera captures and manually entered cubes both land here
+  const handleCubeCaptured = (cubeData, { source = 'camera', scramble = [] } = {}) => {
+    saveNewCube(cubeData, { source, scramble });
     setActiveTab('cube');
   };
 
+  const handleOpenCube = (entry) => {
+    openEntry(entry);
+    setActiveTab('cube');
+  };
+
+  const handleUpdateCube = (entry, changes) => {
+    const updated = updateLibraryEntry(entry, changes);
+    updateLibrary(libraryRef.current.map(item => (item.id === updated.id ? updated : item)));
+    putCube(updated);
+    return updated;
+  };
+
+  const handleDuplicateCube = (entry) => {
+    const copy = duplicateLibraryEntry(entry);
+    updateLibrary([copy, ...libraryRef.current]);
+    putCube(copy);
+  };
+
+  // Deleting the open cube opens the next most recent one
+  const handleDeleteCube = (entry) => {
+    const remaining = libraryRef.current.filter(item => item.id !== entry.id);
+    updateLibrary(remaining);
+    deleteCube(entry.id);
+    if (entry.id === activeCubeIdRef.current) openEntry(remaining[0] || null);
+    console.log(`🗑️ Deleted "${entry.name}" from the library`);
+  };
+
+  const removeRecovery = (id) => updateRecoveries(recoveriesRef.current.filter(item => item.id !== id));
+
+  // Recovery prompt: keep the migrated cube, enter it again or discard it
+  const handleRecoveryRepair = (recovery) => {
+    removeRecovery(recovery.id);
+    const entry = libraryRef.current.find(item => item.id === recovery.id);
+    if (entry) openEntry(handleUpdateCube(entry, { cubeData: recovery.result.cubeData }));
+  };
+
+  const handleRecoveryReenter = () => {
+    setActiveTab('manual');
+    if (location.pathname !== '/') navigate('/');
+  };
+
+  const handleRecoveryDiscard = (recovery) => {
+    removeRecovery(recovery.id);
+    if (recovery.id === LEGACY_RECOVERY_ID) {
+      discardLegacyCube();
+      return;
+    }
+    const entry = libraryRef.current.find(item => item.id === recovery.id);
+    if (entry) handleDeleteCube(entry);
+  };
+
+  const activeRecovery = recoveries.find(item => item.id === (activeCubeId || LEGACY_RECOVERY_ID)) || null;
+  const recoveryHandlers = {
+    onRepair: handleRecoveryRepair,
+    onReenter: handleRecoveryReenter,
+    onDiscard: handleRecoveryDiscard
+  };
+
   const handleStartCubePage = () => {
     console.log('🚀 Start button clicked! Navigating to /cube');
     navigate('/cube');
@@ -70,6 +206,12 @@ function AppContent() {
         element={
           <CubePage 
             cubeData={capturedCubeData} 
+            cubeId={activeCubeId}
+            loading={!libraryLoaded}
+            recovery={activeRecovery}
+            recoveryHandlers={recoveryHandlers}
+            onCubeChange={handleCubeChange}
+            onSaveNewCube={saveNewCube}
             onBack={handleBackFromCubePage}
           />
         } 
@@ -93,10 +235,21 @@ function AppContent() {
                 >
                   📷 Camera Capture
                 </button>
+                <button 
+                  className={`nav-button ${activeTab === 'manual' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('manual')}
+                >
+                  ✏️ Manual Entry
+                </button>
+                <button 
+                  className={`nav-button ${activeTab === 'library' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('library')}
+                >
+                  📚 Library{library.length > 0 ? ` (${library.length})` : ''}
+                </button>
                 <button 
                   className={`nav-button ${activeTab === 'cube' ? 'active' : ''}`}
                   onClick={() => setActiveTab('cube')}
-                  disabled={!capturedCubeData}
                 >
                   🎲 Virtual Cube
                 </button>
@@ -126,25 +279,57 @@ function AppContent() {
                   captureProgress={captureProgress}
                   setCaptureProgress={setCaptureProgress}
                 />
+              ) : activeTab === 'manual' ? (
+                <ManualEntry
+                  onCubeReady={handleCubeCaptured}
+                  onCancel={capturedCubeData ? () => setActiveTab('cube') : null}
+                />
+              ) : activeTab === 'library' ? (
+                <CubeLibrary
+                  entries={library}
+                  activeId={activeCubeId}
+                  recoveryIds={recoveries.map(item => item.id)}
+                  onOpen={handleOpenCube}
+                  onUpdate={handleUpdateCube}
+                  onDuplicate={handleDuplicateCube}
+                  onDelete={handleDeleteCube}
+                />
               ) : (
                 <div className="virtual-cube-section">
-                  {!capturedCubeData ? (
+                  {!capturedCubeData && activeRecovery ? (
+                    <CubeDataRecovery recovery={activeRecovery} {...recoveryHandlers} />
+                  ) : !capturedCubeData ? (
                     <div className="no-cube-message">
                       <h2>No Cube Captured Yet</h2>
-                      <p>Start by capturing your physical Rubik's Cube using the camera.</p>
-                      <button 
-                        className="start-capture-button"
-                        onClick={() => setActiveTab('camera')}
-                      >
-                        📷 Start Capture
-                      </button>
+                      <p>Capture your physical Rubik's Cube with the camera, or enter it by hand.</p>
+                      <div className="no-cube-actions">
+                        <button 
+                          className="start-capture-button"
+                          onClick={() => setActiveTab('camera')}
+                        >
+                          📷 Start Capture
+                        </button>
+                        <button 
+                          className="start-capture-button"
+                          onClick={() => setActiveTab('manual')}
+                        >
+                          ✏️ Enter Manually
+                        </button>
+                        <button 
+                          className="start-capture-button"
+                          onClick={() => handleCubeCaptured(cubeToCubeData(createSolvedCube()), { source: 'manual' })}
+                        >
+                          🟩 Start From Solved
+                        </button>
+                      </div>
                     </div>
                   ) : (
                     <>
 
                       <VirtualCube 
                         cubeData={capturedCubeData} 
-                        onColorChange={(updatedCubeData) => setCapturedCubeData(updatedCubeData)}
+                        historyKey={activeCubeId || undefined}
+                        onColorChange={handleCubeChange}
                       />
                       <div className="start-button-container">
                         {console.log('🎨 Rendering start button container')}
@@ -0,0 +1,134 @@
+// src/animationQueue.js
+// Move queue for the 3D cube, driven by the render loop.
+//
+// Moves are animated one at a time: the renderer calls tick(ms) every frame
+// and reads the current layer angle with getAngle(). When a move finishes it
+// is applied through onApply before the next one starts, so the sticker state
+// always follows the queued moves in order. Each enqueue returns a promise
+// that resolves with { move, applied, skipped } once the move is applied
+// (applied: false if it was cancelled before it started).
+//
+//   const queue = createMoveQueue({ onApply, onCurrentChange });
+//   await queue.enqueue("R'");
+//   queue.setSpeed(2);   // also speeds up the move already turning
+//   queue.flush();       // apply everything left without animating
+//   queue.cancel();      // drop moves that have not been applied yet
+
+import { parseMove } from './animations';
+
+export const BASE_MOVE_DURATION = 800; // ms per move at speed 1
+
+// Ease in and out, matching the previous per-move animation
+function ease(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+export function createMoveQueue({ onApply = null, onCurrentChange = null, onQueueChange = null } = {}) {
+  const pending = [];
+  let current = null;
+  let speed = 1;
+
+  const notifyQueue = () => {
+    if (onQueueChange) onQueueChange(pending.map(entry => entry.move));
+  };
+
+  // Angles of an entry: moves made by dragging continue from the dragged
+  // angle, and a half turn keeps going the way it was dragged
+  const prepare = (entry) => {
+    const startAngle = entry.startAngle || 0;
+    let targetAngle = entry.parsed.angle;
+    if (startAngle !== 0 && Math.abs(targetAngle) === Math.PI && Math.sign(startAngle) !== Math.sign(targetAngle)) {
+      targetAngle = -targetAngle;
+    }
+    const remaining = Math.min(1, Math.abs(targetAngle - startAngle) / Math.abs(targetAngle));
+    return { ...entry, startAngle, targetAngle, remaining, progress: 0 };
+  };
+
+  const startNext = () => {
+    current = pending.length > 0 ? prepare(pending.shift()) : null;
+    notifyQueue();
+    if (onCurrentChange) onCurrentChange(current);
+  };
+
+  const apply = (entry, skipped) => {
+    if (onApply) onApply(entry);
+    entry.resolve({ move: entry.move, applied: true, skipped });
+  };
+
+  return {
+    // Queue a move; options: { change, startAngle, speedFactor } where change
+    // is passed through to onApply and speedFactor speeds up this move only
+    enqueue(move, options = {}) {
+      let parsed;
+      try {
+        parsed = parseMove(move);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      return new Promise(resolve => {
+        pending.push({ move, parsed, resolve, ...options });
+        if (!current) {
+          startNext();
+        } else {
+          notifyQueue();
+        }
+      });
+    },
+
+    // Advance the current move by ms of render time
+    tick(ms) {
+      if (!current) return;
+      const duration = Math.max(100, (BASE_MOVE_DURATION * current.remaining) / (speed * (current.speedFactor || 1)));
+      current.progress = Math.min(1, current.progress + ms / duration);
+      if (current.progress >= 1) {
+        const finished = current;
+        current = null;
+        apply(finished, false);
+        startNext();
+      }
+    },
+
+    // Angle of the turning layer around the current move's axis
+    getAngle() {
+      if (!current) return 0;
+      const { startAngle, targetAngle, progress } = current;
+      return startAngle + (targetAngle - startAngle) * ease(progress);
+    },
+
+    getCurrent() {
+      return current;
+    },
+
+    getPending() {
+      return pending.map(entry => entry.move);
+    },
+
+    isBusy() {
+      return current !== null;
+    },
+
+    setSpeed(value) {
+      if (value > 0) speed = value;
+    },
+
+    // Apply the current and all pending moves immediately
+    flush() {
+      const entries = current ? [current, ...pending] : [...pending];
+      current = null;
+      pending.length = 0;
+      entries.forEach(entry => apply(entry, true));
+      notifyQueue();
+      if (onCurrentChange) onCurrentChange(null);
+    },
+
+    // Drop every move that has not been applied; the turning layer snaps back
+    cancel() {
+      const entries = current ? [current, ...pending] : [...pending];
+      current = null;
+      pending.length = 0;
+      entries.forEach(entry => entry.resolve({ move: entry.move, applied: false, skipped: true }));
+      notifyQueue();
+      if (onCurrentChange) onCurrentChange(null);
+    }
+  };
+}
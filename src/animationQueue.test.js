@@ -0,0 +1,52 @@
+import { BASE_MOVE_DURATION, createMoveQueue } from './animationQueue';
+
+const createRecordingQueue = () => {
+  const applied = [];
+  const queue = createMoveQueue({ onApply: entry => applied.push(entry.move) });
+  return { queue, applied };
+};
+
+test('moves are applied in order as the render loop ticks', async () => {
+  const { queue, applied } = createRecordingQueue();
+  const results = ['R', "U'", 'F2'].map(move => queue.enqueue(move));
+  expect(queue.getPending()).toEqual(["U'", 'F2']);
+
+  queue.tick(BASE_MOVE_DURATION / 2);
+  expect(applied).toEqual([]);
+  expect(queue.getAngle()).toBeCloseTo(-Math.PI / 4);
+
+  for (let frame = 0; frame < 10; frame++) queue.tick(BASE_MOVE_DURATION / 2);
+  expect(applied).toEqual(['R', "U'", 'F2']);
+  expect(queue.isBusy()).toBe(false);
+  expect(await Promise.all(results)).toEqual([
+    { move: 'R', applied: true, skipped: false },
+    { move: "U'", applied: true, skipped: false },
+    { move: 'F2', applied: true, skipped: false }
+  ]);
+});
+
+test('speed changes apply to the move already turning', () => {
+  const { queue, applied } = createRecordingQueue();
+  queue.enqueue('R');
+  queue.tick(BASE_MOVE_DURATION / 4);
+  queue.setSpeed(4);
+  queue.tick(BASE_MOVE_DURATION / 4);
+  expect(applied).toEqual(['R']);
+});
+
+test('flush lands every move, cancel drops the ones not applied', async () => {
+  const { queue, applied } = createRecordingQueue();
+  const flushed = ['R', 'U'].map(move => queue.enqueue(move));
+  queue.tick(BASE_MOVE_DURATION / 2);
+  queue.flush();
+  expect(applied).toEqual(['R', 'U']);
+  expect((await Promise.all(flushed)).map(result => result.skipped)).toEqual([true, true]);
+
+  const cancelled = ['F', 'D'].map(move => queue.enqueue(move));
+  queue.tick(BASE_MOVE_DURATION / 2);
+  queue.cancel();
+  queue.tick(BASE_MOVE_DURATION);
+  expect(applied).toEqual(['R', 'U']);
+  expect((await Promise.all(cancelled)).map(result => result.applied)).toEqual([false, false]);
+  await expect(queue.enqueue('Q')).rejects.toThrow();
+});
@@ -2,6 +2,14 @@
 // Animation system for Rubik's Cube face rotations
 
 import * as THREE from 'three';
+import {
+  FACE_ORDER,
+  FACE_NAMES,
+  FACELET_GEOMETRY,
+  faceletIndexAt,
+  rotateVector
+} from './cube/cubeCore';
+import { toMoveList } from './cube/notation';
 
 // Face constants
 export const Faces = Object.freeze({
@@ -53,21 +61,40 @@ export function initAnimations(callbacks = {}) {
   console.log('🎬 Animation system initialized');
 }
 
-// Get rotation axis for each face
-function getRotationAxis(face) {
-  const axes = {
-    [Faces.RIGHT]: new THREE.Vector3(1, 0, 0),   // X-axis
-    [Faces.LEFT]: new THREE.Vector3(-1, 0, 0),   // Negative X-axis
-    [Faces.UP]: new THREE.Vector3(0, 1, 0),      // Y-axis
-    [Faces.DOWN]: new THREE.Vector3(0, -1, 0),   // Negative Y-axis
-    [Faces.FRONT]: new THREE.Vector3(0, 0, 1),   // Z-axis
-    [Faces.BACK]: new THREE.Vector3(0, 0, -1),   // Negative Z-axis
-  };
-  return axes[face];
+// Layer moves: axis, layers turned (coordinate along the axis) and the turn
+// direction. Direction 1 turns like R, U and F (clockwise seen from +x, +y, +z).
+const MOVE_DEFINITIONS = {
+  R: { axis: 'x', layers: [1], direction: 1 },
+  L: { axis: 'x', layers: [-1], direction: -1 },
+  U: { axis: 'y', layers: [1], direction: 1 },
+  D: { axis: 'y', layers: [-1], direction: -1 },
+  F: { axis: 'z', layers: [1], direction: 1 },
+  B: { axis: 'z', layers: [-1], direction: -1 },
+  M: { axis: 'x', layers: [0], direction: -1 }, // follows L
+  E: { axis: 'y', layers: [0], direction: -1 }, // follows D
+  S: { axis: 'z', layers: [0], direction: 1 },  // follows F
+  x: { axis: 'x', layers: [-1, 0, 1], direction: 1 },
+  y: { axis: 'y', layers: [-1, 0, 1], direction: 1 },
+  z: { axis: 'z', layers: [-1, 0, 1], direction: 1 }
+};
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+// Face turns, wide turns (Rw or r), slices (M E S) and rotations (x y z),
+// each followed by an optional amount and prime: R, R', R2, R2', Rw, r'...
+const MOVE_PATTERN = /^([URFDLBMESxyz]|[URFDLB]w|[urfdlb])(\d*)('?)$/;
+
+// Get rotation axis for a move (positive axis; the sign is in the angle)
+function getRotationAxis(move) {
+  const { axis } = parseMove(move);
+  const vector = [0, 0, 0];
+  vector[AXIS_INDEX[axis]] = 1;
+  return new THREE.Vector3(...vector);
 }
 
-// Get affected cube positions for each face
-function getAffectedCubes(face) {
+// Get affected cube positions for a move
+function getAffectedCubes(move) {
+  const { axis, layers } = parseMove(move);
   const positions = [];
   
   // Generate all 27 cube positions
@@ -79,23 +106,7 @@ function getAffectedCubes(face) {
     }
   }
   
-  // Filter positions based on face
-  switch (face) {
-    case Faces.RIGHT:
-      return positions.filter(([x]) => x === 1);
-    case Faces.LEFT:
-      return positions.filter(([x]) => x === -1);
-    case Faces.UP:
-      return positions.filter(([, y]) => y === 1);
-    case Faces.DOWN:
-      return positions.filter(([, y]) => y === -1);
-    case Faces.FRONT:
-      return positions.filter(([, , z]) => z === 1);
-    case Faces.BACK:
-      return positions.filter(([, , z]) => z === -1);
-    default:
-      return [];
-  }
+  return positions.filter(position => layers.includes(position[AXIS_INDEX[axis]]));
 }
 
 // Easing function for smooth animation
@@ -103,457 +114,129 @@ function easeInOutCubic(t) {
   return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
 
-// Parse move notation (e.g., "R", "R'", "R2")
-function parseMove(move) {
-  const face = move.charAt(0);
-  const modifier = move.substring(1);
-  
-  let clockwise = true;
-  let angle = Math.PI / 2; // 90 degrees
-  
-  if (modifier === "'") {
-    clockwise = false;
-    angle = -Math.PI / 2;
-  } else if (modifier === "2") {
-    clockwise = true;
-    angle = Math.PI; // 180 degrees
+// Parse move notation (e.g. "R", "R'", "R2", "M", "Rw", "r", "x'").
+// quarterTurns is signed in the R/U/F direction of the axis (2 and -2 are
+// both half turns, turning different ways when animated); angle is the
+// matching right-handed rotation about the positive axis, in radians.
+export function parseMove(move) {
+  const match = MOVE_PATTERN.exec(String(move).trim());
+  if (!match) {
+    throw new Error(`Unsupported move: ${move}`);
   }
-  
-  return { face, clockwise, angle };
-}
 
-// Apply a move to the cube state (actual cube transformation)
-export function applyMoveToCubeState(cubeState, move) {
-  const { face, clockwise, angle } = parseMove(move);
-  const newState = JSON.parse(JSON.stringify(cubeState));
-  
-  console.log(`🔄 Applying move: ${move} (${clockwise ? 'clockwise' : 'counter-clockwise'})`);
-  
-  // Apply the move transformation based on face
-  switch (face) {
-    case 'F': // Front face
-      rotateFrontFace(newState, clockwise);
-      break;
-    case 'B': // Back face
-      rotateBackFace(newState, clockwise);
-      break;
-    case 'R': // Right face
-      rotateRightFace(newState, clockwise);
-      break;
-    case 'L': // Left face
-      rotateLeftFace(newState, clockwise);
-      break;
-    case 'U': // Up face
-      rotateUpFace(newState, clockwise);
-      break;
-    case 'D': // Down face
-      rotateDownFace(newState, clockwise);
-      break;
-  }
-  
-  return newState;
-}
+  const [, token, amountText, prime] = match;
+  const isWide = token.length === 2 || /^[urfdlb]$/.test(token);
+  const face = isWide ? token.charAt(0).toUpperCase() : token;
+  const definition = MOVE_DEFINITIONS[face];
+  const layers = isWide ? [...definition.layers, 0] : definition.layers;
 
-// Rotate front face (Z = 1)
-function rotateFrontFace(cubeState, clockwise) {
-  // Rotate the front face itself
-  const frontFace = cubeState.front.colors;
-  const rotated = rotate2DArray(frontFace, clockwise);
-  cubeState.front.colors = rotated;
-  
-  // Rotate the adjacent edges
-  if (clockwise) {
-    // Save top edge
-    const topEdge = [
-      cubeState.up.colors[2][0],
-      cubeState.up.colors[2][1],
-      cubeState.up.colors[2][2]
-    ];
-    
-    // Move left edge to top
-    cubeState.up.colors[2][0] = cubeState.left.colors[0][2];
-    cubeState.up.colors[2][1] = cubeState.left.colors[1][2];
-    cubeState.up.colors[2][2] = cubeState.left.colors[2][2];
-    
-    // Move bottom edge to left
-    cubeState.left.colors[0][2] = cubeState.down.colors[0][2];
-    cubeState.left.colors[1][2] = cubeState.down.colors[0][1];
-    cubeState.left.colors[2][2] = cubeState.down.colors[0][0];
-    
-    // Move right edge to bottom
-    cubeState.down.colors[0][0] = cubeState.right.colors[2][0];
-    cubeState.down.colors[0][1] = cubeState.right.colors[1][0];
-    cubeState.down.colors[0][2] = cubeState.right.colors[0][0];
-    
-    // Move top edge to right
-    cubeState.right.colors[0][0] = topEdge[0];
-    cubeState.right.colors[1][0] = topEdge[1];
-    cubeState.right.colors[2][0] = topEdge[2];
-  } else {
-    // Counter-clockwise rotation
-    const topEdge = [
-      cubeState.up.colors[2][0],
-      cubeState.up.colors[2][1],
-      cubeState.up.colors[2][2]
-    ];
-    
-    // Move right edge to top
-    cubeState.up.colors[2][0] = cubeState.right.colors[0][0];
-    cubeState.up.colors[2][1] = cubeState.right.colors[1][0];
-    cubeState.up.colors[2][2] = cubeState.right.colors[2][0];
-    
-    // Move bottom edge to right
-    cubeState.right.colors[0][0] = cubeState.down.colors[0][2];
-    cubeState.right.colors[1][0] = cubeState.down.colors[0][1];
-    cubeState.right.colors[2][0] = cubeState.down.colors[0][0];
-    
-    // Move left edge to bottom
-    cubeState.down.colors[0][0] = cubeState.left.colors[2][2];
-    cubeState.down.colors[0][1] = cubeState.left.colors[1][2];
-    cubeState.down.colors[0][2] = cubeState.left.colors[0][2];
-    
-    // Move top edge to left
-    cubeState.left.colors[0][2] = topEdge[0];
-    cubeState.left.colors[1][2] = topEdge[1];
-    cubeState.left.colors[2][2] = topEdge[2];
-  }
-}
+  const amount = amountText === '' ? 1 : parseInt(amountText, 10) % 4;
+  let quarterTurns = (prime ? -amount : amount) * definition.direction;
+  if (quarterTurns === 3 || quarterTurns === -3) quarterTurns = -Math.sign(quarterTurns);
 
-// Rotate back face (Z = -1)
-function rotateBackFace(cubeState, clockwise) {
-  // Rotate the back face itself
-  const backFace = cubeState.back.colors;
-  const rotated = rotate2DArray(backFace, clockwise);
-  cubeState.back.colors = rotated;
-  
-  // Rotate the adjacent edges (opposite direction from front)
-  if (clockwise) {
-    const topEdge = [
-      cubeState.up.colors[0][0],
-      cubeState.up.colors[0][1],
-      cubeState.up.colors[0][2]
-    ];
-    
-    // Move right edge to top
-    cubeState.up.colors[0][0] = cubeState.right.colors[0][2];
-    cubeState.up.colors[0][1] = cubeState.right.colors[1][2];
-    cubeState.up.colors[0][2] = cubeState.right.colors[2][2];
-    
-    // Move bottom edge to right
-    cubeState.right.colors[0][2] = cubeState.down.colors[2][2];
-    cubeState.right.colors[1][2] = cubeState.down.colors[2][1];
-    cubeState.right.colors[2][2] = cubeState.down.colors[2][0];
-    
-    // Move left edge to bottom
-    cubeState.down.colors[2][0] = cubeState.left.colors[2][0];
-    cubeState.down.colors[2][1] = cubeState.left.colors[1][0];
-    cubeState.down.colors[2][2] = cubeState.left.colors[0][0];
-    
-    // Move top edge to left
-    cubeState.left.colors[0][0] = topEdge[2];
-    cubeState.left.colors[1][0] = topEdge[1];
-    cubeState.left.colors[2][0] = topEdge[0];
-  } else {
-    const topEdge = [
-      cubeState.up.colors[0][0],
-      cubeState.up.colors[0][1],
-      cubeState.up.colors[0][2]
-    ];
-    
-    // Move left edge to top
-    cubeState.up.colors[0][0] = cubeState.left.colors[2][0];
-    cubeState.up.colors[0][1] = cubeState.left.colors[1][0];
-    cubeState.up.colors[0][2] = cubeState.left.colors[0][0];
-    
-    // Move bottom edge to left
-    cubeState.left.colors[0][0] = cubeState.down.colors[2][0];
-    cubeState.left.colors[1][0] = cubeState.down.colors[2][1];
-    cubeState.left.colors[2][0] = cubeState.down.colors[2][2];
-    
-    // Move right edge to bottom
-    cubeState.down.colors[2][0] = cubeState.right.colors[2][2];
-    cubeState.down.colors[2][1] = cubeState.right.colors[1][2];
-    cubeState.down.colors[2][2] = cubeState.right.colors[0][2];
-    
-    // Move top edge to right
-    cubeState.right.colors[0][2] = topEdge[0];
-    cubeState.right.colors[1][2] = topEdge[1];
-    cubeState.right.colors[2][2] = topEdge[2];
-  }
+  return {
+    notation: move,
+    face,
+    isWide,
+    axis: definition.axis,
+    layers,
+    quarterTurns,
+    clockwise: !prime,
+    angle: -quarterTurns * Math.PI / 2
+  };
 }
 
-// Rotate right face (X = 1)
-function rotateRightFace(cubeState, clockwise) {
-  // Rotate the right face itself
-  const rightFace = cubeState.right.colors;
-  const rotated = rotate2DArray(rightFace, clockwise);
-  cubeState.right.colors = rotated;
-  
-  // Rotate the adjacent edges
-  if (clockwise) {
-    const topEdge = [
-      cubeState.up.colors[0][2],
-      cubeState.up.colors[1][2],
-      cubeState.up.colors[2][2]
-    ];
-    
-    // Move front edge to top
-    cubeState.up.colors[0][2] = cubeState.front.colors[0][2];
-    cubeState.up.colors[1][2] = cubeState.front.colors[1][2];
-    cubeState.up.colors[2][2] = cubeState.front.colors[2][2];
-    
-    // Move bottom edge to front
-    cubeState.front.colors[0][2] = cubeState.down.colors[0][2];
-    cubeState.front.colors[1][2] = cubeState.down.colors[1][2];
-    cubeState.front.colors[2][2] = cubeState.down.colors[2][2];
-    
-    // Move back edge to bottom
-    cubeState.down.colors[0][2] = cubeState.back.colors[2][0];
-    cubeState.down.colors[1][2] = cubeState.back.colors[1][0];
-    cubeState.down.colors[2][2] = cubeState.back.colors[0][0];
-    
-    // Move top edge to back
-    cubeState.back.colors[0][0] = topEdge[2];
-    cubeState.back.colors[1][0] = topEdge[1];
-    cubeState.back.colors[2][0] = topEdge[0];
-  } else {
-    const topEdge = [
-      cubeState.up.colors[0][2],
-      cubeState.up.colors[1][2],
-      cubeState.up.colors[2][2]
-    ];
-    
-    // Move back edge to top
-    cubeState.up.colors[0][2] = cubeState.back.colors[2][0];
-    cubeState.up.colors[1][2] = cubeState.back.colors[1][0];
-    cubeState.up.colors[2][2] = cubeState.back.colors[0][0];
-    
-    // Move bottom edge to back
-    cubeState.back.colors[0][0] = cubeState.down.colors[2][2];
-    cubeState.back.colors[1][0] = cubeState.down.colors[1][2];
-    cubeState.back.colors[2][0] = cubeState.down.colors[0][2];
-    
-    // Move front edge to bottom
-    cubeState.down.colors[0][2] = cubeState.front.colors[0][2];
-    cubeState.down.colors[1][2] = cubeState.front.colors[1][2];
-    cubeState.down.colors[2][2] = cubeState.front.colors[2][2];
-    
-    // Move top edge to front
-    cubeState.front.colors[0][2] = topEdge[0];
-    cubeState.front.colors[1][2] = topEdge[1];
-    cubeState.front.colors[2][2] = topEdge[2];
-  }
+// Move that turns a single layer (coordinate -1, 0 or 1 along axis) by
+// quarterTurns in the R/U/F direction, e.g. ('x', -1, -1) -> "L"
+export function getLayerMove(axis, layer, quarterTurns) {
+  const face = Object.keys(MOVE_DEFINITIONS).find(name => {
+    const { axis: moveAxis, layers } = MOVE_DEFINITIONS[name];
+    return moveAxis === axis && layers.length === 1 && layers[0] === layer;
+  });
+  const turns = (((quarterTurns * MOVE_DEFINITIONS[face].direction) % 4) + 4) % 4;
+  if (turns === 0) return null;
+  return face + ['', '', '2', "'"][turns];
 }
 
-// Rotate left face (X = -1)
-function rotateLeftFace(cubeState, clockwise) {
-  // Rotate the left face itself
-  const leftFace = cubeState.left.colors;
-  const rotated = rotate2DArray(leftFace, clockwise);
-  cubeState.left.colors = rotated;
-  
-  // Rotate the adjacent edges (opposite direction from right)
-  if (clockwise) {
-    const topEdge = [
-      cubeState.up.colors[0][0],
-      cubeState.up.colors[1][0],
-      cubeState.up.colors[2][0]
-    ];
-    
-    // Move back edge to top
-    cubeState.up.colors[0][0] = cubeState.back.colors[2][2];
-    cubeState.up.colors[1][0] = cubeState.back.colors[1][2];
-    cubeState.up.colors[2][0] = cubeState.back.colors[0][2];
-    
-    // Move bottom edge to back
-    cubeState.back.colors[0][2] = cubeState.down.colors[2][0];
-    cubeState.back.colors[1][2] = cubeState.down.colors[1][0];
-    cubeState.back.colors[2][2] = cubeState.down.colors[0][0];
-    
-    // Move front edge to bottom
-    cubeState.down.colors[0][0] = cubeState.front.colors[0][0];
-    cubeState.down.colors[1][0] = cubeState.front.colors[1][0];
-    cubeState.down.colors[2][0] = cubeState.front.colors[2][0];
-    
-    // Move top edge to front
-    cubeState.front.colors[0][0] = topEdge[0];
-    cubeState.front.colors[1][0] = topEdge[1];
-    cubeState.front.colors[2][0] = topEdge[2];
-  } else {
-    const topEdge = [
-      cubeState.up.colors[0][0],
-      cubeState.up.colors[1][0],
-      cubeState.up.colors[2][0]
-    ];
-    
-    // Move front edge to top
-    cubeState.up.colors[0][0] = cubeState.front.colors[0][0];
-    cubeState.up.colors[1][0] = cubeState.front.colors[1][0];
-    cubeState.up.colors[2][0] = cubeState.front.colors[2][0];
-    
-    // Move bottom edge to front
-    cubeState.front.colors[0][0] = cubeState.down.colors[0][0];
-    cubeState.front.colors[1][0] = cubeState.down.colors[1][0];
-    cubeState.front.colors[2][0] = cubeState.down.colors[2][0];
-    
-    // Move back edge to bottom
-    cubeState.down.colors[0][0] = cubeState.back.colors[2][2];
-    cubeState.down.colors[1][0] = cubeState.back.colors[1][2];
-    cubeState.down.colors[2][0] = cubeState.back.colors[0][2];
-    
-    // Move top edge to back
-    cubeState.back.colors[0][2] = topEdge[2];
-    cubeState.back.colors[1][2] = topEdge[1];
-    cubeState.back.colors[2][2] = topEdge[0];
-  }
-}
+// Layer turned by dragging a sticker. position is the cubelet position,
+// normal the sticker's outward normal and drag the drag vector in cube
+// space. The dominant drag direction along the sticker plane picks the
+// rotation axis (normal x direction). Returns { axis, layer, direction,
+// sign } where direction is the unit drag direction and a drag of d along
+// it turns the layer by sign * d radians about the positive axis (right
+// handed), or null if the drag has no in-plane component.
+export function getDragRotation(position, normal, drag) {
+  let best = -1;
+  drag.forEach((value, i) => {
+    if (normal[i] !== 0) return;
+    if (best === -1 || Math.abs(value) > Math.abs(drag[best])) best = i;
+  });
+  if (best === -1 || drag[best] === 0) return null;
 
-// Rotate up face (Y = 1)
-function rotateUpFace(cubeState, clockwise) {
-  // Rotate the up face itself
-  const upFace = cubeState.up.colors;
-  const rotated = rotate2DArray(upFace, clockwise);
-  cubeState.up.colors = rotated;
-  
-  // Rotate the adjacent edges
-  if (clockwise) {
-    const frontEdge = [
-      cubeState.front.colors[0][0],
-      cubeState.front.colors[0][1],
-      cubeState.front.colors[0][2]
-    ];
-    
-    // Move left edge to front
-    cubeState.front.colors[0][0] = cubeState.left.colors[0][0];
-    cubeState.front.colors[0][1] = cubeState.left.colors[0][1];
-    cubeState.front.colors[0][2] = cubeState.left.colors[0][2];
-    
-    // Move back edge to left
-    cubeState.left.colors[0][0] = cubeState.back.colors[0][0];
-    cubeState.left.colors[0][1] = cubeState.back.colors[0][1];
-    cubeState.left.colors[0][2] = cubeState.back.colors[0][2];
-    
-    // Move right edge to back
-    cubeState.back.colors[0][0] = cubeState.right.colors[0][0];
-    cubeState.back.colors[0][1] = cubeState.right.colors[0][1];
-    cubeState.back.colors[0][2] = cubeState.right.colors[0][2];
-    
-    // Move front edge to right
-    cubeState.right.colors[0][0] = frontEdge[0];
-    cubeState.right.colors[0][1] = frontEdge[1];
-    cubeState.right.colors[0][2] = frontEdge[2];
-  } else {
-    const frontEdge = [
-      cubeState.front.colors[0][0],
-      cubeState.front.colors[0][1],
-      cubeState.front.colors[0][2]
-    ];
-    
-    // Move right edge to front
-    cubeState.front.colors[0][0] = cubeState.right.colors[0][0];
-    cubeState.front.colors[0][1] = cubeState.right.colors[0][1];
-    cubeState.front.colors[0][2] = cubeState.right.colors[0][2];
-    
-    // Move back edge to right
-    cubeState.right.colors[0][0] = cubeState.back.colors[0][0];
-    cubeState.right.colors[0][1] = cubeState.back.colors[0][1];
-    cubeState.right.colors[0][2] = cubeState.back.colors[0][2];
-    
-    // Move left edge to back
-    cubeState.back.colors[0][0] = cubeState.left.colors[0][0];
-    cubeState.back.colors[0][1] = cubeState.left.colors[0][1];
-    cubeState.back.colors[0][2] = cubeState.left.colors[0][2];
-    
-    // Move front edge to left
-    cubeState.left.colors[0][0] = frontEdge[0];
-    cubeState.left.colors[0][1] = frontEdge[1];
-    cubeState.left.colors[0][2] = frontEdge[2];
-  }
+  const direction = [0, 0, 0];
+  direction[best] = Math.sign(drag[best]);
+  const rotationAxis = [
+    normal[1] * direction[2] - normal[2] * direction[1],
+    normal[2] * direction[0] - normal[0] * direction[2],
+    normal[0] * direction[1] - normal[1] * direction[0]
+  ];
+  const axisIndex = rotationAxis.findIndex(value => value !== 0);
+
+  return {
+    axis: ['x', 'y', 'z'][axisIndex],
+    layer: position[axisIndex],
+    direction,
+    sign: rotationAxis[axisIndex]
+  };
 }
 
-// Rotate down face (Y = -1)
-function rotateDownFace(cubeState, clockwise) {
-  // Rotate the down face itself
-  const downFace = cubeState.down.colors;
-  const rotated = rotate2DArray(downFace, clockwise);
-  cubeState.down.colors = rotated;
-  
-  // Rotate the adjacent edges (opposite direction from up)
-  if (clockwise) {
-    const frontEdge = [
-      cubeState.front.colors[2][0],
-      cubeState.front.colors[2][1],
-      cubeState.front.colors[2][2]
-    ];
-    
-    // Move right edge to front
-    cubeState.front.colors[2][0] = cubeState.right.colors[2][0];
-    cubeState.front.colors[2][1] = cubeState.right.colors[2][1];
-    cubeState.front.colors[2][2] = cubeState.right.colors[2][2];
-    
-    // Move back edge to right
-    cubeState.right.colors[2][0] = cubeState.back.colors[2][0];
-    cubeState.right.colors[2][1] = cubeState.back.colors[2][1];
-    cubeState.right.colors[2][2] = cubeState.back.colors[2][2];
-    
-    // Move left edge to back
-    cubeState.back.colors[2][0] = cubeState.left.colors[2][0];
-    cubeState.back.colors[2][1] = cubeState.left.colors[2][1];
-    cubeState.back.colors[2][2] = cubeState.left.colors[2][2];
-    
-    // Move front edge to left
-    cubeState.left.colors[2][0] = frontEdge[0];
-    cubeState.left.colors[2][1] = frontEdge[1];
-    cubeState.left.colors[2][2] = frontEdge[2];
-  } else {
-    const frontEdge = [
-      cubeState.front.colors[2][0],
-      cubeState.front.colors[2][1],
-      cubeState.front.colors[2][2]
-    ];
-    
-    // Move left edge to front
-    cubeState.front.colors[2][0] = cubeState.left.colors[2][0];
-    cubeState.front.colors[2][1] = cubeState.left.colors[2][1];
-    cubeState.front.colors[2][2] = cubeState.left.colors[2][2];
-    
-    // Move back edge to left
-    cubeState.left.colors[2][0] = cubeState.back.colors[2][0];
-    cubeState.left.colors[2][1] = cubeState.back.colors[2][1];
-    cubeState.left.colors[2][2] = cubeState.back.colors[2][2];
-    
-    // Move right edge to back
-    cubeState.back.colors[2][0] = cubeState.right.colors[2][0];
-    cubeState.back.colors[2][1] = cubeState.right.colors[2][1];
-    cubeState.back.colors[2][2] = cubeState.right.colors[2][2];
-    
-    // Move front edge to right
-    cubeState.right.colors[2][0] = frontEdge[0];
-    cubeState.right.colors[2][1] = frontEdge[1];
-    cubeState.right.colors[2][2] = frontEdge[2];
-  }
+// Read the color grid of a face (cubeData stores { colors } or bare arrays)
+function getGrid(cubeState, faceName) {
+  const faceData = cubeState[faceName];
+  if (!faceData) return null;
+  if (Array.isArray(faceData.colors)) return faceData.colors;
+  if (Array.isArray(faceData)) return faceData;
+  return null;
 }
 
-// Helper function to rotate a 2D array (face)
-function rotate2DArray(array, clockwise) {
-  const n = array.length;
-  const rotated = Array(n).fill().map(() => Array(n).fill(null));
+// Apply a move to the cube state (actual cube transformation). Every sticker
+// in the turned layers is moved to where the rotation takes it, so face turns,
+// slices, wide turns and rotations all use the same geometry as the 3D cube.
+export function applyMoveToCubeState(cubeState, move) {
+  const { axis, layers, quarterTurns, clockwise } = parseMove(move);
+  const newState = JSON.parse(JSON.stringify(cubeState));
   
-  if (clockwise) {
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        rotated[j][n - 1 - i] = array[i][j];
-      }
-    }
-  } else {
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        rotated[n - 1 - j][i] = array[i][j];
-      }
+  console.log(`🔄 Applying move: ${move} (${clockwise ? 'clockwise' : 'counter-clockwise'})`);
+
+  FACELET_GEOMETRY.forEach(({ face, position, normal }, index) => {
+    if (!layers.includes(position[AXIS_INDEX[axis]])) return;
+
+    const target = faceletIndexAt(
+      rotateVector(position, axis, quarterTurns),
+      rotateVector(normal, axis, quarterTurns)
+    );
+    const sourceFace = cubeState[FACE_NAMES[face]];
+    const destinationFace = newState[FACE_NAMES[FACE_ORDER[Math.floor(target / 9)]]];
+    const source = getGrid(cubeState, FACE_NAMES[face]);
+    const destination = getGrid(newState, FACE_NAMES[FACE_ORDER[Math.floor(target / 9)]]);
+    if (!destination) return;
+
+    const row = Math.floor((index % 9) / 3);
+    const targetRow = Math.floor((target % 9) / 3);
+    if (!destination[targetRow]) return;
+    destination[targetRow][target % 3] = source?.[row]?.[index % 3] ?? 'unknown';
+    // Detection confidence stays with its sticker
+    if (Array.isArray(destinationFace?.confidence?.[targetRow])) {
+      destinationFace.confidence[targetRow][target % 3] = sourceFace?.confidence?.[row]?.[index % 3] ?? null;
     }
-  }
+  });
   
-  return rotated;
+  return newState;
+}
+
+// Apply a list of moves (or algorithm text) to the cube state
+export function applyMovesToCubeState(cubeState, moves) {
+  return toMoveList(moves).reduce((state, move) => applyMoveToCubeState(state, move), cubeState);
 }
 
 // Main animation function
@@ -564,10 +247,7 @@ export function animate(face, moveNotation = null) {
   }
   
   // Parse move if provided
-  let moveData = { face, clockwise: true, angle: Math.PI / 2 };
-  if (moveNotation) {
-    moveData = parseMove(moveNotation);
-  }
+  const moveData = parseMove(moveNotation || face);
   
   // Start animation
   faceAnimationStatus[face] = true;
@@ -645,14 +325,14 @@ export function getCurrentAnimation() {
   return { ...currentAnimation };
 }
 
-// Get affected cubes for a face
-export function getAffectedCubesForFace(face) {
-  return getAffectedCubes(face);
+// Get affected cubes for a move (a face letter is a quarter turn)
+export function getAffectedCubesForFace(move) {
+  return getAffectedCubes(move);
 }
 
-// Get rotation axis for a face
-export function getRotationAxisForFace(face) {
-  return getRotationAxis(face);
+// Get rotation axis for a move
+export function getRotationAxisForFace(move) {
+  return getRotationAxis(move);
 }
 
 // Execute a sequence of moves with animations
@@ -670,10 +350,10 @@ export function executeMoveSequence(cubeState, moves, onMoveComplete = null) {
     console.log(`🔄 Executing move ${currentIndex + 1}/${moves.length}: ${move}`);
     
     // Apply the move to cube state
-    const newState = applyMoveToCubeState(cubeState, move);
+    cubeState = applyMoveToCubeState(cubeState, move);
     
     // Start animation
-    animate(move.charAt(0), move);
+    animate(parseMove(move).face, move);
     
     // Wait for animation to complete before next move
     const checkAnimation = setInterval(() => {
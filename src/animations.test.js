@@ -0,0 +1,81 @@
+import {
+  applyMoves,
+  createSolvedCube,
+  cubeToFacelets,
+  faceletsToCubeData
+} from './cube/cubeCore';
+import { applyMovesToCubeState, parseMove, getDragRotation, getLayerMove } from './animations';
+
+const SCRAMBLE = "R U2 F' L D B2 R' U' F2 D' L2 B".split(' ');
+
+const cubeDataFor = (moves) =>
+  faceletsToCubeData(cubeToFacelets(applyMoves(createSolvedCube(), moves)));
+
+const apply = (cubeData, moves) => applyMovesToCubeState(cubeData, moves.split(' '));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('face turns, including half turns, match the cubie model', () => {
+  const moves = [...SCRAMBLE, 'U2', 'F', "D'"];
+  expect(applyMovesToCubeState(cubeDataFor([]), moves)).toEqual(cubeDataFor(moves));
+  expect(apply(cubeDataFor([]), "R2'")).toEqual(cubeDataFor(['R2']));
+});
+
+test('half turns are two quarter turns', () => {
+  const start = cubeDataFor(SCRAMBLE);
+  ['R', 'U', 'F', 'M', 'Rw', 'x'].forEach(move => {
+    expect(apply(start, `${move}2`)).toEqual(apply(start, `${move} ${move}`));
+  });
+});
+
+test('slices, wide turns and rotations relate as in WCA notation', () => {
+  const start = cubeDataFor(SCRAMBLE);
+  expect(apply(start, 'M')).toEqual(apply(start, "R L' x'"));
+  expect(apply(start, 'E')).toEqual(apply(start, "U D' y'"));
+  expect(apply(start, 'S')).toEqual(apply(start, "F' B z"));
+  expect(apply(start, 'Rw')).toEqual(apply(start, 'L x'));
+  expect(apply(start, 'r')).toEqual(apply(start, 'Rw'));
+  expect(apply(start, "u'")).toEqual(apply(start, "D' y'"));
+});
+
+test('rotations keep a solved cube solved', () => {
+  const solved = cubeDataFor([]);
+  const rotated = apply(solved, 'x y z2');
+  Object.values(rotated).forEach(({ colors }) => {
+    expect(new Set(colors.flat()).size).toBe(1);
+  });
+});
+
+test('parses amounts and directions', () => {
+  expect(parseMove('R2').quarterTurns).toBe(2);
+  expect(parseMove("L'").quarterTurns).toBe(1);
+  expect(parseMove('R3').quarterTurns).toBe(-1);
+  expect(parseMove('M').layers).toEqual([0]);
+  expect(parseMove('Uw').layers).toEqual([1, 0]);
+  expect(() => parseMove('Q')).toThrow('Unsupported move: Q');
+});
+
+test('dragging a sticker picks the layer move', () => {
+  // Right column of the front face dragged up is R
+  const up = getDragRotation([1, 1, 1], [0, 0, 1], [0.1, 0.8, 0]);
+  expect(up).toMatchObject({ axis: 'x', layer: 1, sign: -1 });
+  expect(getLayerMove(up.axis, up.layer, -up.sign)).toBe('R');
+
+  // Top row of the front face dragged left is U
+  const left = getDragRotation([0, 1, 1], [0, 0, 1], [-0.9, 0.2, 0]);
+  expect(getLayerMove(left.axis, left.layer, -left.sign)).toBe('U');
+
+  // Middle column of the up face dragged towards the viewer is M
+  const down = getDragRotation([0, 1, 0], [0, 1, 0], [0, 0, 0.5]);
+  expect(getLayerMove(down.axis, down.layer, -down.sign)).toBe('M');
+
+  expect(getLayerMove('x', -1, 2)).toBe('L2');
+  expect(getLayerMove('y', -1, 1)).toBe("D'");
+  expect(getDragRotation([1, 1, 1], [0, 0, 1], [0, 0, 0.3])).toBeNull();
+});
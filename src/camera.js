@@ -2,6 +2,7 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import Webcam from 'react-webcam';
 import CubeRecognition from './components/CubeRecognition.js';
+import { createCubeData, readFaceCapture } from './cube/cubeSchema';
 
 const Camera = ({ onCubeCaptured, captureProgress, setCaptureProgress }) => {
   const webcamRef = useRef(null);
@@ -87,31 +88,15 @@ const Camera = ({ onCubeCaptured, captureProgress, setCaptureProgress }) => {
     console.log('handleSaveFace called with:', faceData);
     console.log('faceData type:', typeof faceData);
     
-    // Handle both old format (array) and new format (object)
-    let colors, faceIndex, alignmentScore, confidence;
-    
-    if (Array.isArray(faceData)) {
-      // Old format - just colors array
-      colors = faceData;
-      faceIndex = currentFaceIndex;
-      alignmentScore = 0;
-      confidence = 0;
-    } else if (faceData && typeof faceData === 'object' && faceData.colors) {
-      // New format - faceData object
-      colors = faceData.colors;
-      faceIndex = faceData.faceIndex !== undefined ? faceData.faceIndex : currentFaceIndex;
-      alignmentScore = faceData.alignmentScore || 0;
-      confidence = faceData.confidence || 0;
-    } else {
+    // The schema reads every face format the recognizer has produced (a bare
+    // color list or a face object) into { colors, confidence, ... } grids
+    const capture = readFaceCapture(faceData);
+    if (!capture) {
       console.error('Invalid face data format:', faceData);
       return;
     }
-    
-    // Ensure colors is a valid array
-    if (!Array.isArray(colors) || colors.length === 0) {
-      console.error('Invalid face colors data:', colors);
-      return;
-    }
+    const { colors, confidence, alignmentScore } = capture;
+    const faceIndex = faceData.faceIndex !== undefined ? faceData.faceIndex : currentFaceIndex;
 
     setIsProcessing(true);
     
@@ -136,8 +121,7 @@ const Camera = ({ onCubeCaptured, captureProgress, setCaptureProgress }) => {
           faceIndex: faceIndex,
           alignmentScore: alignmentScore,
           confidence: confidence,
-          timestamp: faceData.timestamp || Date.now(),
-          faceMapping: faceData.faceMapping || {}
+          timestamp: capture.timestamp || new Date().toISOString()
         }
       };
       console.log('Updated capturedFaces:', newFaces);
@@ -172,23 +156,20 @@ const Camera = ({ onCubeCaptured, captureProgress, setCaptureProgress }) => {
             faceIndex: faceIndex,
             alignmentScore: alignmentScore,
             confidence: confidence,
-            timestamp: faceData.timestamp || Date.now(),
-            faceMapping: faceData.faceMapping || {}
+            timestamp: capture.timestamp || new Date().toISOString()
           }
         };
         
         console.log('Final captured faces:', updatedFaces);
         
-        // Create final cube data using all captured faces
-        const cubeData = {
-          front: updatedFaces.front || { colors: [] },
-          back: updatedFaces.back || { colors: [] },
-          up: updatedFaces.up || { colors: [] },
-          down: updatedFaces.down || { colors: [] },
-          left: updatedFaces.left || { colors: [] },
-          right: updatedFaces.right || { colors: [] },
-          timestamp: new Date().toISOString()
-        };
+        // Create final cube data (current schema) using all captured faces
+        const captureFaces = {};
+        Object.entries(updatedFaces).forEach(([name, face]) => {
+          captureFaces[name] = { alignmentScore: face.alignmentScore, timestamp: face.timestamp };
+        });
+        const cubeData = createCubeData(updatedFaces, {
+          capture: { source: 'camera', capturedAt: new Date(), faces: captureFaces }
+        });
 
         console.log('Final cube data:', cubeData);
 
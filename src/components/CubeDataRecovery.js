@@ -0,0 +1,60 @@
+// src/components/CubeDataRecovery.js
+// Shown in place of the cube when saved cube data is corrupt, or was saved by
+// an older version and needed repairs. Says what was found and lets the user
+// open the repaired cube, enter it again, discard it or copy the raw data.
+
+import React, { useState } from 'react';
+
+const CubeDataRecovery = ({ recovery, onRepair, onReenter, onDiscard }) => {
+  const [copyStatus, setCopyStatus] = useState(null);
+  const { name, result, raw } = recovery;
+  const corrupt = result.status === 'corrupt';
+  const findings = corrupt ? result.errors : result.repairs;
+
+  const handleCopy = () => {
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(raw) : Promise.reject(new Error('No clipboard'));
+    copied
+      .then(() => setCopyStatus('📋 Copied'))
+      .catch(() => {
+        window.prompt('Copy the saved data', raw);
+        setCopyStatus(null);
+      });
+  };
+
+  const handleDiscard = () => {
+    if (window.confirm(`Discard "${name}"? This cannot be undone.`)) onDiscard(recovery);
+  };
+
+  return (
+    <div className="cube-recovery">
+      <h2>{corrupt ? '⚠️ This saved cube could not be read' : '🛠️ This cube was saved by an older version'}</h2>
+      <p className="cube-recovery-summary">
+        {corrupt
+          ? `"${name}" does not hold cube data this version understands, so it is not shown.`
+          : `"${name}" was updated to the current format. Check these changes before you carry on:`}
+      </p>
+      <ul className="cube-recovery-findings">
+        {findings.map((finding, index) => <li key={index}>{finding}</li>)}
+      </ul>
+
+      <div className="cube-recovery-actions">
+        {!corrupt && (
+          <button className="start-capture-button" onClick={() => onRepair(recovery)}>
+            ✅ Open the updated cube
+          </button>
+        )}
+        <button className="start-capture-button" onClick={() => onReenter(recovery)}>
+          ✏️ Enter it again
+        </button>
+        <button className="cube-recovery-secondary" onClick={handleCopy}>
+          {copyStatus || '📋 Copy the saved data'}
+        </button>
+        <button className="cube-recovery-secondary danger" onClick={handleDiscard}>
+          🗑️ Discard it
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CubeDataRecovery;
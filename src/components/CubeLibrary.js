@@ -0,0 +1,163 @@
+// src/components/CubeLibrary.js
+// The saved-cubes library: every captured or entered cube with its
+// thumbnail, source, tags and dates. Cubes can be opened, renamed, tagged,
+// duplicated and deleted, and any two can be compared sticker by sticker.
+// Storage is left to the parent through the on* callbacks.
+
+import React, { useState } from 'react';
+import { compareCubeData, formatCubeDate, parseTags, renderThumbnail } from '../cube/cubeLibrary';
+
+const SOURCE_LABELS = {
+  camera: '📷 Camera',
+  manual: '✏️ Manual',
+  scramble: '🔀 Scramble'
+};
+
+// Side-by-side nets of two cubes with the stickers that differ outlined
+const CubeComparison = ({ first, second, onClose }) => {
+  const differences = compareCubeData(first.cubeData, second.cubeData);
+  const highlight = new Set(differences);
+  return (
+    <div className="cube-library-compare">
+      <div className="cube-library-compare-header">
+        <h3>
+          {differences.length === 0
+            ? '✅ Both cubes show the same stickers'
+            : `⇄ ${differences.length} of 54 stickers differ`}
+        </h3>
+        <button onClick={onClose}>✖ Close</button>
+      </div>
+      <div className="cube-library-compare-nets">
+        {[first, second].map(entry => (
+          <figure key={entry.id}>
+            <img src={renderThumbnail(entry.cubeData, { highlight })} alt={`Net of ${entry.name}`} />
+            <figcaption>{entry.name}</figcaption>
+          </figure>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CubeLibrary = ({ entries, activeId, recoveryIds = [], onOpen, onUpdate, onDuplicate, onDelete }) => {
+  const [compareIds, setCompareIds] = useState([]);
+  const [tagFilter, setTagFilter] = useState(null);
+
+  // Picking a third cube to compare drops the oldest pick
+  const toggleCompare = (id) => {
+    setCompareIds(current => current.includes(id)
+      ? current.filter(other => other !== id)
+      : [...current, id].slice(-2));
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) return;
+    setCompareIds(current => current.filter(id => id !== entry.id));
+    onDelete(entry);
+  };
+
+  const commitName = (entry, name) => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== entry.name) onUpdate(entry, { name: trimmed });
+  };
+
+  const commitTags = (entry, text) => {
+    const tags = parseTags(text);
+    if (tags.join(',') !== entry.tags.join(',')) onUpdate(entry, { tags });
+  };
+
+  const compared = compareIds.map(id => entries.find(entry => entry.id === id)).filter(Boolean);
+  const shown = tagFilter ? entries.filter(entry => entry.tags.includes(tagFilter)) : entries;
+
+  if (entries.length === 0) {
+    return (
+      <div className="cube-library">
+        <h2>📚 Saved Cubes</h2>
+        <p className="cube-library-empty">No saved cubes yet. Capture or enter a cube and it will appear here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="cube-library">
+      <h2>📚 Saved Cubes</h2>
+      <p className="cube-library-hint">
+        Every capture is kept here. Tick ⇄ on two cubes to compare them.
+        {tagFilter && (
+          <button className="cube-library-tag active" onClick={() => setTagFilter(null)} title="Show every cube">
+            #{tagFilter} ✖
+          </button>
+        )}
+      </p>
+
+      {compared.length === 2 && (
+        <CubeComparison first={compared[0]} second={compared[1]} onClose={() => setCompareIds([])} />
+      )}
+
+      <ul className="cube-library-list">
+        {shown.map(entry => (
+          <li key={entry.id} className={`cube-library-item ${entry.id === activeId ? 'active' : ''}`}>
+            <img className="cube-library-thumbnail" src={entry.thumbnail} alt={`Net of ${entry.name}`} />
+
+            <div className="cube-library-details">
+              <input
+                className="cube-library-name"
+                key={`name-${entry.name}`}
+                defaultValue={entry.name}
+                onBlur={(event) => commitName(entry, event.target.value)}
+                onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+                aria-label="Cube name"
+              />
+              <div className="cube-library-meta">
+                <span className="cube-library-source">{SOURCE_LABELS[entry.source] || entry.source}</span>
+                {recoveryIds.includes(entry.id) && (
+                  <span className="cube-library-warning" title="Open it to see what is wrong">⚠️ Needs attention</span>
+                )}
+                <span title={`Created ${new Date(entry.createdAt).toLocaleString()}`}>
+                  Created {formatCubeDate(entry.createdAt)}
+                </span>
+                {entry.updatedAt !== entry.createdAt && (
+                  <span title={`Updated ${new Date(entry.updatedAt).toLocaleString()}`}>
+                    · Updated {formatCubeDate(entry.updatedAt)}
+                  </span>
+                )}
+              </div>
+              <div className="cube-library-tags">
+                {entry.tags.map(tag => (
+                  <button key={tag} className="cube-library-tag" onClick={() => setTagFilter(tag)} title={`Show cubes tagged ${tag}`}>
+                    #{tag}
+                  </button>
+                ))}
+                <input
+                  key={`tags-${entry.tags.join(',')}`}
+                  defaultValue={entry.tags.join(', ')}
+                  placeholder="Add tags, separated by commas"
+                  onBlur={(event) => commitTags(entry, event.target.value)}
+                  onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+                  aria-label="Tags"
+                />
+              </div>
+            </div>
+
+            <div className="cube-library-actions">
+              <button onClick={() => onOpen(entry)} disabled={entry.id === activeId} title="Open in the Virtual Cube">
+                {entry.id === activeId ? '🎲 Open' : '📂 Open'}
+              </button>
+              <button onClick={() => onDuplicate(entry)} title="Save a copy">⧉ Duplicate</button>
+              <button
+                className={compareIds.includes(entry.id) ? 'active' : ''}
+                onClick={() => toggleCompare(entry.id)}
+                title="Compare with another cube"
+              >
+                ⇄ Compare
+              </button>
+              <button className="danger" onClick={() => handleDelete(entry)} title="Delete this cube">🗑️ Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CubeLibrary;
@@ -0,0 +1,184 @@
+// src/components/CubeNet.js
+// Editable unfolded net of the cube: U on top, L F R B in a row, D below.
+//
+// Pick a color, then click a sticker to paint it, drag across stickers (and
+// faces) to paint them all, or use the bucket to fill a whole face. Stickers
+// named by the validator's issues are outlined as they are edited, with the
+// issue in their tooltip, and the color counts are shown under the net.
+// Edits are reported through onPaint(changes, change) where changes are
+// [{ faceName, row, col, color }] and change is the history entry; every
+// paint of one drag shares the change's group.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { FACE_NAMES, FACE_ORDER, STICKER_COLORS, getFaceGrid } from '../cube/cubeCore';
+import { getInvalidStickers, stickerLabel } from '../cube/cubeValidator';
+
+// Grid cell (row, column) of each face in the cross
+const NET_LAYOUT = {
+  U: [1, 2],
+  L: [2, 1],
+  F: [2, 2],
+  R: [2, 3],
+  B: [2, 4],
+  D: [3, 2]
+};
+
+const PAINT_COLORS = ['white', 'yellow', 'green', 'blue', 'red', 'orange', 'unknown'];
+
+const stickerColor = (color) => STICKER_COLORS[color] || 'transparent';
+
+const CubeNet = ({ cubeData, validation, onPaint, disabled = false }) => {
+  const [paintColor, setPaintColor] = useState('white');
+  const [tool, setTool] = useState('brush');
+  const strokeRef = useRef(null);
+
+  const invalid = getInvalidStickers(validation);
+
+  // Stickers under the pointer carry their face and cell in data attributes
+  const stickerAt = (element) => {
+    const sticker = element?.closest?.('[data-net-face]');
+    if (!sticker) return null;
+    return {
+      face: sticker.dataset.netFace,
+      row: Number(sticker.dataset.netRow),
+      col: Number(sticker.dataset.netCol)
+    };
+  };
+
+  const currentColor = (face, row, col) => getFaceGrid(cubeData?.[FACE_NAMES[face]])?.[row]?.[col];
+
+  const paint = (face, cells, label) => {
+    const changes = cells
+      .filter(([row, col]) => currentColor(face, row, col) !== paintColor)
+      .map(([row, col]) => ({ faceName: FACE_NAMES[face], row, col, color: paintColor }));
+    if (changes.length === 0) return;
+    const stroke = strokeRef.current;
+    onPaint(changes, { type: 'recolor', label, group: stroke ? stroke.id : null });
+  };
+
+  const paintSticker = ({ face, row, col }) => {
+    const stroke = strokeRef.current;
+    const key = `${face}${row}${col}`;
+    if (stroke) {
+      if (stroke.painted.has(key)) return;
+      stroke.painted.add(key);
+    }
+    const count = stroke ? stroke.painted.size : 1;
+    const label = count === 1
+      ? `${stickerLabel(FACE_ORDER.indexOf(face) * 9 + row * 3 + col)} → ${paintColor}`
+      : `Painted ${count} stickers ${paintColor}`;
+    paint(face, [[row, col]], label);
+  };
+
+  const fillFace = (face) => {
+    const cells = [0, 1, 2].flatMap(row => [0, 1, 2].map(col => [row, col]));
+    paint(face, cells, `${face} face → ${paintColor}`);
+  };
+
+  const handlePointerDown = (event) => {
+    if (disabled || event.button > 0) return;
+    const sticker = stickerAt(event.target);
+    if (!sticker) return;
+    event.preventDefault();
+    if (tool === 'bucket') {
+      fillFace(sticker.face);
+      return;
+    }
+    strokeRef.current = { id: `paint-${Date.now()}`, painted: new Set() };
+    paintSticker(sticker);
+  };
+
+  // elementFromPoint keeps touch drags painting: touch pointers stay captured
+  // by the sticker they started on
+  const handlePointerMove = (event) => {
+    if (!strokeRef.current) return;
+    const sticker = stickerAt(document.elementFromPoint(event.clientX, event.clientY));
+    if (sticker) paintSticker(sticker);
+  };
+
+  useEffect(() => {
+    const endStroke = () => {
+      strokeRef.current = null;
+    };
+    window.addEventListener('pointerup', endStroke);
+    window.addEventListener('pointercancel', endStroke);
+    return () => {
+      window.removeEventListener('pointerup', endStroke);
+      window.removeEventListener('pointercancel', endStroke);
+    };
+  }, []);
+
+  const counts = validation.colorCounts || {};
+
+  return (
+    <div className={`cube-net-editor ${disabled ? 'disabled' : ''}`}>
+      <div className="cube-net-tools">
+        {PAINT_COLORS.map(color => (
+          <button
+            key={color}
+            className={`cube-net-color ${paintColor === color ? 'active' : ''}`}
+            style={{ backgroundColor: stickerColor(color) }}
+            onClick={() => setPaintColor(color)}
+            title={color === 'unknown' ? 'Clear (no color)' : color}
+          >
+            {color === 'unknown' ? '∅' : ''}
+          </button>
+        ))}
+        <button
+          className={`cube-net-tool ${tool === 'brush' ? 'active' : ''}`}
+          onClick={() => setTool('brush')}
+          title="Paint stickers (click or drag)"
+        >
+          🖌️
+        </button>
+        <button
+          className={`cube-net-tool ${tool === 'bucket' ? 'active' : ''}`}
+          onClick={() => setTool('bucket')}
+          title="Fill a whole face"
+        >
+          🪣
+        </button>
+      </div>
+
+      <div className="cube-net" onPointerDown={handlePointerDown} onPointerMove={handlePointerMove}>
+        {FACE_ORDER.map(face => {
+          const grid = getFaceGrid(cubeData?.[FACE_NAMES[face]]);
+          const [gridRow, gridColumn] = NET_LAYOUT[face];
+          return (
+            <div key={face} className="cube-net-face" style={{ gridRow, gridColumn }}>
+              {[0, 1, 2].flatMap(row => [0, 1, 2].map(col => {
+                const index = FACE_ORDER.indexOf(face) * 9 + row * 3 + col;
+                const color = grid?.[row]?.[col];
+                const problems = invalid.get(index);
+                return (
+                  <div
+                    key={index}
+                    className={`cube-net-sticker ${problems ? 'invalid' : ''}`}
+                    style={{ backgroundColor: stickerColor(color) }}
+                    data-net-face={face}
+                    data-net-row={row}
+                    data-net-col={col}
+                    title={`${stickerLabel(index)}: ${color || 'no color'}${problems ? `\n${problems.join('\n')}` : ''}`}
+                  >
+                    {row === 1 && col === 1 ? face : ''}
+                  </div>
+                );
+              }))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="cube-net-counts">
+        {PAINT_COLORS.slice(0, 6).map(color => (
+          <span key={color} className={(counts[color] || 0) === 9 ? '' : 'off'} title={`${color}: ${counts[color] || 0} of 9`}>
+            <i style={{ backgroundColor: stickerColor(color) }} />
+            {counts[color] || 0}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CubeNet;
@@ -1,44 +1,127 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import VirtualCube from './VirtualCube';
+import MoveMetrics from './MoveMetrics';
+import CubeDataRecovery from './CubeDataRecovery';
 import { 
-  solveLBL, 
   getMoveDescription, 
-  getStepByStepSequence, 
-  getCompleteSolvingSequence,
-  getBasicLBLMoves,
-  analyzeCubeState,
-  testSolver
+  isCubeSolved
 } from '../solvers/lblSolver';
-import { applyMoveToCubeState } from '../animations';
-import { 
-  getKociembaMoves, 
-  testKociembaSolver,
-  getKociembaMoveDescription 
-} from '../solvers/kociembaSolver';
+import { applyMoveToCubeState, applyMovesToCubeState } from '../animations';
+import { invertMove } from '../cube/cubeCore';
+import { solveInWorker } from '../solvers/solverClient';
+import { buildShareUrl, parseShareParams } from '../cube/shareLink';
+import { deleteHistory, moveHistory } from '../cube/history';
+
+// Status line for a progress event from the solver worker
+const describeSolverProgress = (progress) => {
+  switch (progress.type) {
+    case 'tables':
+      return `Building solver tables ${progress.done}/${progress.total}...`;
+    case 'cache':
+      return progress.status === 'loaded'
+        ? 'Loaded solver tables from cache'
+        : 'Solver tables ready';
+    case 'search':
+      return `Searching phase ${progress.phase} at depth ${progress.depth}...`;
+    case 'stage':
+      return `Solved stage ${progress.done}/${progress.total}: ${progress.name}`;
+    default:
+      return 'Computing solution...';
+  }
+};
+
+const SHARED_HISTORY_KEY = 'shared-link';
 
-const CubePage = ({ cubeData, onBack }) => {
-  const [localCubeData, setLocalCubeData] = useState(cubeData);
+// Shared look of the solution timeline buttons
+const timelineButtonStyle = (disabled) => ({
+  padding: '6px 12px',
+  background: 'rgba(255, 255, 255, 0.15)',
+  color: 'white',
+  border: '1.5px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '10px',
+  fontSize: '0.9rem',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.4 : 1
+});
+
+// cubeData is the open cube of the library (cubeId), which may still be
+// loading. Edits are saved through onCubeChange.
+// recovery is set when the open cube's saved data needs the user's attention.
+const CubePage = ({
+  cubeData,
+  cubeId = null,
+  loading = false,
+  recovery = null,
+  recoveryHandlers = {},
+  onCubeChange,
+  onSaveNewCube,
+  onBack
+}) => {
+  // A shared link (?state= or ?scramble=, with an optional &solution=) takes
+  // precedence over the open cube of the library
+  const location = useLocation();
+  const [sharedLink] = useState(() => parseShareParams(location.search));
+  const [localCubeData, setLocalCubeData] = useState(sharedLink?.cubeData || cubeData);
+  const [shareMessage, setShareMessage] = useState(() =>
+    sharedLink && sharedLink.errors.length > 0 ? `⚠️ Link could not be loaded: ${sharedLink.errors[0]}` : null
+  );
   const virtualCubeRef = useRef();
 
-  // Load cube data from localStorage if not provided as prop
+  // The library loads after the first render when the page is opened directly
   useEffect(() => {
-    if (!localCubeData) {
-      const savedCubeData = localStorage.getItem('capturedCubeData');
-      if (savedCubeData) {
-        try {
-          const parsedData = JSON.parse(savedCubeData);
-          setLocalCubeData(parsedData);
-          console.log('📦 CubePage loaded cube data from localStorage:', parsedData);
-        } catch (error) {
-          console.error('❌ Error loading cube data in CubePage:', error);
-        }
-      }
+    if (!localCubeData && cubeData) {
+      setLocalCubeData(cubeData);
+      console.log('📦 CubePage opened the saved cube');
     }
-  }, [localCubeData]);
+  }, [cubeData, localCubeData]);
 
-  const handleColorChange = (updatedCubeData) => {
+  // A cube opened from a link is saved as a new library entry the first time
+  // it changes, so the link never overwrites a saved cube
+  const sharedCubeSavedRef = useRef(false);
+  const isSharedCube = Boolean(sharedLink?.cubeData);
+
+  // The undo history of a linked cube starts empty each time a link is
+  // opened. VirtualCube reads its history when it mounts, so it is shown
+  // once the old one is gone.
+  const [sharedHistoryCleared, setSharedHistoryCleared] = useState(false);
+  useEffect(() => {
+    if (!isSharedCube) return;
+    deleteHistory(SHARED_HISTORY_KEY);
+    setSharedHistoryCleared(true);
+  }, [isSharedCube]);
+
+  // Once the linked cube is saved its history moves to the new entry.
+  // VirtualCube stores the change that saved it before this effect runs, and
+  // reads the moved history when its key switches to the entry.
+  const [sharedEntryId, setSharedEntryId] = useState(null);
+  const [sharedHistoryMoved, setSharedHistoryMoved] = useState(false);
+  useEffect(() => {
+    if (!sharedEntryId) return;
+    moveHistory(SHARED_HISTORY_KEY, sharedEntryId);
+    setSharedHistoryMoved(true);
+  }, [sharedEntryId]);
+  const historyKey = isSharedCube && !sharedHistoryMoved ? SHARED_HISTORY_KEY : sharedEntryId || cubeId || undefined;
+
+  const handleColorChange = (updatedCubeData, change = null) => {
     setLocalCubeData(updatedCubeData);
-    localStorage.setItem('capturedCubeData', JSON.stringify(updatedCubeData));
+    if (isSharedCube && !sharedCubeSavedRef.current) {
+      sharedCubeSavedRef.current = true;
+      const entry = onSaveNewCube(updatedCubeData, {
+        source: sharedLink.scramble ? 'scramble' : 'manual',
+        scramble: sharedLink.scramble || [],
+        name: sharedLink.scramble ? null : 'Shared cube'
+      });
+      if (entry) setSharedEntryId(entry.id);
+    } else {
+      onCubeChange(updatedCubeData);
+    }
+
+    // Undo/redo, drag turns and recolors move the cube away from the
+    // solution being played
+    if (change && change.type !== 'playback' && playbackRef.current.moves.length > 0) {
+      closeSolution();
+    }
   };
 
   const handleRecapture = () => {
@@ -51,244 +134,330 @@ const CubePage = ({ cubeData, onBack }) => {
   const [solutionMoves, setSolutionMoves] = useState([]);
   const [currentMove, setCurrentMove] = useState(null);
   const [solvingStep, setSolvingStep] = useState('');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isStepping, setIsStepping] = useState(false);
+  const [highlightIndex, setHighlightIndex] = useState(-1);
+  const [movesSaved, setMovesSaved] = useState(0);
+  const notationStripRef = useRef(null);
+  const solveAbortRef = useRef(null);
+
+  // Solution playback. Move callbacks read this ref rather than component
+  // state so they always see the latest position. `index` is the number of
+  // solution moves applied to `startState`, and `state` is the result.
+  const playbackRef = useRef({
+    moves: [],
+    index: 0,
+    startState: null,
+    state: null,
+    playing: false,
+    busy: false
+  });
+
+  // Open the solution of a shared link on its timeline, ready to play
+  useEffect(() => {
+    if (!sharedLink?.cubeData || !sharedLink.solution || sharedLink.solution.length === 0) return;
+    const moves = sharedLink.solution;
+    const state = sharedLink.cubeData;
+    playbackRef.current = {
+      moves,
+      index: 0,
+      startState: state,
+      state,
+      playing: false,
+      busy: false,
+      historyGroup: `solution-${Date.now()}`
+    };
+    setSolutionMoves(moves);
+    setSolvingStep(`🔗 Shared solution: ${moves.length} moves`);
+    if (!isCubeSolved(applyMovesToCubeState(state, moves))) {
+      setShareMessage('⚠️ The shared solution does not solve this cube');
+    }
+  }, [sharedLink]);
+
+  // Copy a link to the cube as it is now, or to the start of the open
+  // solution together with its moves
+  const handleCopyLink = () => {
+    const playback = playbackRef.current;
+    const hasSolution = playback.moves.length > 0;
+    const url = buildShareUrl(
+      window.location.origin,
+      hasSolution ? playback.startState : localCubeData,
+      { solution: hasSolution ? playback.moves : [] }
+    );
+    if (!url) {
+      setShareMessage('⚠️ Only a cube with every sticker colored can be shared');
+      return;
+    }
+    console.log('🔗 Share link:', url);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard'));
+    copied
+      .then(() => {
+        const message = hasSolution ? '🔗 Link to this cube and solution copied' : '🔗 Link to this cube copied';
+        setShareMessage(message);
+        setTimeout(() => setShareMessage(current => (current === message ? null : current)), 3000);
+      })
+      .catch(() => {
+        window.prompt('Copy this link', url);
+        setShareMessage(null);
+      });
+  };
+
+  // Keep the highlighted move visible in the notation strip
+  useEffect(() => {
+    const strip = notationStripRef.current;
+    const item = strip?.children[highlightIndex];
+    if (item && item.scrollIntoView) {
+      item.scrollIntoView({ block: 'nearest', inline: 'center', behavior: 'smooth' });
+    }
+  }, [highlightIndex]);
 
   const handleDifficultyChange = (level) => {
     setDifficultyLevel(level);
     console.log(`🎯 Difficulty level changed to: ${level}`);
   };
 
-  // ENHANCED: Updated handleSolve with clean LBL solver integration
+  // Compute a solution in the solver worker with the solver picked by
+  // difficultyLevel: beginner = layer by layer, advanced = Kociemba two-phase
   const handleSolve = () => {
-    if (!localCubeData || isSolving) return;
-    
-    console.log('🚀 Starting solve - showing rotations then resetting to solved state');
-    
+    if (!localCubeData || isSolving || playbackRef.current.busy) return;
+
+    const method = difficultyLevel === 'advanced' ? 'kociemba' : 'lbl';
+    const solverName = method === 'kociemba' ? 'Kociemba' : 'beginner LBL';
+    console.log(`🚀 Starting solve with the ${solverName} solver`);
+
+    const controller = new AbortController();
+    solveAbortRef.current = controller;
+    const cubeDataToSolve = JSON.parse(JSON.stringify(localCubeData));
+
     setIsSolving(true);
-    setCurrentMoveIndex(0);
     setCurrentMove(null);
-    setSolvingStep('Starting rotation sequence...');
-    
-    // Add a small delay to ensure state updates
-    setTimeout(() => {
-      try {
-        console.log('🔍 Creating rotation sequence...');
-        setSolvingStep('Performing rotations...');
-        
-        // Create a sequence of random rotations to show movement
-        const rotationMoves = [
-          'R', 'U', 'L', 'D', 'F', 'B',
-          'R\'', 'U\'', 'L\'', 'D\'', 'F\'', 'B\'',
-          'R2', 'U2', 'L2', 'D2', 'F2', 'B2'
-        ];
-        
-        // Select a few random moves for demonstration
-        const demoMoves = [];
-        for (let i = 0; i < 8; i++) {
-          const randomIndex = Math.floor(Math.random() * rotationMoves.length);
-          demoMoves.push(rotationMoves[randomIndex]);
+    setSolvingStep(`Computing ${solverName} solution...`);
+
+    solveInWorker(cubeDataToSolve, {
+      method,
+      signal: controller.signal,
+      onProgress: (progress) => setSolvingStep(describeSolverProgress(progress))
+    })
+      .then((solution) => {
+        if (!solution.success) {
+          const reason = solution.issues.length > 0
+            ? solution.issues.join('; ')
+            : 'The solver could not find a solution';
+          console.error('❌ Solve failed:', reason);
+          setSolvingStep(`❌ Cannot solve: ${reason}`);
+          return;
         }
-        
-        console.log('🎲 Demo rotation moves:', demoMoves);
-        
-        // Execute the rotation sequence
-        let currentIndex = 0;
-        const executeNextRotation = () => {
-          if (currentIndex < demoMoves.length) {
-            const move = demoMoves[currentIndex];
-            setCurrentMove(move);
-            setSolvingStep(`Rotating: ${move}`);
-            
-            // Apply the move to the cube state
-            const newCubeState = applyMoveToCubeState(localCubeData, move);
-            setLocalCubeData(newCubeState);
-            
-            currentIndex++;
-            
-            // Schedule next rotation
-            setTimeout(executeNextRotation, 500);
-          } else {
-            // After rotations, reset to solved state
-            setSolvingStep('Resetting to solved state...');
-            
-            // Create a solved cube state
-            const solvedCubeData = {
-              front: {
-                colors: [
-                  ['green', 'green', 'green'],
-                  ['green', 'green', 'green'],
-                  ['green', 'green', 'green']
-                ]
-              },
-              back: {
-                colors: [
-                  ['blue', 'blue', 'blue'],
-                  ['blue', 'blue', 'blue'],
-                  ['blue', 'blue', 'blue']
-                ]
-              },
-              up: {
-                colors: [
-                  ['white', 'white', 'white'],
-                  ['white', 'white', 'white'],
-                  ['white', 'white', 'white']
-                ]
-              },
-              down: {
-                colors: [
-                  ['yellow', 'yellow', 'yellow'],
-                  ['yellow', 'yellow', 'yellow'],
-                  ['yellow', 'yellow', 'yellow']
-                ]
-              },
-              right: {
-                colors: [
-                  ['red', 'red', 'red'],
-                  ['red', 'red', 'red'],
-                  ['red', 'red', 'red']
-                ]
-              },
-              left: {
-                colors: [
-                  ['orange', 'orange', 'orange'],
-                  ['orange', 'orange', 'orange'],
-                  ['orange', 'orange', 'orange']
-                ]
-              }
-            };
-            
-            console.log('✅ Solved cube state created:', solvedCubeData);
-            
-            setSolvingStep('Updating cube display...');
-            
-            // Update the cube state to solved
-            setLocalCubeData(solvedCubeData);
-            localStorage.setItem('capturedCubeData', JSON.stringify(solvedCubeData));
-            
-            setSolvingStep('Cube solved!');
-            
-            // Reset solving state after a short delay
-            setTimeout(() => {
-              setIsSolving(false);
-              setCurrentMove(null);
-              setCurrentMoveIndex(0);
-              setSolutionMoves([]);
-              setSolvingStep('');
-            }, 1000);
-          }
+
+        console.log(`✅ ${solverName} solution (${solution.moves.length} moves):`, solution.moves.join(' '));
+        if (solution.moves.length === 0) {
+          setSolvingStep('✅ The cube is already solved');
+          return;
+        }
+
+        playbackRef.current = {
+          moves: solution.moves,
+          index: 0,
+          startState: cubeDataToSolve,
+          state: cubeDataToSolve,
+          playing: false,
+          busy: false,
+          historyGroup: `solution-${Date.now()}`
         };
-        
-        // Start the rotation sequence
-        executeNextRotation();
-        
-      } catch (error) {
+        setSolutionMoves(solution.moves);
+        setMovesSaved(solution.movesSaved || 0);
+        setCurrentMoveIndex(0);
+        setHighlightIndex(-1);
+        playSolution();
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          console.log('⏹️ Solve cancelled');
+          setSolvingStep('⏹️ Solve cancelled');
+          return;
+        }
         console.error('❌ Error in handleSolve:', error);
-        setIsSolving(false);
         setSolvingStep(`Error: ${error.message}`);
-      }
-    }, 100);
+      })
+      .finally(() => {
+        if (solveAbortRef.current === controller) solveAbortRef.current = null;
+        setIsSolving(false);
+      });
   };
 
-  // ENHANCED: Updated solving animation with better error handling
-  const startSolvingAnimation = (moves) => {
-    if (moves.length === 0) {
-      setIsSolving(false);
-      setCurrentMove(null);
-      setSolvingStep('No moves needed - cube is already solved!');
+  // Stop button while a solution is being computed
+  const cancelSolve = () => {
+    if (solveAbortRef.current) {
+      solveAbortRef.current.abort();
+    }
+  };
+
+  // Cube state after the first `index` moves of the solution
+  const getPlaybackState = (index) => {
+    const playback = playbackRef.current;
+    return playback.moves
+      .slice(0, index)
+      .reduce((state, move) => applyMoveToCubeState(state, move), playback.startState);
+  };
+
+  // History entry for the solution played up to `index`; every step of one
+  // solution is kept as a single entry
+  const playbackChange = (index) => {
+    const playback = playbackRef.current;
+    return {
+      type: 'playback',
+      label: `Solution: ${index}/${playback.moves.length} moves`,
+      group: playback.historyGroup
+    };
+  };
+
+  const setPlaybackPosition = (index, state) => {
+    const playback = playbackRef.current;
+    playback.index = index;
+    playback.state = state;
+    setCurrentMoveIndex(index);
+    setHighlightIndex(index - 1);
+    handleColorChange(state);
+  };
+
+  // Report the end of the solution, checking the cube really is solved
+  const finishPlayback = () => {
+    const playback = playbackRef.current;
+    const solved = isCubeSolved(playback.state);
+    setSolvingStep(solved
+      ? `✅ Cube solved in ${playback.moves.length} moves`
+      : '⚠️ Solution finished but the cube is not solved');
+    if (solved) {
+      console.log('✅ Solution playback complete - cube verified solved');
+    } else {
+      console.error('❌ Cube is not solved after applying the solution');
+    }
+  };
+
+  // Animate the next move (direction 1) or undo the previous one with its
+  // inverse (direction -1). The sticker state is committed once the
+  // animation completes; onDone(true) is called after that.
+  const stepPlayback = (direction, onDone = null) => {
+    const playback = playbackRef.current;
+    const total = playback.moves.length;
+    const target = playback.index + direction;
+    if (playback.busy || target < 0 || target > total) {
+      if (onDone) onDone(false);
       return;
     }
-    
-    let moveIndex = 0;
-    let currentCubeState = JSON.parse(JSON.stringify(localCubeData));
-    let isStopped = false;
-    
-    const executeNextMove = () => {
-      // Check if solving was stopped
-      if (isStopped || !isSolving) {
-        console.log('⏹️ Solving stopped by user');
+
+    const move = direction > 0
+      ? playback.moves[playback.index]
+      : invertMove(playback.moves[target]);
+    const newState = applyMoveToCubeState(playback.state, move);
+    const moveNumber = direction > 0 ? target : playback.index;
+
+    playback.busy = true;
+    setIsStepping(true);
+    setCurrentMove(move);
+    setHighlightIndex(moveNumber - 1);
+    setSolvingStep(direction > 0
+      ? `Step ${moveNumber}/${total}: ${move}`
+      : `Undo step ${moveNumber}/${total}: ${move}`);
+    console.log(`🔄 ${direction > 0 ? 'Move' : 'Undo'} ${moveNumber}/${total}: ${move} - ${getMoveDescription(move)}`);
+
+    const commitMove = (result) => {
+      playback.busy = false;
+      setIsStepping(false);
+      setCurrentMove(null);
+      // A move cancelled on the cube never landed; stay where we were
+      if (result && !result.applied) {
+        setSolvingStep(`⏹ Stopped at move ${playback.index}/${total}`);
+        if (onDone) onDone(false);
         return;
       }
-      
-      if (moveIndex >= moves.length) {
-        setIsSolving(false);
-        setCurrentMove(null);
-        setSolvingStep('✅ Solve complete! The cube should now be solved!');
-        console.log('✅ Solve animation complete!');
+      setPlaybackPosition(target, newState);
+      if (target === total) finishPlayback();
+      if (onDone) onDone(true);
+    };
+
+    if (virtualCubeRef.current && virtualCubeRef.current.executeMove) {
+      virtualCubeRef.current.executeMove(move, commitMove, playbackChange(target));
+    } else {
+      // Fallback if virtual cube is not available
+      setTimeout(commitMove, 500);
+    }
+  };
+
+  // Play the remaining moves until the end or until paused
+  const playSolution = () => {
+    const playback = playbackRef.current;
+    if (playback.playing || playback.busy || playback.index >= playback.moves.length) return;
+
+    playback.playing = true;
+    setIsPlaying(true);
+
+    const playNext = () => {
+      if (!playback.playing) {
+        setSolvingStep(`⏸ Paused after move ${playback.index}/${playback.moves.length}`);
         return;
       }
-      
-      const move = moves[moveIndex];
-      setCurrentMove(move);
-      setCurrentMoveIndex(moveIndex);
-      setSolvingStep(`Step ${moveIndex + 1}/${moves.length}: ${move} - ${getMoveDescription(move)}`);
-      
-      console.log(`🔄 Move ${moveIndex + 1}/${moves.length}: ${move} - ${getMoveDescription(move)}`);
-      
-      try {
-        // Apply the move to the cube state
-        const newCubeState = applyMoveToCubeState(currentCubeState, move);
-        currentCubeState = newCubeState;
-        
-        // Update the virtual cube with completion callback
-        if (virtualCubeRef.current && virtualCubeRef.current.executeMove) {
-          virtualCubeRef.current.executeMove(move, () => {
-            // This callback is called when animation completes
-            console.log(`✅ Move ${move} animation completed`);
-            
-            // Update local state
-            setLocalCubeData(newCubeState);
-            
-            moveIndex++;
-            
-            // Schedule next move only if not stopped
-            if (!isStopped && isSolving) {
-              setTimeout(executeNextMove, 100); // Small delay between moves
-            }
-          });
+      if (playback.index >= playback.moves.length) {
+        playback.playing = false;
+        setIsPlaying(false);
+        return;
+      }
+      stepPlayback(1, (moved) => {
+        if (moved) {
+          setTimeout(playNext, 100); // Small delay between moves
         } else {
-          // Fallback if virtual cube is not available
-          setLocalCubeData(newCubeState);
-          moveIndex++;
-          setTimeout(executeNextMove, 1000);
+          playback.playing = false;
+          setIsPlaying(false);
         }
-      } catch (error) {
-        console.error(`❌ Error executing move ${move}:`, error);
-        moveIndex++;
-        // Continue with next move even if current one failed
-        if (!isStopped && isSolving) {
-          setTimeout(executeNextMove, 1000);
-        }
-      }
-    };
-    
-    // Start the sequence
-    executeNextMove();
-    
-    // Return a function to stop the solving
-    return () => {
-      isStopped = true;
+      });
     };
+
+    playNext();
+  };
+
+  // Pause after the move that is currently animating
+  const pausePlayback = () => {
+    playbackRef.current.playing = false;
+    setIsPlaying(false);
   };
 
-  const stopSolving = () => {
-    console.log('⏹️ Stopping solve...');
-    setIsSolving(false);
+  // Jump straight to a position in the solution without animating
+  const jumpToMove = (index) => {
+    const playback = playbackRef.current;
+    if (playback.busy || index < 0 || index > playback.moves.length) return;
+
+    pausePlayback();
     setCurrentMove(null);
-    setCurrentMoveIndex(0);
+    const state = getPlaybackState(index);
+    if (virtualCubeRef.current?.recordChange) {
+      virtualCubeRef.current.recordChange(state, playbackChange(index));
+    }
+    setPlaybackPosition(index, state);
+    if (index === playback.moves.length) {
+      finishPlayback();
+    } else {
+      setSolvingStep(`Position ${index}/${playback.moves.length}`);
+    }
+  };
+
+  // Close the timeline, keeping the cube as it is now
+  const closeSolution = () => {
+    if (playbackRef.current.busy) return;
+    pausePlayback();
+    playbackRef.current = { moves: [], index: 0, startState: null, state: null, playing: false, busy: false };
     setSolutionMoves([]);
+    setMovesSaved(0);
+    setCurrentMoveIndex(0);
+    setHighlightIndex(-1);
+    setCurrentMove(null);
     setSolvingStep('');
-    
-    // Stop any ongoing animations
-    if (virtualCubeRef.current && virtualCubeRef.current.stopAnimations) {
-      virtualCubeRef.current.stopAnimations();
-    }
   };
 
   // Execute a single move (for testing)
   const executeSingleMove = (move) => {
+    // The virtual cube applies the move to its stickers when the animation
+    // ends and reports the new state through onColorChange
     if (virtualCubeRef.current) {
       virtualCubeRef.current.executeMove(move);
-      const newCubeState = applyMoveToCubeState(localCubeData, move);
-      setLocalCubeData(newCubeState);
     }
   };
 
@@ -299,6 +468,16 @@ const CubePage = ({ cubeData, onBack }) => {
     }
   };
 
+  // Saved data that could not be opened as it is
+  if (!localCubeData && recovery) {
+    return (
+      <div className="cube-page-recovery">
+        <CubeDataRecovery recovery={recovery} {...recoveryHandlers} />
+        <button className="cube-recovery-secondary" onClick={onBack}>← Back</button>
+      </div>
+    );
+  }
+
   // If no cube data, show minimal message
   if (!localCubeData) {
     return (
@@ -313,8 +492,8 @@ const CubePage = ({ cubeData, onBack }) => {
         color: 'white',
         fontFamily: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif'
       }}>
-        <h2>No Cube Data Available</h2>
-        <p>Please capture a cube first to view it in 3D.</p>
+        <h2>{loading ? '📚 Opening your saved cube...' : 'No Cube Data Available'}</h2>
+        <p>{loading ? 'Loading the cube library.' : 'Please capture a cube first to view it in 3D.'}</p>
         <button 
           style={{
             padding: '12px 24px',
@@ -395,18 +574,49 @@ const CubePage = ({ cubeData, onBack }) => {
         right: '20px',
         top: '50%',
         transform: 'translateY(-50%)',
-        zIndex: 1000
+        zIndex: 1000,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px'
       }}>
+        {/* Solver selection */}
+        {['beginner', 'advanced'].map(level => (
+          <button
+            key={level}
+            onClick={() => handleDifficultyChange(level)}
+            disabled={isSolving || isPlaying}
+            style={{
+              padding: '8px 12px',
+              background: difficultyLevel === level
+                ? 'rgba(255, 255, 255, 0.35)'
+                : 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: `1.5px solid rgba(255, 255, 255, ${difficultyLevel === level ? 0.6 : 0.25})`,
+              borderRadius: '12px',
+              fontSize: '0.8rem',
+              fontWeight: '600',
+              cursor: isSolving || isPlaying ? 'not-allowed' : 'pointer',
+              opacity: (isSolving || isPlaying) && difficultyLevel !== level ? 0.5 : 1,
+              backdropFilter: 'blur(8px)',
+              minWidth: '100px'
+            }}
+            title={level === 'beginner' ? 'Layer-by-layer solution' : 'Kociemba two-phase solution'}
+          >
+            {level === 'beginner' ? '🐢 Beginner' : '🚀 Advanced'}
+          </button>
+        ))}
+
         {/* Solve Button */}
         <button
-          onClick={isSolving ? stopSolving : handleSolve}
+          onClick={isSolving ? cancelSolve : isPlaying ? pausePlayback : handleSolve}
+          disabled={isStepping && !isPlaying}
           style={{
             padding: '12px 16px',
-            background: isSolving 
+            background: isSolving || isPlaying 
               ? 'rgba(255, 100, 100, 0.3)' 
               : 'rgba(100, 255, 100, 0.3)',
             color: 'white',
-            border: `1.5px solid ${isSolving 
+            border: `1.5px solid ${isSolving || isPlaying 
               ? 'rgba(255, 100, 100, 0.5)' 
               : 'rgba(100, 255, 100, 0.5)'}`,
             borderRadius: '12px',
@@ -428,12 +638,58 @@ const CubePage = ({ cubeData, onBack }) => {
             e.target.style.boxShadow = '0 3px 8px rgba(0, 0, 0, 0.2)';
           }}
         >
-          {isSolving ? '🛑 Stop' : '▶️ Start'}
+          {isSolving ? '🛑 Stop' : isPlaying ? '⏸ Pause' : '▶️ Start'}
+        </button>
+
+        {/* Share the cube (and the open solution) as a link */}
+        <button
+          onClick={handleCopyLink}
+          disabled={!localCubeData}
+          style={{
+            padding: '8px 12px',
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: 'white',
+            border: '1.5px solid rgba(255, 255, 255, 0.25)',
+            borderRadius: '12px',
+            fontSize: '0.8rem',
+            fontWeight: '600',
+            cursor: localCubeData ? 'pointer' : 'not-allowed',
+            backdropFilter: 'blur(8px)',
+            minWidth: '100px'
+          }}
+          title={solutionMoves.length > 0 ? 'Copy a link to this cube and its solution' : 'Copy a link to this cube'}
+        >
+          🔗 Copy link
         </button>
       </div>
 
+      {shareMessage && (
+        <div
+          onClick={() => setShareMessage(null)}
+          style={{
+            position: 'absolute',
+            top: '70px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            background: 'rgba(0, 0, 0, 0.7)',
+            color: 'white',
+            padding: '10px 18px',
+            borderRadius: '20px',
+            fontSize: '0.85rem',
+            backdropFilter: 'blur(10px)',
+            zIndex: 1001,
+            maxWidth: '80vw',
+            textAlign: 'center',
+            cursor: 'pointer'
+          }}
+          title="Dismiss"
+        >
+          {shareMessage}
+        </div>
+      )}
+
       {/* Solving Progress Indicator */}
-      {isSolving && (
+      {(isSolving || solvingStep) && solutionMoves.length === 0 && (
         <div style={{
           position: 'absolute',
           bottom: '20px',
@@ -453,16 +709,18 @@ const CubePage = ({ cubeData, onBack }) => {
           maxWidth: '80vw',
           textAlign: 'center'
         }}>
-          <div style={{
-            width: '16px',
-            height: '16px',
-            border: '2px solid rgba(255, 255, 255, 0.3)',
-            borderTop: '2px solid white',
-            borderRadius: '50%',
-            animation: 'spin 1s linear infinite'
-          }}></div>
+          {isSolving && (
+            <div style={{
+              width: '16px',
+              height: '16px',
+              border: '2px solid rgba(255, 255, 255, 0.3)',
+              borderTop: '2px solid white',
+              borderRadius: '50%',
+              animation: 'spin 1s linear infinite'
+            }}></div>
+          )}
           <span>
-            {currentMove ? (
+            {isSolving && currentMove ? (
               <>
                 <strong>{solvingStep}</strong>
                 <br />
@@ -471,12 +729,149 @@ const CubePage = ({ cubeData, onBack }) => {
                 </small>
               </>
             ) : (
-              'Preparing solution...'
+              solvingStep || 'Preparing solution...'
             )}
           </span>
         </div>
       )}
 
+      {/* Solution Timeline */}
+      {solutionMoves.length > 0 && (
+        <div style={{
+          position: 'absolute',
+          bottom: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          width: 'min(720px, 90vw)',
+          background: 'rgba(0, 0, 0, 0.7)',
+          color: 'white',
+          padding: '12px 16px',
+          borderRadius: '16px',
+          backdropFilter: 'blur(10px)',
+          zIndex: 1000,
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '10px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+            <span style={{ fontSize: '0.9rem', fontWeight: '500' }}>
+              <strong>{solvingStep}</strong>
+              {currentMove && (
+                <small style={{ opacity: 0.8 }}> — {getMoveDescription(currentMove)}</small>
+              )}
+            </span>
+            <button
+              onClick={closeSolution}
+              disabled={isStepping}
+              title="Close the solution"
+              style={timelineButtonStyle(isStepping)}
+            >
+              ✖
+            </button>
+          </div>
+
+          {/* Transport controls */}
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '8px' }}>
+            <button
+              onClick={() => jumpToMove(0)}
+              disabled={isStepping || currentMoveIndex === 0}
+              title="Jump to start"
+              style={timelineButtonStyle(isStepping || currentMoveIndex === 0)}
+            >
+              ⏮
+            </button>
+            <button
+              onClick={() => stepPlayback(-1)}
+              disabled={isPlaying || isStepping || currentMoveIndex === 0}
+              title="Step back"
+              style={timelineButtonStyle(isPlaying || isStepping || currentMoveIndex === 0)}
+            >
+              ◀
+            </button>
+            <button
+              onClick={isPlaying ? pausePlayback : playSolution}
+              disabled={!isPlaying && (isStepping || currentMoveIndex === solutionMoves.length)}
+              title={isPlaying ? 'Pause' : 'Play'}
+              style={timelineButtonStyle(!isPlaying && (isStepping || currentMoveIndex === solutionMoves.length))}
+            >
+              {isPlaying ? '⏸' : '▶️'}
+            </button>
+            <button
+              onClick={() => stepPlayback(1)}
+              disabled={isPlaying || isStepping || currentMoveIndex === solutionMoves.length}
+              title="Step forward"
+              style={timelineButtonStyle(isPlaying || isStepping || currentMoveIndex === solutionMoves.length)}
+            >
+              ▶
+            </button>
+            <button
+              onClick={() => jumpToMove(solutionMoves.length)}
+              disabled={isStepping || currentMoveIndex === solutionMoves.length}
+              title="Jump to end"
+              style={timelineButtonStyle(isStepping || currentMoveIndex === solutionMoves.length)}
+            >
+              ⏭
+            </button>
+          </div>
+
+          {/* Scrubber */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.8rem' }}>
+            <span>{currentMoveIndex}</span>
+            <input
+              type="range"
+              min={0}
+              max={solutionMoves.length}
+              value={currentMoveIndex}
+              disabled={isStepping}
+              onChange={(e) => jumpToMove(Number(e.target.value))}
+              style={{ flex: 1 }}
+              aria-label="Solution position"
+            />
+            <span>{solutionMoves.length}</span>
+          </div>
+          <MoveMetrics moves={solutionMoves} style={{ justifyContent: 'center' }} />
+          {movesSaved > 0 && (
+            <small style={{ opacity: 0.7, textAlign: 'center' }}>
+              {movesSaved} move{movesSaved === 1 ? '' : 's'} saved by cancelling turns between stages
+            </small>
+          )}
+
+          {/* Notation strip */}
+          <div
+            ref={notationStripRef}
+            style={{
+              display: 'flex',
+              gap: '4px',
+              overflowX: 'auto',
+              paddingBottom: '4px',
+              fontFamily: 'monospace',
+              fontSize: '0.95rem'
+            }}
+          >
+            {solutionMoves.map((move, index) => (
+              <span
+                key={index}
+                onClick={() => jumpToMove(index + 1)}
+                title={`Jump to after move ${index + 1}`}
+                style={{
+                  padding: '3px 7px',
+                  borderRadius: '6px',
+                  cursor: isStepping ? 'default' : 'pointer',
+                  whiteSpace: 'nowrap',
+                  background: index === highlightIndex
+                    ? 'rgba(100, 255, 100, 0.45)'
+                    : 'rgba(255, 255, 255, 0.1)',
+                  opacity: index < currentMoveIndex || index === highlightIndex ? 1 : 0.6,
+                  fontWeight: index === highlightIndex ? 700 : 400
+                }}
+              >
+                {move}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Use the exact same VirtualCube component but override its container styles */}
       <div style={{
         width: '100vw',
@@ -537,13 +932,18 @@ const CubePage = ({ cubeData, onBack }) => {
             }
           `}
         </style>
-        <VirtualCube 
-          ref={virtualCubeRef}
-          cubeData={localCubeData} 
-          onRecapture={handleRecapture}
-          onColorChange={handleColorChange}
-          currentMove={currentMove}
-        />
+        {(!isSharedCube || sharedHistoryCleared) && (
+          <VirtualCube 
+            ref={virtualCubeRef}
+            cubeData={localCubeData} 
+            onRecapture={handleRecapture}
+            onColorChange={handleColorChange}
+            historyKey={historyKey}
+            currentMove={currentMove}
+            dragEnabled={!isPlaying && !isStepping}
+            keyboardEnabled={!isPlaying && !isStepping}
+          />
+        )}
       </div>
     </div>
   );
@@ -34,6 +34,8 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
     frameCount: 0
   });
   const [totalConfidence, setTotalConfidence] = useState(0);
+  // Detection confidence (0-1) of each sticker in faceColors
+  const [stickerConfidence, setStickerConfidence] = useState([[]]);
 
   // Face capture sequence with detailed instructions
   const FACE_CAPTURE_SEQUENCE = [
@@ -338,15 +340,17 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
       
       // Analyze colors with reduced sampling for better performance
       const colorAnalysis = analyzeColorsOptimized(ctx, gridBounds);
-      const { colors, validDetections, alignmentScore } = colorAnalysis;
+      const { colors, confidences, validDetections, alignmentScore } = colorAnalysis;
       
       setDetectionQuality(alignmentScore);
       setAlignmentScore(alignmentScore);
       
       if (Array.isArray(colors)) {
         setFaceColors(colors);
+        setStickerConfidence(confidences || [[]]);
       } else {
         setFaceColors([[]]);
+        setStickerConfidence([[]]);
       }
       
       // Draw grid and colors efficiently
@@ -1634,7 +1638,8 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
       faceIndex: faceIndex,
       colors: faceColors,
       alignmentScore: alignmentScore,
-      confidence: totalConfidence / 9,
+      confidence: stickerConfidence.flat().reduce((sum, value) => sum + value, 0) / 9,
+      stickerConfidence: stickerConfidence,
       timestamp: Date.now(),
       faceMapping: {
         front: faceIndex === 0,
@@ -1931,11 +1936,13 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
     const faceletSize = gridWidth / 3;
     
     const colors = [];
+    const confidences = [];
     let validDetections = 0;
     let totalConfidence = 0;
     
     for (let row = 0; row < 3; row++) {
       const rowColors = [];
+      const rowConfidences = [];
       for (let col = 0; col < 3; col++) {
         const actualCol = mirrorMode ? (2 - col) : col;
         const centerX = x + (actualCol * faceletSize) + (faceletSize / 2);
@@ -1954,11 +1961,14 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
             totalConfidence += confidence;
           }
           rowColors.push(cubeColor);
+          rowConfidences.push(cubeColor === 'unknown' ? 0 : Math.min(1, Math.max(0, confidence)));
         } else {
           rowColors.push('unknown');
+          rowConfidences.push(0);
         }
       }
       colors.push(rowColors);
+      confidences.push(rowConfidences);
     }
     
     // Validate and correct color consistency
@@ -1972,7 +1982,7 @@ const CubeRecognition = ({ videoRef, onSaveFace, faceIndex, isProcessing }) => {
     
     const alignmentScore = Math.min(100, (validDetections / 9) * 100 + (totalConfidence / 9) * 30);
     
-    return { colors: validatedColors, validDetections, alignmentScore };
+    return { colors: validatedColors, confidences, validDetections, alignmentScore };
   };
 
   // Optimized color sampling with fewer points for better performance
@@ -0,0 +1,282 @@
+// src/components/CubeRenderer.js
+// three.js renderer for the cube: all 26 cubies drawn as one instanced mesh of
+// sticker planes with a single shared geometry and material, over a second
+// instanced mesh of dark piece bodies that fills the gaps between layers.
+//
+// React only renders this component when the cubies change (a move lands, a
+// sticker is recolored); sticker colors are written to the instance colors
+// then. Animation frames never re-render: useFrame advances the move queue and
+// writes the instance matrices of the pieces directly, and only while
+// something is turning.
+
+import React, { memo, useEffect, useLayoutEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { FACE_NAMES, FACE_NORMALS, FACE_ORDER, STICKER_COLORS, getStickerCell } from '../cube/cubeCore';
+import { locateSticker } from '../cube/cubies';
+import { getDragRotation, getLayerMove } from '../animations';
+
+// Drag-to-turn: distance (in cubelets) before a drag picks its layer, and
+// how far the layer turns per cubelet dragged
+const DRAG_THRESHOLD = 0.15;
+const DRAG_RADIANS_PER_UNIT = Math.PI / 3;
+
+const PIECE_SIZE = 0.9;
+
+// Sides of a cubie: where the sticker plane sits and how it is turned
+const PIECE_SIDES = [
+  { side: 'front', position: [0, 0, 0.475], rotation: [0, 0, 0] },
+  { side: 'back', position: [0, 0, -0.475], rotation: [0, Math.PI, 0] },
+  { side: 'right', position: [0.475, 0, 0], rotation: [0, Math.PI / 2, 0] },
+  { side: 'left', position: [-0.475, 0, 0], rotation: [0, -Math.PI / 2, 0] },
+  { side: 'up', position: [0, 0.475, 0], rotation: [-Math.PI / 2, 0, 0] },
+  { side: 'down', position: [0, -0.475, 0], rotation: [Math.PI / 2, 0, 0] }
+];
+
+// Shared by every cube on the page; they are never disposed. The body sits
+// just inside the sticker planes.
+const STICKER_GEOMETRY = new THREE.PlaneGeometry(0.9, 0.9);
+const STICKER_MATERIAL = new THREE.MeshStandardMaterial({ color: '#FFFFFF', roughness: 0.3, metalness: 0.1 });
+const BODY_GEOMETRY = new THREE.BoxGeometry(0.84, 0.84, 0.84);
+const BODY_MATERIAL = new THREE.MeshStandardMaterial({ color: '#111111', roughness: 0.6, metalness: 0.1 });
+const BODY_COLOR = new THREE.Color('#111111');
+const COLOR_CACHE = new Map();
+
+const SIDE_MATRICES = PIECE_SIDES.map(({ position, rotation }) =>
+  new THREE.Matrix4()
+    .makeScale(PIECE_SIZE, PIECE_SIZE, PIECE_SIZE)
+    .multiply(new THREE.Matrix4().compose(
+      new THREE.Vector3(...position),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+      new THREE.Vector3(1, 1, 1)
+    ))
+);
+
+export function getStickerColor(color) {
+  const key = color && color !== 'unknown' && STICKER_COLORS[color] ? color : 'gray';
+  if (!COLOR_CACHE.has(key)) COLOR_CACHE.set(key, new THREE.Color(STICKER_COLORS[key]));
+  return COLOR_CACHE.get(key);
+}
+
+// Instance index of a cubie side, and back
+const instanceIndex = (cubieId, sideIndex) => cubieId * PIECE_SIDES.length + sideIndex;
+const instanceSticker = (index) => ({
+  cubieId: Math.floor(index / PIECE_SIDES.length),
+  side: PIECE_SIDES[index % PIECE_SIDES.length].side
+});
+
+// Scratch objects reused every frame
+const scratch = {
+  rotation: new THREE.Quaternion(),
+  axis: new THREE.Vector3(),
+  position: new THREE.Vector3(),
+  quaternion: new THREE.Quaternion(),
+  scale: new THREE.Vector3(1, 1, 1),
+  piece: new THREE.Matrix4(),
+  sticker: new THREE.Matrix4()
+};
+
+// `cubies` gives the sticker colors; their transforms are read from
+// cubiesRef each frame so a move that lands mid-frame shows at once.
+// frameStats (optional) collects frame times for the debug overlay.
+const RubiksCube = ({ cubies, cubiesRef, onFaceClick, moveQueue, onDragMove, controlsRef, frameStats = null }) => {
+  const meshRef = useRef();
+  const bodyRef = useRef();
+  const { camera, gl } = useThree();
+  if (frameStats) frameStats.recordRender();
+
+  // Cubies and turn drawn last frame; matrices are rewritten only on change
+  const drawnRef = useRef({ cubies: null, turning: false });
+
+  // Sticker colors follow the cubies; inner sides have no sticker and take
+  // the color of the body
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const hadColors = Boolean(mesh.instanceColor);
+    cubies.forEach(cubie => {
+      PIECE_SIDES.forEach(({ side }, sideIndex) => {
+        const color = side in cubie.stickers ? getStickerColor(cubie.stickers[side]) : BODY_COLOR;
+        mesh.setColorAt(instanceIndex(cubie.id, sideIndex), color);
+      });
+    });
+    mesh.instanceColor.needsUpdate = true;
+    if (!hadColors) mesh.material.needsUpdate = true;
+  }, [cubies]);
+
+  // Pointer drag on a sticker, before and after it becomes a layer turn
+  const dragRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const raycasterRef = useRef(new THREE.Raycaster());
+
+  // Where the sticker under the pointer is now ({ faceName, position })
+  const locateInstance = (index) => {
+    const { cubieId, side } = instanceSticker(index);
+    return locateSticker(cubiesRef.current.find(cubie => cubie.id === cubieId), side);
+  };
+
+  // Point under the pointer on the plane of the dragged sticker
+  const pointOnDragPlane = (event, plane) => {
+    const rect = gl.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycasterRef.current.setFromCamera(ndc, camera);
+    return raycasterRef.current.ray.intersectPlane(plane, new THREE.Vector3());
+  };
+
+  // Pressing a sticker starts a drag; OrbitControls is paused until release
+  // so only drags that start on empty space orbit the camera
+  const handlePointerDown = (event) => {
+    suppressClickRef.current = false;
+    if (!onDragMove || moveQueue.isBusy() || event.instanceId === undefined) return;
+    const { faceName, position } = locateInstance(event.instanceId);
+    const face = FACE_ORDER.find(letter => FACE_NAMES[letter] === faceName);
+    if (!getStickerCell(position, faceName)) return;
+    event.stopPropagation();
+
+    const normal = FACE_NORMALS[face];
+    dragRef.current = {
+      position,
+      normal,
+      pointerId: event.pointerId,
+      start: event.point.clone(),
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(new THREE.Vector3(...normal), event.point),
+      rotation: null,
+      angle: 0
+    };
+    if (controlsRef?.current) controlsRef.current.enabled = false;
+  };
+
+  // The layer follows the pointer once the drag has picked a direction
+  const dragHandlers = useRef({});
+  dragHandlers.current.move = (event) => {
+    const drag = dragRef.current;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    const point = pointOnDragPlane(event, drag.plane);
+    if (!point) return;
+    const delta = point.sub(drag.start);
+
+    if (!drag.rotation) {
+      if (delta.length() < DRAG_THRESHOLD) return;
+      drag.rotation = getDragRotation(drag.position, drag.normal, delta.toArray());
+      if (!drag.rotation) return;
+    }
+
+    const { direction, sign } = drag.rotation;
+    const distance = delta.dot(new THREE.Vector3(...direction));
+    drag.angle = sign * distance * DRAG_RADIANS_PER_UNIT;
+  };
+
+  // On release the layer snaps to the nearest quarter turn; a turn becomes a
+  // move that animates on from where the pointer left it
+  dragHandlers.current.end = (event) => {
+    const drag = dragRef.current;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    dragRef.current = null;
+    if (controlsRef?.current) controlsRef.current.enabled = true;
+    if (!drag.rotation) return;
+
+    suppressClickRef.current = true;
+    const { axis, layer } = drag.rotation;
+    const quarters = Math.round(drag.angle / (Math.PI / 2));
+    const move = quarters === 0 ? null : getLayerMove(axis, layer, -quarters);
+    if (!move) return;
+    console.log(`🖐️ Drag turn: ${move}`);
+    onDragMove(move, drag.angle);
+  };
+
+  useEffect(() => {
+    const onMove = (event) => dragHandlers.current.move(event);
+    const onEnd = (event) => dragHandlers.current.end(event);
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onEnd);
+    window.addEventListener('pointercancel', onEnd);
+    return () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onEnd);
+      window.removeEventListener('pointercancel', onEnd);
+    };
+  }, []);
+
+  // A drag that turned a layer is not also a click on the sticker
+  const handleClick = (event) => {
+    event.stopPropagation();
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    if (event.instanceId === undefined) return;
+    const { faceName, position } = locateInstance(event.instanceId);
+    if (onFaceClick) onFaceClick(faceName, position);
+  };
+
+  // The move queue advances with the render loop. Every cubie is placed
+  // from its resting transform, and the cubies of the turning layer (the
+  // current move, or the layer being dragged) are rotated on top of that.
+  useFrame((state, delta) => {
+    const started = performance.now();
+    moveQueue.tick(delta * 1000);
+
+    let turning = null;
+    const drag = dragRef.current;
+    if (drag?.rotation) {
+      turning = { axis: drag.rotation.axis, layers: [drag.rotation.layer], angle: drag.angle };
+    } else if (moveQueue.getCurrent()) {
+      const { axis, layers } = moveQueue.getCurrent().parsed;
+      turning = { axis, layers, angle: moveQueue.getAngle() };
+    }
+
+    const mesh = meshRef.current;
+    const body = bodyRef.current;
+    const drawn = drawnRef.current;
+    const current = cubiesRef.current;
+    if (mesh && body && (turning || drawn.turning || drawn.cubies !== current)) {
+      const axisIndex = turning ? ['x', 'y', 'z'].indexOf(turning.axis) : -1;
+      if (turning) {
+        scratch.axis.set(0, 0, 0).setComponent(axisIndex, 1);
+        scratch.rotation.setFromAxisAngle(scratch.axis, turning.angle);
+      }
+      current.forEach(cubie => {
+        scratch.position.set(...cubie.position);
+        scratch.quaternion.set(...cubie.quaternion);
+        if (turning && turning.layers.includes(cubie.position[axisIndex])) {
+          scratch.position.applyQuaternion(scratch.rotation);
+          scratch.quaternion.premultiply(scratch.rotation);
+        }
+        scratch.piece.compose(scratch.position, scratch.quaternion, scratch.scale);
+        body.setMatrixAt(cubie.id, scratch.piece);
+        SIDE_MATRICES.forEach((sideMatrix, sideIndex) => {
+          scratch.sticker.multiplyMatrices(scratch.piece, sideMatrix);
+          mesh.setMatrixAt(instanceIndex(cubie.id, sideIndex), scratch.sticker);
+        });
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      body.instanceMatrix.needsUpdate = true;
+      drawnRef.current = { cubies: current, turning: Boolean(turning) };
+    }
+
+    if (frameStats) frameStats.recordFrame(delta * 1000, performance.now() - started);
+  });
+
+  return (
+    <>
+      <instancedMesh
+        ref={bodyRef}
+        args={[BODY_GEOMETRY, BODY_MATERIAL, cubies.length]}
+        frustumCulled={false}
+        raycast={() => null}
+      />
+      <instancedMesh
+        ref={meshRef}
+        args={[STICKER_GEOMETRY, STICKER_MATERIAL, cubies.length * PIECE_SIDES.length]}
+        frustumCulled={false}
+        onClick={handleClick}
+        onPointerDown={handlePointerDown}
+      />
+    </>
+  );
+};
+
+export default memo(RubiksCube);
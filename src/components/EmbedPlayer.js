@@ -0,0 +1,168 @@
+// src/components/EmbedPlayer.js
+// Chrome-less algorithm player for the /embed route, meant to be put in an
+// iframe on algorithm sheets and reconstructions:
+//
+//   <iframe src="https://.../embed?setup=F+R+U+R'+U'+F'&alg=F+R+U+R'+U'+F'&speed=1.5"></iframe>
+//
+// It draws only the 3D cube and a row of transport controls. The host page
+// is told about progress through postMessage events
+// { source: 'cube-embed', type, ... } where type is:
+//   ready     { total, errors }        the player has loaded
+//   move      { index, total, move }   a move landed; index moves are done
+//   finished  { total }                the last move of the algorithm landed
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import { invertMove } from '../cube/cubeCore';
+import { createCubies, turnCubies } from '../cube/cubies';
+import { parseEmbedParams } from '../cube/shareLink';
+import { applyMovesToCubeState } from '../animations';
+import { createMoveQueue } from '../animationQueue';
+import RubiksCube from './CubeRenderer';
+
+export const EMBED_MESSAGE_SOURCE = 'cube-embed';
+
+// Events only go out when the player is framed by another page
+const postToHost = (type, detail = {}) => {
+  if (window.parent === window) return;
+  window.parent.postMessage({ source: EMBED_MESSAGE_SOURCE, type, ...detail }, '*');
+};
+
+const EmbedPlayer = () => {
+  const location = useLocation();
+  const [embed] = useState(() => parseEmbedParams(location.search));
+  const { alg } = embed;
+
+  // index is the number of algorithm moves applied to the setup
+  const cubiesAt = (index) => createCubies(applyMovesToCubeState(embed.cubeData, alg.slice(0, index)));
+  const [cubies, setCubies] = useState(() => cubiesAt(0));
+  const cubiesRef = useRef(cubies);
+  const [index, setIndex] = useState(0);
+  const indexRef = useRef(0);
+  const [playing, setPlaying] = useState(false);
+  const playingRef = useRef(false);
+  const [busy, setBusy] = useState(false);
+
+  const moveQueueRef = useRef(null);
+  if (!moveQueueRef.current) {
+    moveQueueRef.current = createMoveQueue({
+      onApply: (entry) => {
+        const next = turnCubies(cubiesRef.current, entry.move);
+        cubiesRef.current = next;
+        setCubies(next);
+        indexRef.current = entry.change.index;
+        setIndex(entry.change.index);
+        postToHost('move', { index: entry.change.index, total: alg.length, move: entry.move });
+        if (entry.change.index === alg.length && entry.change.forward) {
+          postToHost('finished', { total: alg.length });
+        }
+      },
+      onCurrentChange: (current) => setBusy(current !== null)
+    });
+    moveQueueRef.current.setSpeed(embed.speed);
+  }
+  const moveQueue = moveQueueRef.current;
+
+  const setPlayingState = (value) => {
+    playingRef.current = value;
+    setPlaying(value);
+  };
+
+  // Animate one move forward or back; resolves with the queue result
+  const step = (direction) => {
+    const from = indexRef.current;
+    const to = from + direction;
+    if (to < 0 || to > alg.length) return Promise.resolve({ applied: false });
+    const move = direction > 0 ? alg[from] : invertMove(alg[to]);
+    return moveQueue.enqueue(move, { change: { index: to, forward: direction > 0 } });
+  };
+
+  const playNext = () => {
+    if (!playingRef.current) return;
+    if (indexRef.current >= alg.length) {
+      setPlayingState(false);
+      return;
+    }
+    step(1).then(result => {
+      if (result.applied) playNext();
+    });
+  };
+
+  // Jumps show the position at once, without animating the moves between
+  const jumpTo = (target) => {
+    setPlayingState(false);
+    moveQueue.cancel();
+    const next = cubiesAt(target);
+    cubiesRef.current = next;
+    setCubies(next);
+    indexRef.current = target;
+    setIndex(target);
+    postToHost('move', { index: target, total: alg.length, move: null });
+  };
+
+  const handlePlay = () => {
+    if (playingRef.current) {
+      // The move already turning finishes, then playback stops
+      setPlayingState(false);
+      return;
+    }
+    if (moveQueue.isBusy()) return;
+    if (indexRef.current >= alg.length) jumpTo(0);
+    setPlayingState(true);
+    playNext();
+  };
+
+  const handleStep = (direction) => {
+    if (playingRef.current || moveQueue.isBusy()) return;
+    step(direction);
+  };
+
+  // Announce the player and start autoplay once it has loaded. The effect
+  // calls the latest handler through a ref and runs a single time.
+  const startHandler = useRef(null);
+  startHandler.current = () => {
+    console.log(`🎬 Embed player: ${alg.length} moves`, embed);
+    if (embed.errors.length > 0) console.warn('⚠️ Embed parameters:', embed.errors);
+    postToHost('ready', { total: alg.length, errors: embed.errors });
+    if (embed.autoplay && alg.length > 0) {
+      setPlayingState(true);
+      playNext();
+    }
+  };
+
+  useEffect(() => {
+    startHandler.current();
+    return () => moveQueue.cancel();
+  }, [moveQueue]);
+
+  return (
+    <div className="embed-player">
+      <Canvas camera={{ position: [5, 5, 5], fov: 50 }}>
+        <ambientLight intensity={0.6} />
+        <directionalLight position={[10, 10, 5]} intensity={1} />
+        <pointLight position={[-10, -10, -5]} intensity={0.5} />
+        <RubiksCube cubies={cubies} cubiesRef={cubiesRef} moveQueue={moveQueue} onFaceClick={null} onDragMove={null} />
+        <OrbitControls enablePan={false} enableZoom={true} enableRotate={true} />
+      </Canvas>
+
+      {alg.length > 0 && (
+        <div className="embed-controls">
+          <button onClick={() => jumpTo(0)} disabled={index === 0 && !busy} title="Back to the start">⏮</button>
+          <button onClick={() => handleStep(-1)} disabled={index === 0 || playing || busy} title="Previous move">◀</button>
+          <button onClick={handlePlay} disabled={busy && !playing} title={playing ? 'Pause' : 'Play'}>{playing ? '⏸' : '▶️'}</button>
+          <button onClick={() => handleStep(1)} disabled={index === alg.length || playing || busy} title="Next move">▶</button>
+          <button onClick={() => jumpTo(alg.length)} disabled={index === alg.length && !busy} title="Jump to the end">⏭</button>
+          <span className="embed-progress">{index} / {alg.length}</span>
+        </div>
+      )}
+
+      {embed.errors.length > 0 && (
+        <div className="embed-errors" title={embed.errors.join('\n')}>⚠️ {embed.errors[0]}</div>
+      )}
+    </div>
+  );
+};
+
+export default EmbedPlayer;
@@ -0,0 +1,52 @@
+// src/components/FrameStatsOverlay.js
+// Debug overlay with the 3D cube's frame times. The numbers are written
+// straight into the DOM a few times a second so the overlay itself never
+// re-renders while the cube animates. Toggled with the 📈 button; the choice
+// is remembered in localStorage.
+
+import React, { useEffect, useRef, useState } from 'react';
+
+const STORAGE_KEY = 'frameStatsOverlay';
+const REFRESH_MS = 500;
+
+const formatSummary = (summary) => [
+  `${summary.fps.toFixed(0)} fps`,
+  `frame ${summary.averageMs.toFixed(1)} ms avg, ${summary.worstMs.toFixed(1)} ms worst`,
+  `cube update ${summary.workMs.toFixed(2)} ms`,
+  `slow frames ${summary.slowFrames}`,
+  `cube renders ${summary.renders}`
+].join('\n');
+
+const FrameStatsOverlay = ({ stats }) => {
+  const [isOpen, setIsOpen] = useState(() => localStorage.getItem(STORAGE_KEY) === 'true');
+  const textRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const refresh = () => {
+      if (textRef.current) textRef.current.textContent = formatSummary(stats.getSummary());
+    };
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [isOpen, stats]);
+
+  const toggle = () => {
+    localStorage.setItem(STORAGE_KEY, String(!isOpen));
+    setIsOpen(!isOpen);
+  };
+
+  return (
+    <div className="frame-stats">
+      <button onClick={toggle} title="Frame-time stats">📈</button>
+      {isOpen && (
+        <>
+          <pre ref={textRef} />
+          <button onClick={() => stats.reset()}>Reset</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FrameStatsOverlay;
@@ -0,0 +1,71 @@
+// src/components/HistoryPanel.js
+// Undo/redo buttons and the list of recorded changes; clicking an entry jumps
+// to the cube as it was right after that change.
+
+import React, { useState } from 'react';
+import { canUndo, canRedo } from '../cube/history';
+
+const TYPE_ICONS = {
+  move: '🔄',
+  recolor: '🎨',
+  scramble: '🎲',
+  playback: '▶️',
+  external: '📥'
+};
+
+const panelButtonStyle = (disabled) => ({
+  padding: '4px 10px',
+  background: 'rgba(255, 255, 255, 0.15)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.4 : 1
+});
+
+const HistoryPanel = ({ history, onUndo, onRedo, onJump, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const entries = history ? history.entries : [];
+  const position = history ? history.position : 0;
+  const undoDisabled = disabled || !canUndo(history);
+  const redoDisabled = disabled || !canRedo(history);
+
+  return (
+    <div className="history-panel">
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <button onClick={onUndo} disabled={undoDisabled} title="Undo (Ctrl+Z)" style={panelButtonStyle(undoDisabled)}>
+          ↶
+        </button>
+        <button onClick={onRedo} disabled={redoDisabled} title="Redo (Ctrl+Shift+Z)" style={panelButtonStyle(redoDisabled)}>
+          ↷
+        </button>
+        <button onClick={() => setIsOpen(open => !open)} style={panelButtonStyle(false)}>
+          🕘 History ({position}/{entries.length})
+        </button>
+      </div>
+
+      {isOpen && (
+        <ol className="history-list">
+          <li
+            className={position === 0 ? 'current' : ''}
+            onClick={() => !disabled && onJump(0)}
+          >
+            ⏺ Start
+          </li>
+          {entries.map((entry, index) => (
+            <li
+              key={entry.id}
+              className={`${index + 1 === position ? 'current' : ''} ${index + 1 > position ? 'undone' : ''}`}
+              onClick={() => !disabled && onJump(index + 1)}
+              title={entry.label}
+            >
+              {TYPE_ICONS[entry.type] || '•'} {entry.label}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
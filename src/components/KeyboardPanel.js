@@ -0,0 +1,112 @@
+// src/components/KeyboardPanel.js
+// Keyboard turning settings: on/off switch and the key remapping table.
+// Click "+" next to a move and press a key to bind it; click a key to unbind it.
+
+import React, { useState, useEffect } from 'react';
+import {
+  DEFAULT_KEY_MAP,
+  KEYBOARD_MOVE_GROUPS,
+  bindKey,
+  unbindKey,
+  getKeysForMove
+} from '../cube/keyMap';
+
+const keyChipStyle = {
+  display: 'inline-block',
+  minWidth: '18px',
+  padding: '1px 5px',
+  margin: '0 3px 3px 0',
+  background: 'rgba(255, 255, 255, 0.2)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '4px',
+  color: 'white',
+  fontFamily: 'monospace',
+  cursor: 'pointer'
+};
+
+const KeyboardPanel = ({ keyMap, onKeyMapChange, enabled, onEnabledChange, queuedMoves = [] }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [listeningFor, setListeningFor] = useState(null);
+
+  // While listening, the next key press is bound to the chosen move
+  useEffect(() => {
+    if (!listeningFor) return undefined;
+    const onKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key !== 'Escape') {
+        onKeyMapChange(bindKey(keyMap, event.key, listeningFor));
+      }
+      setListeningFor(null);
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [listeningFor, keyMap, onKeyMapChange]);
+
+  return (
+    <div className="keyboard-panel">
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button className="keyboard-toggle" onClick={() => setIsOpen(open => !open)}>
+          ⌨️ Keys
+        </button>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={enabled} onChange={(event) => onEnabledChange(event.target.checked)} />
+          Keyboard turning
+        </label>
+        {queuedMoves.length > 0 && (
+          <span style={{ opacity: 0.7, fontFamily: 'monospace' }}>{queuedMoves.join(' ')}</span>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="keyboard-map">
+          {listeningFor && (
+            <p style={{ color: '#4fc3f7', margin: '6px 0' }}>
+              Press a key for {listeningFor} (Esc to cancel)
+            </p>
+          )}
+          {KEYBOARD_MOVE_GROUPS.map(group => (
+            <div key={group.name} style={{ marginTop: '8px' }}>
+              <strong>{group.name}</strong>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '2px 12px', marginTop: '4px' }}>
+                {group.moves.map(move => (
+                  <div key={move} style={{ display: 'flex', alignItems: 'baseline', gap: '4px' }}>
+                    <span style={{ width: '24px', fontFamily: 'monospace' }}>{move}</span>
+                    <span>
+                      {getKeysForMove(keyMap, move).map(key => (
+                        <span
+                          key={key}
+                          style={keyChipStyle}
+                          title={`Unbind ${key}`}
+                          onClick={() => onKeyMapChange(unbindKey(keyMap, key))}
+                        >
+                          {key}
+                        </span>
+                      ))}
+                      <span
+                        style={{ ...keyChipStyle, opacity: listeningFor === move ? 1 : 0.5 }}
+                        title={`Bind a key to ${move}`}
+                        onClick={() => setListeningFor(move)}
+                      >
+                        +
+                      </span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+          <button
+            className="keyboard-toggle"
+            style={{ marginTop: '10px' }}
+            onClick={() => onKeyMapChange({ ...DEFAULT_KEY_MAP })}
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeyboardPanel;
@@ -0,0 +1,100 @@
+// src/components/ManualEntry.js
+// Enter a cube without the camera: start from a solved (or blank) cube, then
+// either paste the scramble that was applied to it or paint the stickers on
+// the net. The result is a regular cubeData object handed to onCubeReady,
+// just like a camera capture.
+
+import React, { useState } from 'react';
+import { createBlankCubeData, createSolvedCube, cubeToCubeData, paintStickers } from '../cube/cubeCore';
+import { validateCubeData } from '../cube/cubeValidator';
+import { toMoveList } from '../cube/notation';
+import { applyMovesToCubeState } from '../animations';
+import CubeNet from './CubeNet';
+
+const solvedCubeData = () => cubeToCubeData(createSolvedCube());
+
+const ManualEntry = ({ onCubeReady, onCancel = null }) => {
+  const [cubeData, setCubeData] = useState(solvedCubeData);
+  const [scramble, setScramble] = useState('');
+  const [scrambleError, setScrambleError] = useState(null);
+
+  const validation = validateCubeData(cubeData);
+
+  const startFrom = (base) => {
+    setCubeData(base);
+    setScramble('');
+    setScrambleError(null);
+  };
+
+  // Scrambles are applied to a solved cube as they are typed
+  const handleScrambleChange = (text) => {
+    setScramble(text);
+    try {
+      const moves = toMoveList(text);
+      setCubeData(applyMovesToCubeState(solvedCubeData(), moves));
+      setScrambleError(null);
+    } catch (error) {
+      setScrambleError(error.message);
+    }
+  };
+
+  // A painted cube no longer follows the scramble
+  const handlePaint = (changes) => {
+    setCubeData(current => paintStickers(current, changes));
+    setScramble('');
+    setScrambleError(null);
+  };
+
+  const handleUse = () => {
+    const moves = scramble.trim() && !scrambleError ? toMoveList(scramble) : [];
+    console.log(`✏️ Manual cube entered${moves.length > 0 ? ` from scramble: ${moves.join(' ')}` : ''}`);
+    onCubeReady(cubeData, { source: moves.length > 0 ? 'scramble' : 'manual', scramble: moves });
+  };
+
+  return (
+    <div className="manual-entry">
+      <h2>✏️ Enter a Cube Without the Camera</h2>
+      <p className="manual-entry-hint">
+        Start from a solved cube and paste the scramble you applied, or paint every sticker on the net
+        to match your cube (hold Green in front and White on top).
+      </p>
+
+      <div className="manual-entry-start">
+        <button onClick={() => startFrom(solvedCubeData())}>🟩 Start from solved</button>
+        <button onClick={() => startFrom(createBlankCubeData())}>⬜ Blank (centers only)</button>
+      </div>
+
+      <label className="manual-entry-scramble">
+        Scramble
+        <input
+          type="text"
+          value={scramble}
+          onChange={(event) => handleScrambleChange(event.target.value)}
+          placeholder="e.g. R U R' U' F2 D"
+          spellCheck={false}
+        />
+      </label>
+      {scrambleError && <p className="manual-entry-error">⚠️ {scrambleError}</p>}
+
+      <CubeNet cubeData={cubeData} validation={validation} onPaint={handlePaint} />
+
+      <div className="manual-entry-actions">
+        {onCancel && (
+          <button className="manual-entry-cancel" onClick={onCancel}>Cancel</button>
+        )}
+        <button
+          className="start-capture-button"
+          onClick={handleUse}
+          disabled={!validation.isValid}
+          title={validation.isValid ? 'Open this cube in the Virtual Cube' : validation.issues.map(item => item.message).join('\n')}
+        >
+          {validation.isValid
+            ? '🎲 Use This Cube'
+            : `⚠️ ${validation.issues.length} issue${validation.issues.length === 1 ? '' : 's'} to fix`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ManualEntry;
@@ -0,0 +1,75 @@
+// src/components/MoveMetrics.js
+// Move counts of a solution, algorithm or scramble in HTM, QTM, STM and ETM,
+// with an execution time estimate at an editable TPS. Each list keeps its own
+// speed; the last valid one is remembered in localStorage for new lists.
+
+import React, { useState } from 'react';
+import { countMoves, estimateExecutionTime, DEFAULT_TPS, METRIC_NAMES } from '../cube/metrics';
+
+const TPS_STORAGE_KEY = 'metricsTps';
+
+const loadTps = () => {
+  const saved = parseFloat(localStorage.getItem(TPS_STORAGE_KEY));
+  return saved > 0 ? saved : DEFAULT_TPS;
+};
+
+const MoveMetrics = ({ moves, style }) => {
+  const [tps, setTps] = useState(loadTps);
+  // What is typed in the TPS field, which may be empty or unfinished ("0.")
+  const [tpsText, setTpsText] = useState(() => String(tps));
+
+  let counts;
+  try {
+    counts = countMoves(moves);
+  } catch (error) {
+    return null;
+  }
+  const seconds = estimateExecutionTime(moves, tps);
+
+  // A valid speed updates the estimate as it is typed; it is stored when the
+  // field loses focus, and anything else is put back to the last valid speed
+  const handleTpsChange = (event) => {
+    setTpsText(event.target.value);
+    const value = parseFloat(event.target.value);
+    if (value > 0) setTps(value);
+  };
+
+  const handleTpsBlur = () => {
+    const value = parseFloat(tpsText);
+    if (value > 0) {
+      localStorage.setItem(TPS_STORAGE_KEY, String(value));
+    } else {
+      setTpsText(String(tps));
+    }
+  };
+
+  return (
+    <div
+      className="move-metrics"
+      style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', fontSize: '0.8rem', ...style }}
+    >
+      {Object.keys(METRIC_NAMES).map(metric => (
+        <span key={metric} title={METRIC_NAMES[metric]}>
+          <strong>{counts[metric]}</strong> {metric.toUpperCase()}
+        </span>
+      ))}
+      <span title="Estimated execution time">
+        ≈ {seconds.toFixed(1)}s at
+        <input
+          type="number"
+          min="0.5"
+          max="20"
+          step="0.5"
+          value={tpsText}
+          onChange={handleTpsChange}
+          onBlur={handleTpsBlur}
+          aria-label="Turns per second"
+          style={{ width: '48px', margin: '0 4px', background: 'transparent', color: 'inherit', border: '1px solid rgba(255, 255, 255, 0.4)', borderRadius: '4px' }}
+        />
+        TPS
+      </span>
+    </div>
+  );
+};
+
+export default MoveMetrics;
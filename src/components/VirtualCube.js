@@ -1,443 +1,130 @@
-import React, { useState, useEffect, useRef, useImperativeHandle, forwardRef } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
+import React, { useState, useEffect, useRef, useCallback, useImperativeHandle, forwardRef } from 'react';
+import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
-import * as THREE from 'three';
+import {
+  DEFAULT_COLOR_SCHEME,
+  FACE_NAMES,
+  FACE_ORDER,
+  createSolvedCube,
+  cubeToCubeData,
+  getStickerCell,
+  paintStickers
+} from '../cube/cubeCore';
+import { validateCubeData, stickerLabel } from '../cube/cubeValidator';
+import {
+  createHistory,
+  getHistoryState,
+  isSameCubeState,
+  recordChange as recordHistoryChange,
+  undoHistory,
+  redoHistory,
+  jumpToHistory,
+  loadHistory,
+  saveHistory
+} from '../cube/history';
+import { toMoveList } from '../cube/notation';
+import { createCubies, cubiesToCubeData, syncCubies, turnCubies } from '../cube/cubies';
+import {
+  getMoveForKey,
+  loadKeyMap,
+  saveKeyMap,
+  loadKeyboardEnabled,
+  saveKeyboardEnabled
+} from '../cube/keyMap';
+import { generateRandomMoveScramble } from '../solvers/scrambler';
+import { generateScrambleInWorker } from '../solvers/solverClient';
+import MoveMetrics from './MoveMetrics';
+import HistoryPanel from './HistoryPanel';
+import KeyboardPanel from './KeyboardPanel';
+import CubeNet from './CubeNet';
+import RubiksCube from './CubeRenderer';
+import FrameStatsOverlay from './FrameStatsOverlay';
+import { createMoveQueue } from '../animationQueue';
+import { createFrameStats } from '../frameStats';
+
+// Scrambles animate this many times faster than regular moves
+const SCRAMBLE_ANIMATION_SPEED = 4;
 
-// Enhanced CubePiece component with proper multi-face colors
-const CubePiece = ({ position, colors, isAnimating, rotationAxis, rotationAngle, onFaceClick, size = 0.9 }) => {
-  const meshRef = useRef();
-  
-  // Ensure we have 6 colors (one for each face)
-  const ensureSixColors = (colorsArray) => {
-    const defaultColors = ['red', 'orange', 'white', 'yellow', 'green', 'blue'];
-    const result = [...(colorsArray || [])];
-    while (result.length < 6) {
-      result.push(defaultColors[result.length] || 'gray');
-    }
-    return result;
-  };
-
-  const faceColors = ensureSixColors(colors);
-  
-  // Log color changes for debugging
-  useEffect(() => {
-    console.log('🎨 CubePiece colors updated:', { position, faceColors });
-  }, [faceColors, position]);
-
-  const getColorHex = (color) => {
-    const colorMap = {
-      white: '#FFFFFF',
-      red: '#FF0000',
-      green: '#00FF00',
-      blue: '#0000FF',
-      yellow: '#FFFF00',
-      orange: '#FFA500',
-      gray: '#666666'
-    };
-    return colorMap[color] || '#666666';
-  };
-
-  const handleFaceClick = (faceName, event) => {
-    if (event && event.stopPropagation) {
-      event.stopPropagation();
-    }
-    if (onFaceClick) {
-      onFaceClick(faceName, position);
-    }
-  };
+// Enhanced CubeControls component
 
-  // Create a proper multi-face cubelet with individual face colors
-  return (
-    <group ref={meshRef} position={position} scale={[size, size, size]}>
-      {/* Front face (Z positive) */}
-      <mesh position={[0, 0, 0.475]} onClick={(e) => handleFaceClick('front', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[0])} // Front face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-      
-      {/* Back face (Z negative) */}
-      <mesh position={[0, 0, -0.475]} rotation={[0, Math.PI, 0]} onClick={(e) => handleFaceClick('back', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[1])} // Back face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-      
-      {/* Right face (X positive) */}
-      <mesh position={[0.475, 0, 0]} rotation={[0, Math.PI / 2, 0]} onClick={(e) => handleFaceClick('right', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[2])} // Right face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-      
-      {/* Left face (X negative) */}
-      <mesh position={[-0.475, 0, 0]} rotation={[0, -Math.PI / 2, 0]} onClick={(e) => handleFaceClick('left', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[3])} // Left face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-      
-      {/* Top face (Y positive) */}
-      <mesh position={[0, 0.475, 0]} rotation={[-Math.PI / 2, 0, 0]} onClick={(e) => handleFaceClick('up', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[4])} // Up face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-      
-      {/* Bottom face (Y negative) */}
-      <mesh position={[0, -0.475, 0]} rotation={[Math.PI / 2, 0, 0]} onClick={(e) => handleFaceClick('down', e)}>
-        <planeGeometry args={[0.9, 0.9]} />
-        <meshStandardMaterial 
-          color={getColorHex(faceColors[5])} // Down face
-          roughness={0.3}
-          metalness={0.1}
-        />
-      </mesh>
-    </group>
-  );
-};
-
-// Enhanced RubiksCube component with proper color mapping
-const RubiksCube = ({ cubeData, onFaceClick, currentMove, animationSpeed = 1, onAnimationComplete }) => {
-  const cubeRef = useRef();
-  const animationRef = useRef({
-    isAnimating: false,
-    rotationAngle: 0,
-    targetAngle: 0,
-    rotationAxis: new THREE.Vector3(0, 0, 1),
-    affectedCubes: [],
-    startTime: 0,
-    duration: 800, // Animation duration in ms
-  });
-
-  // Force re-render when cubeData changes
-  useEffect(() => {
-    console.log('🔄 RubiksCube received new data:', cubeData);
-  }, [cubeData]);
 
-  // Enhanced coordinate mapping system for proper face orientation
-  const getFaceMapping = (x, y, z, faceName) => {
-    // Define the correct mapping for each face based on standard Rubik's Cube orientation
-    const mappings = {
-      front: {
-        // Front face (z = 1): standard orientation
-        '[-1,1,1]': [0, 0],   // top-left
-        '[0,1,1]': [0, 1],    // top-center  
-        '[1,1,1]': [0, 2],    // top-right
-        '[-1,0,1]': [1, 0],   // middle-left
-        '[0,0,1]': [1, 1],    // center
-        '[1,0,1]': [1, 2],    // middle-right
-        '[-1,-1,1]': [2, 0],  // bottom-left
-        '[0,-1,1]': [2, 1],   // bottom-center
-        '[1,-1,1]': [2, 2]    // bottom-right
-      },
-      back: {
-        // Back face (z = -1): opposite orientation
-        '[-1,1,-1]': [0, 2],  // top-left (but right side from back view)
-        '[0,1,-1]': [0, 1],   // top-center
-        '[1,1,-1]': [0, 0],   // top-right (but left side from back view)
-        '[-1,0,-1]': [1, 2],  // middle-left
-        '[0,0,-1]': [1, 1],   // center
-        '[1,0,-1]': [1, 0],   // middle-right
-        '[-1,-1,-1]': [2, 2], // bottom-left
-        '[0,-1,-1]': [2, 1],  // bottom-center
-        '[1,-1,-1]': [2, 0]   // bottom-right
-      },
-      right: {
-        // Right face (x = 1): viewed from right side - accounting for mirror mode
-        '[1,1,-1]': [0, 2],   // top-left (mirrored to top-right)
-        '[1,1,0]': [0, 1],    // top-center
-        '[1,1,1]': [0, 0],    // top-right (mirrored to top-left)
-        '[1,0,-1]': [1, 2],   // middle-left (mirrored to middle-right)
-        '[1,0,0]': [1, 1],    // center
-        '[1,0,1]': [1, 0],    // middle-right (mirrored to middle-left)
-        '[1,-1,-1]': [2, 2],  // bottom-left (mirrored to bottom-right)
-        '[1,-1,0]': [2, 1],   // bottom-center
-        '[1,-1,1]': [2, 0]    // bottom-right (mirrored to bottom-left)
-      },
-      left: {
-        // Left face (x = -1): viewed from left side - accounting for mirror mode
-        '[-1,1,1]': [0, 2],   // top-left (mirrored to top-right)
-        '[-1,1,0]': [0, 1],   // top-center
-        '[-1,1,-1]': [0, 0],  // top-right (mirrored to top-left)
-        '[-1,0,1]': [1, 2],   // middle-left (mirrored to middle-right)
-        '[-1,0,0]': [1, 1],   // center
-        '[-1,0,-1]': [1, 0],  // middle-right (mirrored to middle-left)
-        '[-1,-1,1]': [2, 2],  // bottom-left (mirrored to bottom-right)
-        '[-1,-1,0]': [2, 1],  // bottom-center
-        '[-1,-1,-1]': [2, 0]  // bottom-right (mirrored to bottom-left)
-      },
-      up: {
-        // Up face (y = 1): viewed from top - accounting for mirror mode
-        '[-1,1,-1]': [0, 2],  // top-left (mirrored to top-right)
-        '[0,1,-1]': [0, 1],   // top-center
-        '[1,1,-1]': [0, 0],   // top-right (mirrored to top-left)
-        '[-1,1,0]': [1, 2],   // middle-left (mirrored to middle-right)
-        '[0,1,0]': [1, 1],    // center
-        '[1,1,0]': [1, 0],    // middle-right (mirrored to middle-left)
-        '[-1,1,1]': [2, 2],   // bottom-left (mirrored to bottom-right)
-        '[0,1,1]': [2, 1],    // bottom-center
-        '[1,1,1]': [2, 0]     // bottom-right (mirrored to bottom-left)
-      },
-      down: {
-        // Down face (y = -1): viewed from bottom - accounting for mirror mode
-        '[-1,-1,1]': [0, 2],  // top-left (mirrored to top-right)
-        '[0,-1,1]': [0, 1],   // top-center
-        '[1,-1,1]': [0, 0],   // top-right (mirrored to top-left)
-        '[-1,-1,0]': [1, 2],  // middle-left (mirrored to middle-right)
-        '[0,-1,0]': [1, 1],   // center
-        '[1,-1,0]': [1, 0],   // middle-right (mirrored to middle-left)
-        '[-1,-1,-1]': [2, 2], // bottom-left (mirrored to bottom-right)
-        '[0,-1,-1]': [2, 1],  // bottom-center
-        '[1,-1,-1]': [2, 0]   // bottom-right (mirrored to bottom-left)
-      }
-    };
-    
-    const faceMapping = mappings[faceName];
-    if (!faceMapping) {
-      return { row: 0, col: 0 };
-    }
-    
-    const positionKey = `[${x},${y},${z}]`;
-    const gridCoords = faceMapping[positionKey];
-    
-    if (gridCoords) {
-      return { row: gridCoords[0], col: gridCoords[1] };
-    }
-    
-    return { row: 0, col: 0 };
-  };
+// Main VirtualCube component
+const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: externalCurrentMove, historyKey = 'capturedCubeData', dragEnabled = true, keyboardEnabled = true }, ref) => {
+  const [localCubeData, setLocalCubeData] = useState(cubeData || {});
+  const [selectedSquare, setSelectedSquare] = useState(null);
+  const [showColorPalette, setShowColorPalette] = useState(false);
+  
+  // Animation states
+  const [isScrambling, setIsScrambling] = useState(false);
+  const [animationSpeed, setAnimationSpeed] = useState(1);
+  const [saveStatus, setSaveStatus] = useState(null);
 
-  // Create positions for 3x3x3 cube
-  const positions = [];
-  for (let x = -1; x <= 1; x++) {
-    for (let y = -1; y <= 1; y++) {
-      for (let z = -1; z <= 1; z++) {
-        positions.push([x, y, z]);
-      }
-    }
+  // Move queue: currentMove is the queue entry being animated and
+  // queuedMoves the moves waiting behind it. cubeStateRef always holds the
+  // latest stickers so moves applied in one frame build on each other.
+  const [currentMove, setCurrentMove] = useState(null);
+  const [queuedMoves, setQueuedMoves] = useState([]);
+  const cubeStateRef = useRef(localCubeData);
+
+  // The pieces drawn by RubiksCube; a turn moves them and the stickers are
+  // read back from where they land
+  const [cubies, setCubies] = useState(() => createCubies(localCubeData));
+  const cubiesRef = useRef(cubies);
+  const frameStatsRef = useRef(null);
+  if (!frameStatsRef.current) frameStatsRef.current = createFrameStats();
+  const applyQueuedMoveRef = useRef(null);
+  const moveQueueRef = useRef(null);
+  if (!moveQueueRef.current) {
+    moveQueueRef.current = createMoveQueue({
+      onApply: (entry) => applyQueuedMoveRef.current(entry),
+      onCurrentChange: setCurrentMove,
+      onQueueChange: setQueuedMoves
+    });
   }
+  const moveQueue = moveQueueRef.current;
+
+  // Stickers changed without a turn recolor the cubies where they stand
+  const updateLocalCubeData = (next, nextCubies = syncCubies(cubiesRef.current, next)) => {
+    cubeStateRef.current = next;
+    cubiesRef.current = nextCubies;
+    setLocalCubeData(next);
+    setCubies(nextCubies);
+  };
 
-  // Enhanced function to get colors for each cube piece based on position
-  const getCubePieceColors = (x, y, z) => {
-    const colors = [];
-    
-    // Helper function to get face colors
-    const getFaceColors = (faceData) => {
-      if (!faceData) return null;
-      if (faceData.colors && Array.isArray(faceData.colors)) {
-        return faceData.colors;
-      }
-      if (Array.isArray(faceData)) {
-        return faceData;
-      }
-      return null;
-    };
-
-    // Get color for specific position on a face
-    const getFaceColor = (faceName, faceData, x, y, z) => {
-      const colors = getFaceColors(faceData);
-      if (!colors) return null;
-      
-      const { row, col } = getFaceMapping(x, y, z, faceName);
-      
-      // Ensure row and col are within bounds
-      if (row >= 0 && row < colors.length && col >= 0 && col < colors[row].length) {
-        const color = colors[row][col];
-        if (color && color !== 'unknown' && color !== null) {
-          return color;
-        }
-      }
-      
-      return null;
-    };
-
-    // Map colors for each face in the correct order: [front, back, right, left, up, down]
-    
-    // Front face (z = 1)
-    colors.push(getFaceColor('front', cubeData.front, x, y, z));
-
-    // Back face (z = -1)
-    colors.push(getFaceColor('back', cubeData.back, x, y, z));
-
-    // Right face (x = 1)
-    colors.push(getFaceColor('right', cubeData.right, x, y, z));
-
-    // Left face (x = -1)
-    colors.push(getFaceColor('left', cubeData.left, x, y, z));
-
-    // Up face (y = 1)
-    colors.push(getFaceColor('up', cubeData.up, x, y, z));
-
-    // Down face (y = -1)
-    colors.push(getFaceColor('down', cubeData.down, x, y, z));
-
-    return colors;
+  // A finished (or flushed) move turns the cubies; the stickers follow them
+  // into the history
+  applyQueuedMoveRef.current = (entry) => {
+    const previous = cubeStateRef.current;
+    const nextCubies = turnCubies(cubiesRef.current, entry.move);
+    const next = cubiesToCubeData(nextCubies, previous);
+    if (entry.change) recordChange(previous, next, entry.change);
+    updateLocalCubeData(next, nextCubies);
+    if (onColorChange) onColorChange(next, entry.change);
   };
 
-  // Handle move animations
   useEffect(() => {
-    if (currentMove && !animationRef.current.isAnimating) {
-      const { face, direction } = currentMove;
-      animationRef.current.isAnimating = true;
-      animationRef.current.rotationAngle = 0;
-      animationRef.current.targetAngle = direction === 1 ? Math.PI / 2 : -Math.PI / 2;
-      animationRef.current.startTime = Date.now();
-      
-      // Define rotation axis and affected cubes based on face
-      switch (face) {
-        case 'F': // Front
-          animationRef.current.rotationAxis = new THREE.Vector3(0, 0, 1);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[2] === 1)
-            .map(({ index }) => index);
-          break;
-        case 'B': // Back
-          animationRef.current.rotationAxis = new THREE.Vector3(0, 0, -1);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[2] === -1)
-            .map(({ index }) => index);
-          break;
-        case 'R': // Right
-          animationRef.current.rotationAxis = new THREE.Vector3(1, 0, 0);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[0] === 1)
-            .map(({ index }) => index);
-          break;
-        case 'L': // Left
-          animationRef.current.rotationAxis = new THREE.Vector3(-1, 0, 0);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[0] === -1)
-            .map(({ index }) => index);
-          break;
-        case 'U': // Up
-          animationRef.current.rotationAxis = new THREE.Vector3(0, 1, 0);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[1] === 1)
-            .map(({ index }) => index);
-          break;
-        case 'D': // Down
-          animationRef.current.rotationAxis = new THREE.Vector3(0, -1, 0);
-          animationRef.current.affectedCubes = positions
-            .map((pos, index) => ({ pos, index }))
-            .filter(({ pos }) => pos[1] === -1)
-            .map(({ index }) => index);
-          break;
-      }
-    }
-  }, [currentMove]);
-
-  // Animation update loop
-  useFrame(() => {
-    if (animationRef.current.isAnimating) {
-      const now = Date.now();
-      const elapsed = now - animationRef.current.startTime;
-      const progress = Math.min(elapsed / animationRef.current.duration, 1);
-      
-      // Easing function for smooth animation
-      const easedProgress = progress < 0.5 
-        ? 2 * progress * progress 
-        : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-      
-      animationRef.current.rotationAngle = animationRef.current.targetAngle * easedProgress;
-      
-      // Check if animation is complete
-      if (progress >= 1) {
-        animationRef.current.isAnimating = false;
-        console.log('✅ Animation complete');
-        
-        // Notify parent component that animation is complete
-        if (onAnimationComplete) {
-          onAnimationComplete();
-        }
-      }
-    }
-  });
+    moveQueue.setSpeed(animationSpeed);
+  }, [moveQueue, animationSpeed]);
 
-  // Debug function to visualize coordinate mapping
-  const debugFaceMapping = () => {
-    console.log('🔍 Debugging face mapping...');
-    
-    const testPositions = [
-      [-1, -1, 1], [-1, 0, 1], [-1, 1, 1],
-      [0, -1, 1], [0, 0, 1], [0, 1, 1],
-      [1, -1, 1], [1, 0, 1], [1, 1, 1]
-    ];
-    
-    const faceNames = ['front', 'back', 'right', 'left', 'up', 'down'];
-    
-    faceNames.forEach(faceName => {
-      console.log(`\n📋 ${faceName.toUpperCase()} face mapping:`);
-      testPositions.forEach(([x, y, z], index) => {
-        const { row, col } = getFaceMapping(x, y, z, faceName);
-        console.log(`  3D[${x},${y},${z}] -> Grid[${row}][${col}]`);
-      });
-    });
-  };
+  // Moves still queued when the cube is closed are applied, not lost
+  useEffect(() => () => moveQueue.flush(), [moveQueue]);
 
-  return (
-    <group ref={cubeRef}>
-      {positions.map((position, index) => {
-        const isAffected = animationRef.current.affectedCubes.includes(index);
-        const colors = getCubePieceColors(...position);
-        
-        return (
-          <CubePiece
-            key={`cube-piece-${index}-${JSON.stringify(colors)}`}
-            position={position}
-            colors={colors}
-            isAnimating={isAffected && animationRef.current.isAnimating}
-            rotationAxis={animationRef.current.rotationAxis}
-            rotationAngle={animationRef.current.rotationAngle}
-            onFaceClick={onFaceClick}
-            size={0.9}
-          />
-        );
-      })}
-    </group>
-  );
-};
+  // Scramble settings and the last generated scramble
+  const [scrambleMode, setScrambleMode] = useState('random-state');
+  const [scrambleSeed, setScrambleSeed] = useState('');
+  const [scramble, setScramble] = useState([]);
+  const [scrambleMessage, setScrambleMessage] = useState(null);
 
-// Enhanced CubeControls component
+  // Camera controls, paused while a sticker is dragged
+  const controlsRef = useRef(null);
 
+  // Keyboard turning: the key map and the moves typed ahead of the animation
+  const [keyMap, setKeyMap] = useState(loadKeyMap);
+  const [keyboardTurning, setKeyboardTurning] = useState(loadKeyboardEnabled);
 
-// Main VirtualCube component
-const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: externalCurrentMove }, ref) => {
-  const [localCubeData, setLocalCubeData] = useState(cubeData || {});
-  const [selectedSquare, setSelectedSquare] = useState(null);
-  const [showColorPalette, setShowColorPalette] = useState(false);
-  const [forceUpdate, setForceUpdate] = useState(0);
-  
-  // Animation states
-  const [isScrambling, setIsScrambling] = useState(false);
-  const [isSolving, setIsSolving] = useState(false);
-  const [animationSpeed, setAnimationSpeed] = useState(1);
-  const [solvingMoves, setSolvingMoves] = useState([]);
-  const [currentMoveIndex, setCurrentMoveIndex] = useState(-1);
-  const [currentMove, setCurrentMove] = useState(null);
-  
-  // Animation completion callback
-  const [animationCompleteCallback, setAnimationCompleteCallback] = useState(null);
+  // Undo/redo history, persisted per cube under historyKey
+  const [history, setHistory] = useState(() => loadHistory(historyKey));
+  const historyLoadedKey = useRef(historyKey);
 
   // Color palette
   const colorPalette = [
@@ -452,7 +139,7 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
   // Update local data when prop changes
   useEffect(() => {
     if (cubeData) {
-      setLocalCubeData(cubeData);
+      updateLocalCubeData(cubeData);
       console.log('Camera data received for 3D cube:', {
         front: cubeData.front?.colors?.length,
         back: cubeData.back?.colors?.length,
@@ -471,142 +158,107 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
         left: { colors: [['green', 'green', 'green'], ['green', 'green', 'green'], ['green', 'green', 'green']] },
         right: { colors: [['blue', 'blue', 'blue'], ['blue', 'blue', 'blue'], ['blue', 'blue', 'blue']] }
       };
-      setLocalCubeData(sampleData);
+      updateLocalCubeData(sampleData);
       console.log('Using sample data for testing');
     }
   }, [cubeData]);
 
-  // Force re-render when local data changes
+  // Switch histories when another cube is opened
   useEffect(() => {
-    console.log('🔄 Local cube data updated:', localCubeData);
-  }, [localCubeData]);
+    if (historyLoadedKey.current === historyKey) return;
+    historyLoadedKey.current = historyKey;
+    setHistory(loadHistory(historyKey));
+  }, [historyKey]);
 
-  // Helper functions
-  const getFaceColors = (faceData) => {
-    if (!faceData) return null;
-    if (faceData.colors && Array.isArray(faceData.colors)) {
-      return faceData.colors;
-    }
-    if (Array.isArray(faceData)) {
-      return faceData;
-    }
-    return null;
+  useEffect(() => {
+    if (history) saveHistory(historyKey, history);
+  }, [history, historyKey]);
+
+  // Record a change from `previous` to `next`. A change made elsewhere (a new
+  // capture, a state set by the parent) is recorded first so undo returns to it.
+  const recordChange = (previous, next, change) => {
+    setHistory(current => {
+      let updated = current || createHistory(previous);
+      if (!isSameCubeState(getHistoryState(updated), previous)) {
+        updated = recordHistoryChange(updated, previous, { type: 'external', label: 'Cube updated' });
+      }
+      return recordHistoryChange(updated, next, change);
+    });
   };
 
-  const getColorHex = (color) => {
-    const colorMap = {
-      white: '#FFFFFF',
-      red: '#FF0000',
-      green: '#00FF00',
-      blue: '#0000FF',
-      yellow: '#FFFF00',
-      orange: '#FFA500',
-      gray: '#666666'
-    };
-    return colorMap[color] || '#666666';
+  // Show a state from the history and pass it to the parent
+  const restoreHistoryState = (result, label) => {
+    if (!result || currentMove || isScrambling) return;
+    setHistory(result.history);
+    updateLocalCubeData(result.state);
+    setSaveStatus(null);
+    if (onColorChange) onColorChange(result.state, { type: 'history', label });
   };
 
-  // Direct mapping system for Rubik's Cube faces
-  const getDirectFaceMapping = (x, y, z, faceName) => {
-    // Create a direct lookup table for each face
-    // This maps each 3D cube piece position to its exact 2D grid position
-    
-    const faceMappings = {
-      front: {
-        // Front face (z = 1): standard orientation
-        '[-1,1,1]': [0, 0],   // top-left
-        '[0,1,1]': [0, 1],    // top-center  
-        '[1,1,1]': [0, 2],    // top-right
-        '[-1,0,1]': [1, 0],   // middle-left
-        '[0,0,1]': [1, 1],    // center
-        '[1,0,1]': [1, 2],    // middle-right
-        '[-1,-1,1]': [2, 0],  // bottom-left
-        '[0,-1,1]': [2, 1],   // bottom-center
-        '[1,-1,1]': [2, 2]    // bottom-right
-      },
-      back: {
-        // Back face (z = -1): opposite orientation
-        '[-1,1,-1]': [0, 2],  // top-left
-        '[0,1,-1]': [0, 1],   // top-center
-        '[1,1,-1]': [0, 0],   // top-right
-        '[-1,0,-1]': [1, 2],  // middle-left
-        '[0,0,-1]': [1, 1],   // center
-        '[1,0,-1]': [1, 0],   // middle-right
-        '[-1,-1,-1]': [2, 2], // bottom-left
-        '[0,-1,-1]': [2, 1],  // bottom-center
-        '[1,-1,-1]': [2, 0]   // bottom-right
-      },
-      right: {
-        // Right face (x = 1): viewed from right side
-        '[1,1,-1]': [0, 0],   // top-left
-        '[1,1,0]': [0, 1],    // top-center
-        '[1,1,1]': [0, 2],    // top-right
-        '[1,0,-1]': [1, 0],   // middle-left
-        '[1,0,0]': [1, 1],    // center
-        '[1,0,1]': [1, 2],    // middle-right
-        '[1,-1,-1]': [2, 0],  // bottom-left
-        '[1,-1,0]': [2, 1],   // bottom-center
-        '[1,-1,1]': [2, 2]    // bottom-right
-      },
-      left: {
-        // Left face (x = -1): viewed from left side
-        '[-1,1,1]': [0, 0],   // top-left
-        '[-1,1,0]': [0, 1],   // top-center
-        '[-1,1,-1]': [0, 2],  // top-right
-        '[-1,0,1]': [1, 0],   // middle-left
-        '[-1,0,0]': [1, 1],   // center
-        '[-1,0,-1]': [1, 2],  // middle-right
-        '[-1,-1,1]': [2, 0],  // bottom-left
-        '[-1,-1,0]': [2, 1],  // bottom-center
-        '[-1,-1,-1]': [2, 2]  // bottom-right
-      },
-      up: {
-        // Up face (y = 1): viewed from top
-        '[-1,1,-1]': [0, 0],  // top-left
-        '[0,1,-1]': [0, 1],   // top-center
-        '[1,1,-1]': [0, 2],   // top-right
-        '[-1,1,0]': [1, 0],   // middle-left
-        '[0,1,0]': [1, 1],    // center
-        '[1,1,0]': [1, 2],    // middle-right
-        '[-1,1,1]': [2, 0],   // bottom-left
-        '[0,1,1]': [2, 1],    // bottom-center
-        '[1,1,1]': [2, 2]     // bottom-right
-      },
-      down: {
-        // Down face (y = -1): viewed from bottom
-        '[-1,-1,1]': [0, 0],  // top-left
-        '[0,-1,1]': [0, 1],   // top-center
-        '[1,-1,1]': [0, 2],   // top-right
-        '[-1,-1,0]': [1, 0],  // middle-left
-        '[0,-1,0]': [1, 1],   // center
-        '[1,-1,0]': [1, 2],   // middle-right
-        '[-1,-1,-1]': [2, 0], // bottom-left
-        '[0,-1,-1]': [2, 1],  // bottom-center
-        '[1,-1,-1]': [2, 2]   // bottom-right
-      }
-    };
-    
-    // Get the mapping for the specific face
-    const faceMapping = faceMappings[faceName];
-    if (!faceMapping) {
-      console.log(`❌ No mapping found for face: ${faceName}`);
-      return { row: 0, col: 0 };
-    }
-    
-    // Create the position key
-    const positionKey = `[${x},${y},${z}]`;
-    
-    // Get the grid coordinates for this 3D position
-    const gridCoords = faceMapping[positionKey];
-    if (gridCoords) {
-      console.log(`✅ Mapped ${faceName}: 3D${positionKey} -> Grid[${gridCoords[0]}][${gridCoords[1]}]`);
-      return { row: gridCoords[0], col: gridCoords[1] };
+  const handleUndo = () => {
+    if (history && history.position > 0) restoreHistoryState(undoHistory(history), 'Undo');
+  };
+
+  const handleRedo = () => {
+    if (history && history.position < history.entries.length) restoreHistoryState(redoHistory(history), 'Redo');
+  };
+
+  const handleHistoryJump = (position) => {
+    if (history) restoreHistoryState(jumpToHistory(history, position), 'Jump in history');
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); typing in a field keeps its own undo
+  const historyKeyHandler = useRef(null);
+  historyKeyHandler.current = (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      handleRedo();
     }
-    
-    console.log(`❌ No mapping found for ${faceName}: 3D${positionKey}`);
-    return { row: 0, col: 0 };
   };
 
+  useEffect(() => {
+    const onKeyDown = (event) => historyKeyHandler.current(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const handleKeyMapChange = (updatedKeyMap) => {
+    setKeyMap(updatedKeyMap);
+    saveKeyMap(updatedKeyMap);
+  };
+
+  const handleKeyboardTurningChange = (enabled) => {
+    setKeyboardTurning(enabled);
+    saveKeyboardEnabled(enabled);
+  };
+
+  const turnKeyHandler = useRef(null);
+  turnKeyHandler.current = (event) => {
+    if (!keyboardTurning || !keyboardEnabled || isScrambling || event.repeat) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    const move = getMoveForKey(keyMap, event);
+    if (!move) return;
+    event.preventDefault();
+    executeMove(move);
+  };
+
+  useEffect(() => {
+    const onKeyDown = (event) => turnKeyHandler.current(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Force re-render when local data changes
+  useEffect(() => {
+    console.log('🔄 Local cube data updated:', localCubeData);
+  }, [localCubeData]);
+
   // Capture sequence guide for proper Rubik's Cube mapping
   const getCaptureSequenceGuide = () => {
     return {
@@ -651,89 +303,11 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
     };
   };
 
-  // Enhanced coordinate mapping for 3D cube
-  const getEnhancedCubePieceColors = (x, y, z) => {
-    const colors = [];
-    
-    // Helper function to get face colors
-    const getFaceColors = (faceData) => {
-      if (!faceData) return null;
-      if (faceData.colors && Array.isArray(faceData.colors)) {
-        return faceData.colors;
-      }
-      if (Array.isArray(faceData)) {
-        return faceData;
-      }
-      return null;
-    };
-
-    // Get color for specific position on a face using direct mapping
-    const getFaceColor = (faceName, faceData, x, y, z) => {
-      const colors = getFaceColors(faceData);
-      if (!colors) return null;
-      
-      const { row, col } = getDirectFaceMapping(x, y, z, faceName);
-      
-      // Ensure row and col are within bounds
-      if (row >= 0 && row < colors.length && col >= 0 && col < colors[row].length) {
-        const color = colors[row][col];
-        if (color && color !== 'unknown' && color !== null) {
-          console.log(`🎨 Found color ${color} for ${faceName}[${row}][${col}]`);
-          return color;
-        }
-      }
-      
-      console.log(`❌ No color found for ${faceName}[${row}][${col}]`);
-      return null;
-    };
-
-    // Front face (z = 1) - User's chosen front face
-    if (z === 1) {
-      colors.push(getFaceColor('front', localCubeData.front, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    // Back face (z = -1) - After rotating cube 180° around Y-axis
-    if (z === -1) {
-      colors.push(getFaceColor('back', localCubeData.back, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    // Up face (y = 1) - After rotating cube 90° around X-axis
-    if (y === 1) {
-      colors.push(getFaceColor('up', localCubeData.up, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    // Down face (y = -1) - After rotating cube 180° around X-axis
-    if (y === -1) {
-      colors.push(getFaceColor('down', localCubeData.down, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    // Right face (x = 1) - After rotating cube 90° around Y-axis
-    if (x === 1) {
-      colors.push(getFaceColor('right', localCubeData.right, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    // Left face (x = -1) - After rotating cube 270° around Y-axis
-    if (x === -1) {
-      colors.push(getFaceColor('left', localCubeData.left, x, y, z));
-    } else {
-      colors.push(null);
-    }
-
-    return colors;
-  };
-
   const handleFaceClick = (faceName, position) => {
-    setSelectedSquare({ faceName, position });
+    // Inner faces of a cubelet have no sticker to paint
+    const cell = getStickerCell(position, faceName);
+    if (!cell) return;
+    setSelectedSquare({ faceName, position, rowIndex: cell.row, colIndex: cell.col });
     setShowColorPalette(true);
   };
 
@@ -771,295 +345,203 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
       console.log(`✅ Applied color ${colorName} to ${selectedSquare.faceName} center`);
     }
 
+    // A sticker colored by hand has no detection confidence
+    const confidence = newCubeData[selectedSquare.faceName].confidence;
+    if (Array.isArray(confidence?.[selectedSquare.rowIndex ?? 1])) {
+      confidence[selectedSquare.rowIndex ?? 1][selectedSquare.colIndex ?? 1] = null;
+    }
+
     // Update state immediately
-    setLocalCubeData(newCubeData);
+    updateLocalCubeData(newCubeData);
+    setSaveStatus(null);
     
     // Close modal and clear selection
     setShowColorPalette(false);
     setSelectedSquare(null);
     
-    // Force re-render by incrementing force update
-    setForceUpdate(prev => {
-      const newValue = prev + 1;
-      console.log(`🔄 Force update incremented to: ${newValue}`);
-      return newValue;
-    });
-    
+    const faceIndex = FACE_ORDER.findIndex(face => FACE_NAMES[face] === selectedSquare.faceName);
+    const row = selectedSquare.rowIndex ?? 1;
+    const col = selectedSquare.colIndex ?? 1;
+    const change = { type: 'recolor', label: `${stickerLabel(faceIndex * 9 + row * 3 + col)} → ${colorName}` };
+    recordChange(localCubeData, newCubeData, change);
+
     // Notify parent component
     if (onColorChange) {
       console.log('📤 Notifying parent component of color change');
-      onColorChange(newCubeData);
+      onColorChange(newCubeData, change);
     }
     
     console.log('🎯 Color application complete. New cube data:', newCubeData);
   };
 
+  // Stickers painted on the net; one drag across the net is one history entry
+  const handleNetPaint = (changes, change) => {
+    const previous = cubeStateRef.current;
+    const next = paintStickers(previous, changes);
+    updateLocalCubeData(next);
+    setSaveStatus(null);
+    recordChange(previous, next, change);
+    if (onColorChange) onColorChange(next, change);
+  };
+
   const cancelColorSelection = () => {
     setShowColorPalette(false);
     setSelectedSquare(null);
   };
 
   // Cube control functions
-  const handleScramble = () => {
+  // Generate a scramble, then animate it from a solved cube in the current
+  // color scheme. Every animated move updates cubeData, so the scrambled
+  // state is stored once the last move lands.
+  const handleScramble = async () => {
+    if (isScrambling || currentMove) return;
     setIsScrambling(true);
-    // Simulate scrambling
-    setTimeout(() => {
+    setScrambleMessage(null);
+
+    const seed = scrambleSeed.trim() || null;
+    let moves;
+    try {
+      if (scrambleMode === 'random-state') {
+        setScrambleMessage('Generating random-state scramble...');
+        moves = await generateScrambleInWorker({
+          seed,
+          onProgress: (progress) => {
+            if (progress.type === 'tables') {
+              setScrambleMessage(`Building solver tables (${progress.done}/${progress.total})...`);
+            }
+          }
+        });
+      } else {
+        moves = generateRandomMoveScramble({ seed });
+      }
+    } catch (error) {
+      console.error('❌ Scramble failed:', error);
+      setScrambleMessage(`Scramble failed: ${error.message}`);
       setIsScrambling(false);
-    }, 2000);
-  };
+      return;
+    }
 
-  const handleSolve = () => {
-    setIsSolving(true);
-    setSolvingMoves([
-      { notation: 'R', face: 'R', direction: 1 },
-      { notation: 'U', face: 'U', direction: 1 },
-      { notation: 'R\'', face: 'R', direction: -1 },
-      { notation: 'U\'', face: 'U', direction: -1 }
-    ]);
-    setCurrentMoveIndex(-1);
-    
-    // Simulate solving moves
-    const moveInterval = setInterval(() => {
-      setCurrentMoveIndex(prev => {
-        const next = prev + 1;
-        if (next < solvingMoves.length) {
-          setCurrentMove(solvingMoves[next]);
-          return next;
-        } else {
-          clearInterval(moveInterval);
-          setIsSolving(false);
-          setCurrentMove(null);
-          return prev;
-        }
-      });
-    }, 1000 / animationSpeed);
-  };
+    console.log(`🎲 Scramble (${scrambleMode}): ${moves.join(' ')}`);
+    setScramble(moves);
+    setScrambleMessage(null);
 
-  const handleReset = () => {
-    setIsScrambling(false);
-    setIsSolving(false);
-    setSolvingMoves([]);
-    setCurrentMoveIndex(-1);
-    setCurrentMove(null);
+    const validation = validateCubeData(localCubeData);
+    const scheme = validation.scheme || DEFAULT_COLOR_SCHEME;
+    updateLocalCubeData(cubeToCubeData(createSolvedCube(), scheme));
+    const change = { type: 'scramble', label: `Scramble: ${moves.join(' ')}`, group: `scramble-${Date.now()}` };
+    executeMoveSequence(moves, () => setIsScrambling(false), change, SCRAMBLE_ANIMATION_SPEED);
   };
 
   const handleSpeedChange = (speed) => {
     setAnimationSpeed(speed);
   };
 
-  // Save and sync faces to 3D cube
+  // Save and sync faces to 3D cube. Only a solvable cube can be saved; the
+  // validator's issues are listed under the button until they are fixed.
   const handleSaveFaces = () => {
-    console.log('💾 Save button clicked - syncing faces to 3D cube');
-    console.log('📊 Current localCubeData:', localCubeData);
-    
+    console.log('💾 Save button clicked - validating faces');
+
+    const validation = validateCubeData(localCubeData);
+    setSaveStatus(validation);
+    if (!validation.isValid) {
+      console.warn('⚠️ Cube cannot be saved:', validation.issues);
+      return;
+    }
+
     // Create a deep copy to ensure we're working with fresh data
     const updatedCubeData = JSON.parse(JSON.stringify(localCubeData));
-    
-    // Ensure all faces have proper color arrays and validate the data
-    const faceNames = ['front', 'back', 'up', 'down', 'left', 'right'];
-    faceNames.forEach(faceName => {
-      if (!updatedCubeData[faceName]) {
-        updatedCubeData[faceName] = { colors: Array(3).fill().map(() => Array(3).fill('unknown')) };
-        console.log(`📝 Created new face data for ${faceName}`);
-      } else if (!updatedCubeData[faceName].colors) {
-        updatedCubeData[faceName].colors = Array(3).fill().map(() => Array(3).fill('unknown'));
-        console.log(`📝 Created colors array for ${faceName}`);
-      }
-      
-      // Validate the colors array structure
-      if (updatedCubeData[faceName].colors) {
-        for (let row = 0; row < 3; row++) {
-          for (let col = 0; col < 3; col++) {
-            if (!updatedCubeData[faceName].colors[row][col] || 
-                updatedCubeData[faceName].colors[row][col] === 'unknown') {
-              // Set a default color if none exists
-              updatedCubeData[faceName].colors[row][col] = 'gray';
-            }
-          }
-        }
-        console.log(`✅ Validated ${faceName} face:`, updatedCubeData[faceName].colors);
-      }
-    });
-    
-    // Update the local state with the processed data
-    setLocalCubeData(updatedCubeData);
-    
-    // Force a complete re-render of the 3D cube with multiple triggers
-    setForceUpdate(prev => {
-      const newValue = prev + 1;
-      console.log(`🔄 Force update incremented to: ${newValue}`);
-      return newValue;
-    });
-    
+    updateLocalCubeData(updatedCubeData);
+
     // Notify parent component of the changes
     if (onColorChange) {
       console.log('📤 Notifying parent component of face sync');
       onColorChange(updatedCubeData);
     }
-    
-    console.log('✅ Faces synced to 3D cube:', updatedCubeData);
-    
-    // Add a small delay to ensure the state update is processed
-    setTimeout(() => {
-      console.log('🔄 Final state check - localCubeData:', localCubeData);
-    }, 100);
-  };
 
-  // Test function to verify face mapping
-  const testFaceMapping = () => {
-    console.log('🧪 Testing face mapping...');
-    
-    const testCases = [
-      { face: 'front', x: -1, y: 1, z: 1, expected: [0, 0] },
-      { face: 'front', x: 0, y: 0, z: 1, expected: [1, 1] },
-      { face: 'front', x: 1, y: -1, z: 1, expected: [2, 2] },
-      { face: 'right', x: 1, y: 1, z: -1, expected: [0, 0] },
-      { face: 'right', x: 1, y: 0, z: 0, expected: [1, 1] },
-      { face: 'right', x: 1, y: -1, z: 1, expected: [2, 2] },
-      { face: 'left', x: -1, y: 1, z: 1, expected: [0, 0] },
-      { face: 'left', x: -1, y: 0, z: 0, expected: [1, 1] },
-      { face: 'left', x: -1, y: -1, z: -1, expected: [2, 2] },
-      { face: 'up', x: -1, y: 1, z: -1, expected: [0, 0] },
-      { face: 'up', x: 0, y: 1, z: 0, expected: [1, 1] },
-      { face: 'up', x: 1, y: 1, z: 1, expected: [2, 2] },
-      { face: 'down', x: -1, y: -1, z: 1, expected: [0, 0] },
-      { face: 'down', x: 0, y: -1, z: 0, expected: [1, 1] },
-      { face: 'down', x: 1, y: -1, z: -1, expected: [2, 2] }
-    ];
-    
-    testCases.forEach(test => {
-      const result = getDirectFaceMapping(test.x, test.y, test.z, test.face);
-      const expected = test.expected;
-      const passed = result.row === expected[0] && result.col === expected[1];
-      console.log(`${passed ? '✅' : '❌'} ${test.face}: [${test.x},${test.y},${test.z}] -> [${result.row},${result.col}] (expected: [${expected[0]},${expected[1]}])`);
-    });
+    console.log('✅ Faces synced to 3D cube:', updatedCubeData);
   };
 
-  // Render face visual grid
-  const renderFaceVisual = (faceData, faceName) => {
-    const colors = getFaceColors(faceData);
-    
-    // Debug: Log the face data
-    console.log(`🎨 Rendering ${faceName} face:`, { faceData, colors });
-    
-    // Always render a grid, even if no data
-    return (
-      <div 
-        key={`face-grid-${faceName}-${forceUpdate}`}
-        style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(3, 1fr)',
-          gap: '2px',
-          width: '80px',
-          height: '80px',
-          border: '2px solid #666',
-          borderRadius: '4px',
-          padding: '2px',
-          backgroundColor: '#333'
-        }}
-      >
-        {Array(9).fill().map((_, index) => {
-          const row = Math.floor(index / 3);
-          const col = index % 3;
-          const color = colors && colors[row] && colors[row][col] ? colors[row][col] : 'gray';
-          
-          // Check if this square is currently selected
-          const isSelected = selectedSquare && 
-            selectedSquare.faceName === faceName.toLowerCase() && 
-            selectedSquare.rowIndex === row && 
-            selectedSquare.colIndex === col;
-          
-          return (
-            <div
-              key={`${faceName}-${row}-${col}-${forceUpdate}-${color}`}
-              style={{
-                width: '20px',
-                height: '20px',
-                border: isSelected ? '2px solid #ff9800' : '1px solid #666',
-                cursor: 'pointer',
-                backgroundColor: getColorHex(color),
-                borderRadius: '2px',
-                boxShadow: isSelected ? '0 0 5px #ff9800' : 'none',
-                transform: isSelected ? 'scale(1.1)' : 'scale(1)',
-                transition: 'all 0.2s ease'
-              }}
-              onClick={() => {
-                console.log(`🖱️ Clicked on ${faceName} face at position [${row}][${col}]`);
-                setSelectedSquare({ faceName: faceName.toLowerCase(), rowIndex: row, colIndex: col });
-                setShowColorPalette(true);
-              }}
-              title={`Click to change ${faceName} face color (currently: ${color})`}
-            />
-          );
-        })}
-      </div>
-    );
+  // Queue a move; the sticker state is updated with the same move when its
+  // animation completes. `change` describes the history entry; it defaults
+  // to a face turn and null records nothing. Returns a promise of
+  // { move, applied, skipped } (applied is false if the move was cancelled).
+  const executeMove = (move, onComplete = null, change = undefined, startAngle = 0) => {
+    console.log(`🎯 VirtualCube.executeMove called with: ${move}`);
+    return moveQueue
+      .enqueue(move, {
+        change: change === undefined ? { type: 'move', label: move } : change,
+        startAngle
+      })
+      .catch(error => {
+        console.error(`❌ ${error.message}`);
+        return { move, applied: false, skipped: true };
+      })
+      .then(result => {
+        if (onComplete) onComplete(result);
+        return result;
+      });
   };
 
-  const getFaceStats = (faceData) => {
-    if (!faceData) return 'Not captured';
-    const colors = getFaceColors(faceData);
-    if (!colors) return 'No data';
-    
-    const validColors = colors.flat().filter(color => color && color !== 'unknown');
-    return `${validColors.length}/9 squares`;
+  // Queue a move list or algorithm text such as "(R U R' U')3"; speedFactor
+  // speeds these moves up relative to the speed setting
+  const executeMoveSequence = (algorithm, onComplete = null, change = undefined, speedFactor = 1) => {
+    console.log(`🎯 VirtualCube.executeMoveSequence called with:`, algorithm);
+    let moves;
+    try {
+      moves = toMoveList(algorithm);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      if (onComplete) onComplete([]);
+      return Promise.resolve([]);
+    }
+    return Promise.all(moves.map(move => moveQueue.enqueue(move, {
+      change: change === undefined ? { type: 'move', label: move } : change,
+      speedFactor
+    }))).then(results => {
+      if (onComplete) onComplete(results);
+      return results;
+    });
   };
 
   // Expose functions through ref
   useImperativeHandle(ref, () => ({
-    executeMove: (move, onComplete = null) => {
-      console.log(`🎯 VirtualCube.executeMove called with: ${move}`);
-      // Parse the move and trigger animation
-      const face = move.charAt(0);
-      const direction = move.includes("'") ? -1 : 1;
-      setCurrentMove({ face, direction });
-      
-      // Store the completion callback
-      if (onComplete) {
-        setAnimationCompleteCallback(() => onComplete);
-      }
-    },
-    
-    executeMoveSequence: (moves, onComplete = null) => {
-      console.log(`🎯 VirtualCube.executeMoveSequence called with:`, moves);
-      let currentIndex = 0;
-      
-      const executeNextMove = () => {
-        if (currentIndex < moves.length) {
-          const move = moves[currentIndex];
-          const face = move.charAt(0);
-          const direction = move.includes("'") ? -1 : 1;
-          setCurrentMove({ face, direction });
-          currentIndex++;
-          
-          // Schedule next move after animation completes
-          setTimeout(executeNextMove, 1000);
-        } else if (onComplete) {
-          onComplete();
-        }
-      };
-      
-      executeNextMove();
+    executeMove,
+    executeMoveSequence,
+
+    // Record a state set by the parent (e.g. jumping through a solution)
+    recordChange: (state, change) => {
+      recordChange(cubeStateRef.current, state, change);
+      updateLocalCubeData(state);
     },
+
+    undo: handleUndo,
+    redo: handleRedo,
     
+    // Drop the moves that have not landed yet
     stopAnimations: () => {
       console.log('⏹️ VirtualCube.stopAnimations called');
-      setCurrentMove(null);
-      if (animationCompleteCallback) {
-        animationCompleteCallback();
-        setAnimationCompleteCallback(null);
-      }
+      moveQueue.cancel();
+    },
+
+    // Land every queued move at once
+    flushAnimations: () => {
+      console.log('⏭️ VirtualCube.flushAnimations called');
+      moveQueue.flush();
     }
   }));
 
-  // Handle animation completion
-  useEffect(() => {
-    if (animationCompleteCallback && !currentMove) {
-      // Animation has completed, call the callback
-      animationCompleteCallback();
-      setAnimationCompleteCallback(null);
-    }
-  }, [currentMove, animationCompleteCallback]);
+  // The renderer is memoized, so it gets handlers that never change and
+  // call the latest ones
+  const rendererHandlers = useRef({});
+  rendererHandlers.current = {
+    faceClick: handleFaceClick,
+    dragMove: (move, angle) => executeMove(move, null, undefined, angle)
+  };
+  const handleCubeFaceClick = useCallback((faceName, position) => rendererHandlers.current.faceClick(faceName, position), []);
+  const handleCubeDragMove = useCallback((move, angle) => rendererHandlers.current.dragMove(move, angle), []);
+
+  // Solvability of the current faces, shown next to the Save button
+  const liveValidation = validateCubeData(localCubeData);
 
   return (
     <div className="virtual-cube-container">
@@ -1080,15 +562,13 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
             <pointLight position={[-10, -10, -5]} intensity={0.5} />
             
             <RubiksCube 
-              key={`rubiks-cube-${forceUpdate}-${JSON.stringify(localCubeData)}`}
-              cubeData={localCubeData}
-              onFaceClick={handleFaceClick}
-              currentMove={currentMove}
-              animationSpeed={animationSpeed}
-              onAnimationComplete={() => {
-                // Clear the current move to indicate animation is complete
-                setCurrentMove(null);
-              }}
+              cubies={cubies}
+              cubiesRef={cubiesRef}
+              onFaceClick={handleCubeFaceClick}
+              moveQueue={moveQueue}
+              onDragMove={isScrambling || !dragEnabled ? null : handleCubeDragMove}
+              controlsRef={controlsRef}
+              frameStats={frameStatsRef.current}
             />
             
             {/* Subtle wireframe grid for reference */}
@@ -1103,6 +583,7 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
             </mesh>
             
             <OrbitControls 
+              ref={controlsRef}
               enablePan={true}
               enableZoom={true}
               enableRotate={true}
@@ -1110,103 +591,102 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
               autoRotateSpeed={0}
             />
           </Canvas>
-          
+
+          <HistoryPanel
+            history={history}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            onJump={handleHistoryJump}
+            disabled={Boolean(currentMove) || isScrambling}
+          />
+
+          <KeyboardPanel
+            keyMap={keyMap}
+            onKeyMapChange={handleKeyMapChange}
+            enabled={keyboardTurning}
+            onEnabledChange={handleKeyboardTurningChange}
+            queuedMoves={queuedMoves}
+          />
+
+          <FrameStatsOverlay stats={frameStatsRef.current} />
+
+          {currentMove && (
+            <div className="move-queue">
+              <span className="move-queue-moves">
+                <strong>{currentMove.move}</strong> {queuedMoves.join(' ')}
+              </span>
+              <button onClick={() => moveQueue.flush()} title="Apply the remaining moves without animating">
+                ⏭ Finish
+              </button>
+              <button onClick={() => moveQueue.cancel()} title="Drop the moves that have not been applied">
+                ✖ Cancel
+              </button>
+            </div>
+          )}
 
         </div>
 
         {/* Controls and Debug Panel */}
         <div className="controls-panel">
 
+          {/* Scramble */}
+          <div className="scramble-section">
+            <h3>🎲 Scramble</h3>
+            <div className="scramble-options">
+              <select
+                value={scrambleMode}
+                onChange={(event) => setScrambleMode(event.target.value)}
+                disabled={isScrambling}
+              >
+                <option value="random-state">Random state (WCA)</option>
+                <option value="random-move">Random moves</option>
+              </select>
+              <input
+                type="text"
+                value={scrambleSeed}
+                onChange={(event) => setScrambleSeed(event.target.value)}
+                placeholder="Seed (optional)"
+                disabled={isScrambling}
+              />
+              <button
+                className="scramble-button"
+                onClick={handleScramble}
+                disabled={isScrambling || currentMove !== null}
+              >
+                {isScrambling ? '⏳ Scrambling...' : '🎲 Scramble'}
+              </button>
+            </div>
+            <label className="animation-speed">
+              Speed
+              <input
+                type="range"
+                min="0.25"
+                max="4"
+                step="0.25"
+                value={animationSpeed}
+                onChange={(event) => handleSpeedChange(Number(event.target.value))}
+              />
+              {animationSpeed}×
+            </label>
+            {scrambleMessage && <p className="scramble-message">{scrambleMessage}</p>}
+            {scramble.length > 0 && (
+              <>
+                <p className="scramble-text">{scramble.join(' ')}</p>
+                <MoveMetrics moves={scramble} style={{ marginTop: '8px', color: '#fff' }} />
+              </>
+            )}
+          </div>
 
           {/* Face Visualizations */}
           <div className="face-visualizations">
-            <h3>📊 Captured Faces</h3>
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(2, 1fr)',
-              gap: '15px',
-              padding: '10px'
-            }}>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Front</span>
-                {renderFaceVisual(localCubeData.front, 'Front')}
-              </div>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Back</span>
-                {renderFaceVisual(localCubeData.back, 'Back')}
-              </div>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Up</span>
-                {renderFaceVisual(localCubeData.up, 'Up')}
-              </div>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Down</span>
-                {renderFaceVisual(localCubeData.down, 'Down')}
-              </div>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Left</span>
-                {renderFaceVisual(localCubeData.left, 'Left')}
-              </div>
-              <div style={{
-                display: 'flex',
-                flexDirection: 'column',
-                alignItems: 'center',
-                gap: '8px',
-                padding: '10px',
-                background: 'rgba(0, 0, 0, 0.2)',
-                borderRadius: '8px',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}>
-                <span style={{ color: '#4fc3f7', fontWeight: '600', fontSize: '14px' }}>Right</span>
-                {renderFaceVisual(localCubeData.right, 'Right')}
-              </div>
-            </div>
-            
+            <h3>🧩 Cube Net</h3>
+            <CubeNet
+              cubeData={localCubeData}
+              validation={liveValidation}
+              onPaint={handleNetPaint}
+              disabled={isScrambling}
+            />
+
             {/* Capture Sequence Guide */}
             <div style={{
               marginTop: '15px',
@@ -1232,6 +712,32 @@ const VirtualCube = forwardRef(({ cubeData, onColorChange, currentMove: external
             </div>
 
             {/* Save Button */}
+            <div className="save-section">
+              <button
+                className={`save-button ${liveValidation.isValid ? 'valid' : 'invalid'}`}
+                onClick={handleSaveFaces}
+                disabled={!liveValidation.isValid}
+              >
+                {liveValidation.isValid ? '💾 Save Cube' : `⚠️ ${liveValidation.issues.length} issue${liveValidation.issues.length === 1 ? '' : 's'} to fix`}
+              </button>
+              {!liveValidation.isValid && (
+                <div className="validation-message" style={{ marginTop: '15px', textAlign: 'left' }}>
+                  {liveValidation.issues.map((item, index) => (
+                    <p key={index} style={{ fontSize: '13px', marginBottom: '6px' }}>
+                      {item.message}
+                      {item.stickers.length > 0 && item.stickers.length <= 6 && (
+                        <span style={{ opacity: 0.7 }}> ({item.stickers.join(', ')})</span>
+                      )}
+                    </p>
+                  ))}
+                </div>
+              )}
+              {liveValidation.isValid && saveStatus?.isValid && (
+                <div className="success-message" style={{ marginTop: '15px' }}>
+                  ✅ Cube saved - the state is solvable
+                </div>
+              )}
+            </div>
 
           </div>
 
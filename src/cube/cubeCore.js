@@ -0,0 +1,588 @@
+// src/cube/cubeCore.js
+// Cubie-level model of the 3x3 cube (corner/edge permutation + orientation)
+// and conversions between it, the URFDLB facelet string used by the solvers,
+// the { front, back, up, down, left, right }.colors cubeData format and the
+// 3D cubelets drawn by the renderers. This module has no framework imports.
+
+// Face order of the facelet string: U1..U9 R1..R9 F1..F9 D1..D9 L1..L9 B1..B9.
+// Each face is read row by row as seen from outside the cube, with U on top
+// for the side faces, B at the top of U and F at the top of D.
+export const FACE_ORDER = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+export const FACE_NAMES = {
+  U: 'up',
+  R: 'right',
+  F: 'front',
+  D: 'down',
+  L: 'left',
+  B: 'back'
+};
+
+export const DEFAULT_COLOR_SCHEME = {
+  U: 'white',
+  R: 'red',
+  F: 'green',
+  D: 'yellow',
+  L: 'orange',
+  B: 'blue'
+};
+
+// Display color of each sticker color name; anything else shows as gray
+export const STICKER_COLORS = {
+  white: '#FFFFFF',
+  red: '#FF0000',
+  green: '#00FF00',
+  blue: '#0000FF',
+  yellow: '#FFFF00',
+  orange: '#FFA500',
+  gray: '#666666'
+};
+
+export const CORNER_NAMES = ['URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'];
+export const EDGE_NAMES = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+// Facelet indices of each corner position, clockwise starting with the U/D sticker
+export const CORNER_FACELETS = [
+  [8, 9, 20],   // URF: U9 R1 F3
+  [6, 18, 38],  // UFL: U7 F1 L3
+  [0, 36, 47],  // ULB: U1 L1 B3
+  [2, 45, 11],  // UBR: U3 B1 R3
+  [29, 26, 15], // DFR: D3 F9 R7
+  [27, 44, 24], // DLF: D1 L9 F7
+  [33, 53, 42], // DBL: D7 B9 L7
+  [35, 17, 51]  // DRB: D9 R9 B7
+];
+
+// Facelet indices of each edge position, U/D (or F/B for slice edges) sticker first
+export const EDGE_FACELETS = [
+  [5, 10],  // UR
+  [7, 19],  // UF
+  [3, 37],  // UL
+  [1, 46],  // UB
+  [32, 16], // DR
+  [28, 25], // DF
+  [30, 43], // DL
+  [34, 52], // DB
+  [23, 12], // FR
+  [21, 41], // FL
+  [50, 39], // BL
+  [48, 14]  // BR
+];
+
+// Faces of each corner and edge piece in the same sticker order as above
+export const CORNER_COLORS = [
+  ['U', 'R', 'F'], ['U', 'F', 'L'], ['U', 'L', 'B'], ['U', 'B', 'R'],
+  ['D', 'F', 'R'], ['D', 'L', 'F'], ['D', 'B', 'L'], ['D', 'R', 'B']
+];
+
+export const EDGE_COLORS = [
+  ['U', 'R'], ['U', 'F'], ['U', 'L'], ['U', 'B'],
+  ['D', 'R'], ['D', 'F'], ['D', 'L'], ['D', 'B'],
+  ['F', 'R'], ['F', 'L'], ['B', 'L'], ['B', 'R']
+];
+
+export const SOLVED_FACELETS = FACE_ORDER.map(face => face.repeat(9)).join('');
+
+// Move indices are face * 3 + (quarter turns - 1), faces in FACE_ORDER
+export const MOVE_NAMES = FACE_ORDER.flatMap(face => [face, `${face}2`, `${face}'`]);
+
+// Create a solved cube
+export function createSolvedCube() {
+  return {
+    cp: [0, 1, 2, 3, 4, 5, 6, 7],
+    co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  };
+}
+
+export function cloneCube(cube) {
+  return {
+    cp: [...cube.cp],
+    co: [...cube.co],
+    ep: [...cube.ep],
+    eo: [...cube.eo]
+  };
+}
+
+// Compose two cubes: the result is `a` followed by `b`
+export function multiplyCubes(a, b) {
+  const result = createSolvedCube();
+  for (let i = 0; i < 8; i++) {
+    result.cp[i] = a.cp[b.cp[i]];
+    result.co[i] = (a.co[b.cp[i]] + b.co[i]) % 3;
+  }
+  for (let i = 0; i < 12; i++) {
+    result.ep[i] = a.ep[b.ep[i]];
+    result.eo[i] = (a.eo[b.ep[i]] + b.eo[i]) % 2;
+  }
+  return result;
+}
+
+export function invertCube(cube) {
+  const result = createSolvedCube();
+  for (let i = 0; i < 8; i++) {
+    result.cp[cube.cp[i]] = i;
+  }
+  for (let i = 0; i < 8; i++) {
+    result.co[i] = (3 - cube.co[result.cp[i]]) % 3;
+  }
+  for (let i = 0; i < 12; i++) {
+    result.ep[cube.ep[i]] = i;
+  }
+  for (let i = 0; i < 12; i++) {
+    result.eo[i] = cube.eo[result.ep[i]];
+  }
+  return result;
+}
+
+// Clockwise quarter turns of the six faces
+const BASIC_MOVES = {
+  U: {
+    cp: [3, 0, 1, 2, 4, 5, 6, 7],
+    co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  R: {
+    cp: [4, 1, 2, 0, 7, 5, 6, 3],
+    co: [2, 0, 0, 1, 1, 0, 0, 2],
+    ep: [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  F: {
+    cp: [1, 5, 2, 3, 0, 4, 6, 7],
+    co: [1, 2, 0, 0, 2, 1, 0, 0],
+    ep: [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11],
+    eo: [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]
+  },
+  D: {
+    cp: [0, 1, 2, 3, 5, 6, 7, 4],
+    co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  L: {
+    cp: [0, 2, 6, 3, 4, 1, 5, 7],
+    co: [0, 1, 2, 0, 0, 2, 1, 0],
+    ep: [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  B: {
+    cp: [0, 1, 3, 7, 4, 5, 2, 6],
+    co: [0, 0, 1, 2, 0, 0, 2, 1],
+    ep: [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7],
+    eo: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1]
+  }
+};
+
+// All 18 face turns, indexed like MOVE_NAMES
+export const MOVE_CUBES = FACE_ORDER.flatMap(face => {
+  const quarter = BASIC_MOVES[face];
+  const half = multiplyCubes(quarter, quarter);
+  const inverse = multiplyCubes(half, quarter);
+  return [quarter, half, inverse];
+});
+
+export function getMoveIndex(move) {
+  if (typeof move === 'number') return move;
+  return MOVE_NAMES.indexOf(move);
+}
+
+// Apply a face turn ("R", "U2", "F'" or a move index) to a cube
+export function applyMove(cube, move) {
+  const index = getMoveIndex(move);
+  if (index < 0 || index >= MOVE_CUBES.length) {
+    throw new Error(`Unsupported move: ${move}`);
+  }
+  return multiplyCubes(cube, MOVE_CUBES[index]);
+}
+
+export function applyMoves(cube, moves) {
+  return moves.reduce((current, move) => applyMove(current, move), cube);
+}
+
+export function invertMove(move) {
+  if (move.endsWith('2')) return move;
+  if (move.endsWith("'")) return move.slice(0, -1);
+  return `${move}'`;
+}
+
+export function invertMoves(moves) {
+  return [...moves].reverse().map(invertMove);
+}
+
+export function isSolvedCube(cube) {
+  return cube.cp.every((piece, i) => piece === i) &&
+    cube.co.every(twist => twist === 0) &&
+    cube.ep.every((piece, i) => piece === i) &&
+    cube.eo.every(flip => flip === 0);
+}
+
+// Parity of a permutation: 0 for even, 1 for odd
+export function permutationParity(perm) {
+  let parity = 0;
+  for (let i = 0; i < perm.length; i++) {
+    for (let j = i + 1; j < perm.length; j++) {
+      if (perm[j] < perm[i]) parity ^= 1;
+    }
+  }
+  return parity;
+}
+
+// Check that a cube is a reachable state; returns an error message or null
+export function verifyCube(cube) {
+  const cornerSeen = new Set(cube.cp);
+  if (cornerSeen.size !== 8) return 'Some corners appear more than once';
+  const edgeSeen = new Set(cube.ep);
+  if (edgeSeen.size !== 12) return 'Some edges appear more than once';
+  if (cube.co.reduce((sum, twist) => sum + twist, 0) % 3 !== 0) {
+    return 'Corner orientation is impossible (a corner is twisted)';
+  }
+  if (cube.eo.reduce((sum, flip) => sum + flip, 0) % 2 !== 0) {
+    return 'Edge orientation is impossible (an edge is flipped)';
+  }
+  if (permutationParity(cube.cp) !== permutationParity(cube.ep)) {
+    return 'Permutation parity mismatch (two pieces are swapped)';
+  }
+  return null;
+}
+
+// Convert a 54-character facelet string (face letters) to a cube.
+// Returns { cube, error } where error names the first piece that is not real.
+export function faceletsToCube(facelets) {
+  if (typeof facelets !== 'string' || facelets.length !== 54) {
+    return { cube: null, error: 'Facelet string must contain 54 stickers' };
+  }
+
+  const cube = createSolvedCube();
+
+  for (let i = 0; i < 8; i++) {
+    const stickers = CORNER_FACELETS[i].map(index => facelets[index]);
+    const ori = stickers.findIndex(face => face === 'U' || face === 'D');
+    if (ori === -1) {
+      return { cube: null, error: `Corner ${CORNER_NAMES[i]} has no U or D sticker` };
+    }
+    const color1 = stickers[(ori + 1) % 3];
+    const color2 = stickers[(ori + 2) % 3];
+    const piece = CORNER_COLORS.findIndex(colors =>
+      colors[0] === stickers[ori] && colors[1] === color1 && colors[2] === color2
+    );
+    if (piece === -1) {
+      return { cube: null, error: `Corner ${CORNER_NAMES[i]} is not a real piece` };
+    }
+    cube.cp[i] = piece;
+    cube.co[i] = ori % 3;
+  }
+
+  for (let i = 0; i < 12; i++) {
+    const stickers = EDGE_FACELETS[i].map(index => facelets[index]);
+    let piece = -1;
+    for (let j = 0; j < 12; j++) {
+      if (EDGE_COLORS[j][0] === stickers[0] && EDGE_COLORS[j][1] === stickers[1]) {
+        piece = j;
+        cube.eo[i] = 0;
+        break;
+      }
+      if (EDGE_COLORS[j][0] === stickers[1] && EDGE_COLORS[j][1] === stickers[0]) {
+        piece = j;
+        cube.eo[i] = 1;
+        break;
+      }
+    }
+    if (piece === -1) {
+      return { cube: null, error: `Edge ${EDGE_NAMES[i]} is not a real piece` };
+    }
+    cube.ep[i] = piece;
+  }
+
+  return { cube, error: null };
+}
+
+// Convert a cube to its 54-character facelet string
+export function cubeToFacelets(cube) {
+  const facelets = SOLVED_FACELETS.split('');
+  for (let i = 0; i < 8; i++) {
+    const piece = cube.cp[i];
+    const ori = cube.co[i];
+    for (let n = 0; n < 3; n++) {
+      facelets[CORNER_FACELETS[i][(n + ori) % 3]] = CORNER_COLORS[piece][n];
+    }
+  }
+  for (let i = 0; i < 12; i++) {
+    const piece = cube.ep[i];
+    const ori = cube.eo[i];
+    for (let n = 0; n < 2; n++) {
+      facelets[EDGE_FACELETS[i][(n + ori) % 2]] = EDGE_COLORS[piece][n];
+    }
+  }
+  return facelets.join('');
+}
+
+// Read the 3x3 color grid of a face from cubeData ({ colors } object or bare array)
+export function getFaceGrid(faceData) {
+  if (!faceData) return null;
+  if (Array.isArray(faceData.colors)) return faceData.colors;
+  if (Array.isArray(faceData)) return faceData;
+  return null;
+}
+
+// Convert cubeData ({front, back, up, down, left, right}.colors) to a facelet
+// string. Stickers are labelled by the face whose center has the same color.
+// Returns { facelets, scheme, error }.
+export function cubeDataToFacelets(cubeData) {
+  if (!cubeData) {
+    return { facelets: null, scheme: null, error: 'No cube data' };
+  }
+
+  const colors = [];
+  for (const face of FACE_ORDER) {
+    const grid = getFaceGrid(cubeData[FACE_NAMES[face]]);
+    if (!grid || grid.length !== 3 || grid.some(row => !Array.isArray(row) || row.length !== 3)) {
+      return { facelets: null, scheme: null, error: `The ${FACE_NAMES[face]} face is missing or incomplete` };
+    }
+    colors.push(...grid.flat());
+  }
+
+  const scheme = {};
+  const faceByColor = {};
+  FACE_ORDER.forEach((face, f) => {
+    const center = colors[f * 9 + 4];
+    scheme[face] = center;
+    faceByColor[center] = face;
+  });
+  if (Object.keys(faceByColor).length !== 6) {
+    return { facelets: null, scheme, error: 'The six centers must all have different colors' };
+  }
+
+  let facelets = '';
+  for (let i = 0; i < 54; i++) {
+    const face = faceByColor[colors[i]];
+    if (!face) {
+      return {
+        facelets: null,
+        scheme,
+        error: `Sticker ${FACE_ORDER[Math.floor(i / 9)]}${(i % 9) + 1} has unknown color "${colors[i]}"`
+      };
+    }
+    facelets += face;
+  }
+
+  return { facelets, scheme, error: null };
+}
+
+// Convert a facelet string back to cubeData using a face -> color scheme
+export function faceletsToCubeData(facelets, scheme = DEFAULT_COLOR_SCHEME) {
+  const cubeData = {};
+  FACE_ORDER.forEach((face, f) => {
+    const colors = [];
+    for (let row = 0; row < 3; row++) {
+      colors.push([0, 1, 2].map(col => scheme[facelets[f * 9 + row * 3 + col]]));
+    }
+    cubeData[FACE_NAMES[face]] = { colors };
+  });
+  return cubeData;
+}
+
+// cubeData with only the centers colored, for painting a cube by hand
+export function createBlankCubeData(scheme = DEFAULT_COLOR_SCHEME) {
+  const cubeData = {};
+  FACE_ORDER.forEach(face => {
+    const colors = Array.from({ length: 3 }, () => Array(3).fill('unknown'));
+    colors[1][1] = scheme[face];
+    cubeData[FACE_NAMES[face]] = { colors };
+  });
+  return cubeData;
+}
+
+// Copy of cubeData with stickers repainted; changes are
+// [{ faceName, row, col, color }]. Missing faces are created as unknown.
+// A painted sticker loses its detection confidence.
+export function paintStickers(cubeData, changes) {
+  const painted = JSON.parse(JSON.stringify(cubeData || {}));
+  changes.forEach(({ faceName, row, col, color }) => {
+    if (!getFaceGrid(painted[faceName])) {
+      painted[faceName] = { ...painted[faceName], colors: Array.from({ length: 3 }, () => Array(3).fill('unknown')) };
+    }
+    getFaceGrid(painted[faceName])[row][col] = color;
+    if (Array.isArray(painted[faceName].confidence?.[row])) painted[faceName].confidence[row][col] = null;
+  });
+  return painted;
+}
+
+// ---------------------------------------------------------------------------
+// Sticker geometry
+// ---------------------------------------------------------------------------
+
+// Outward normal of each face; x points right, y up and z towards the viewer
+export const FACE_NORMALS = {
+  U: [0, 1, 0],
+  R: [1, 0, 0],
+  F: [0, 0, 1],
+  D: [0, -1, 0],
+  L: [-1, 0, 0],
+  B: [0, 0, -1]
+};
+
+// Cubelet position of sticker (row, col) on a face, following the facelet
+// string layout described at the top of this file
+function stickerPosition(face, row, col) {
+  switch (face) {
+    case 'U': return [col - 1, 1, row - 1];
+    case 'R': return [1, 1 - row, 1 - col];
+    case 'F': return [col - 1, 1 - row, 1];
+    case 'D': return [col - 1, -1, 1 - row];
+    case 'L': return [-1, 1 - row, col - 1];
+    case 'B': return [1 - col, 1 - row, -1];
+    default: return null;
+  }
+}
+
+// Position and normal of all 54 facelets, in facelet string order
+export const FACELET_GEOMETRY = FACE_ORDER.flatMap(face =>
+  Array.from({ length: 9 }, (_, i) => ({
+    face,
+    position: stickerPosition(face, Math.floor(i / 3), i % 3),
+    normal: FACE_NORMALS[face]
+  }))
+);
+
+const geometryKey = (position, normal) => `${position.join(',')}|${normal.join(',')}`;
+
+const FACELET_BY_GEOMETRY = new Map(
+  FACELET_GEOMETRY.map(({ position, normal }, index) => [geometryKey(position, normal), index])
+);
+
+export function faceletIndexAt(position, normal) {
+  const index = FACELET_BY_GEOMETRY.get(geometryKey(position, normal));
+  return index === undefined ? -1 : index;
+}
+
+// Grid cell { row, col } of the sticker that a cubelet at `position` shows
+// on a cubeData face ('front', 'up', ...), or null if it has no such sticker
+export function getStickerCell(position, faceName) {
+  const face = FACE_ORDER.find(letter => FACE_NAMES[letter] === faceName);
+  if (!face) return null;
+  const index = faceletIndexAt(position, FACE_NORMALS[face]);
+  if (index === -1) return null;
+  return { row: Math.floor((index % 9) / 3), col: index % 3 };
+}
+
+// ---------------------------------------------------------------------------
+// Cubelets
+// ---------------------------------------------------------------------------
+
+// Positions of the 26 visible cubelets, x outermost and z innermost
+export const CUBELET_POSITIONS = [];
+for (let x = -1; x <= 1; x++) {
+  for (let y = -1; y <= 1; y++) {
+    for (let z = -1; z <= 1; z++) {
+      if (x !== 0 || y !== 0 || z !== 0) CUBELET_POSITIONS.push([x, y, z]);
+    }
+  }
+}
+
+// Sticker colors of every cubelet as [{ position, colors }], where colors is
+// keyed by the cubeData face the sticker is on (only outer faces are present).
+// Stickers are copied as they are, so unknown colors survive the round trip.
+export function cubeDataToCubelets(cubeData) {
+  const cubelets = new Map(
+    CUBELET_POSITIONS.map(position => [position.join(','), { position, colors: {} }])
+  );
+  FACELET_GEOMETRY.forEach(({ face, position }, index) => {
+    const grid = getFaceGrid(cubeData?.[FACE_NAMES[face]]);
+    const row = Math.floor((index % 9) / 3);
+    cubelets.get(position.join(',')).colors[FACE_NAMES[face]] = grid?.[row]?.[index % 3] ?? null;
+  });
+  return [...cubelets.values()];
+}
+
+// Inverse of cubeDataToCubelets
+export function cubeletsToCubeData(cubelets) {
+  const cubeData = {};
+  FACE_ORDER.forEach(face => {
+    cubeData[FACE_NAMES[face]] = { colors: [[null, null, null], [null, null, null], [null, null, null]] };
+  });
+  cubelets.forEach(({ position, colors }) => {
+    Object.entries(colors).forEach(([faceName, color]) => {
+      const cell = getStickerCell(position, faceName);
+      if (cell) cubeData[faceName].colors[cell.row][cell.col] = color;
+    });
+  });
+  return cubeData;
+}
+
+// ---------------------------------------------------------------------------
+// Cube <-> cubeData / cubelets
+// ---------------------------------------------------------------------------
+
+// Convert cubeData to a cube and the face -> color scheme read from its
+// centers. cubeToCubeData(cube, scheme) gives back the same stickers.
+// Returns { cube, scheme, error }; use validateCubeData for detailed issues.
+export function cubeDataToCube(cubeData) {
+  const { facelets, scheme, error } = cubeDataToFacelets(cubeData);
+  if (error) return { cube: null, scheme, error };
+
+  const converted = faceletsToCube(facelets);
+  if (converted.error) return { cube: null, scheme, error: converted.error };
+
+  const verifyError = verifyCube(converted.cube);
+  if (verifyError) return { cube: null, scheme, error: verifyError };
+
+  return { cube: converted.cube, scheme, error: null };
+}
+
+export function cubeToCubeData(cube, scheme = DEFAULT_COLOR_SCHEME) {
+  return faceletsToCubeData(cubeToFacelets(cube), scheme);
+}
+
+export function cubeToCubelets(cube, scheme = DEFAULT_COLOR_SCHEME) {
+  return cubeDataToCubelets(cubeToCubeData(cube, scheme));
+}
+
+// Returns { cube, scheme, error } like cubeDataToCube
+export function cubeletsToCube(cubelets) {
+  return cubeDataToCube(cubeletsToCubeData(cubelets));
+}
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+// Rotate a vector by quarter turns about an axis. Positive quarter turns are
+// clockwise when looking at the cube from the positive end of the axis, the
+// same direction as R (x), U (y) and F (z).
+export function rotateVector(vector, axis, quarterTurns) {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  let [x, y, z] = vector;
+  for (let i = 0; i < turns; i++) {
+    if (AXIS_INDEX[axis] === 0) [y, z] = [z, -y];
+    else if (AXIS_INDEX[axis] === 1) [x, z] = [-z, x];
+    else [x, y] = [y, -x];
+  }
+  return [x + 0, y + 0, z + 0];
+}
+
+// Face that ends up at each position after rotating the whole cube
+function rotatedFaceMap(axis, quarterTurns) {
+  const map = {};
+  FACE_ORDER.forEach(face => {
+    const normal = rotateVector(FACE_NORMALS[face], axis, quarterTurns);
+    map[face] = FACE_ORDER.find(other => FACE_NORMALS[other].every((v, i) => v === normal[i]));
+  });
+  return map;
+}
+
+// Rotate the whole cube (x, y or z direction). Stickers are relabelled so the
+// result is again expressed relative to the centers. Returns the new facelet
+// string and `faceMap`, which gives the new position of each original face.
+export function rotateFacelets(facelets, axis, quarterTurns) {
+  const faceMap = rotatedFaceMap(axis, quarterTurns);
+  const result = new Array(54);
+  FACELET_GEOMETRY.forEach(({ position, normal }, index) => {
+    const target = faceletIndexAt(
+      rotateVector(position, axis, quarterTurns),
+      rotateVector(normal, axis, quarterTurns)
+    );
+    result[target] = faceMap[facelets[index]];
+  });
+  return { facelets: result.join(''), faceMap };
+}
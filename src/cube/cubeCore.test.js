@@ -0,0 +1,82 @@
+import {
+  CUBELET_POSITIONS,
+  applyMoves,
+  createBlankCubeData,
+  createSolvedCube,
+  cubeDataToCube,
+  cubeDataToCubelets,
+  cubeletsToCube,
+  cubeletsToCubeData,
+  cubeToCubeData,
+  cubeToCubelets,
+  cubeToFacelets,
+  faceletsToCube,
+  getStickerCell,
+  paintStickers
+} from './cubeCore';
+
+const SCRAMBLE = "R U2 F' L D B2 R' U' F2 D' L2 B".split(' ');
+const scrambled = () => applyMoves(createSolvedCube(), SCRAMBLE);
+
+test('converts between cube and facelet string without loss', () => {
+  const cube = scrambled();
+  expect(faceletsToCube(cubeToFacelets(cube)).cube).toEqual(cube);
+  expect(cubeToFacelets(createSolvedCube())).toBe(
+    'UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB'
+  );
+});
+
+test('converts between cube and cubeData without loss', () => {
+  const scheme = { U: 'yellow', R: 'orange', F: 'blue', D: 'white', L: 'red', B: 'green' };
+  const cubeData = cubeToCubeData(scrambled(), scheme);
+  const converted = cubeDataToCube(cubeData);
+
+  expect(converted.error).toBeNull();
+  expect(converted.cube).toEqual(scrambled());
+  expect(converted.scheme).toEqual(scheme);
+  expect(cubeToCubeData(converted.cube, converted.scheme)).toEqual(cubeData);
+});
+
+test('converts between cube and 3D cubelets without loss', () => {
+  const cubelets = cubeToCubelets(scrambled());
+  expect(cubelets).toHaveLength(26);
+  expect(cubeletsToCube(cubelets).cube).toEqual(scrambled());
+
+  // Corners show three stickers, edges two and centers one
+  const stickerCounts = cubelets.map(({ colors }) => Object.keys(colors).length).sort();
+  expect(stickerCounts.filter(count => count === 3)).toHaveLength(8);
+  expect(stickerCounts.filter(count => count === 2)).toHaveLength(12);
+  expect(stickerCounts.filter(count => count === 1)).toHaveLength(6);
+});
+
+test('keeps unknown stickers when converting cubeData to cubelets', () => {
+  const cubeData = cubeToCubeData(createSolvedCube());
+  cubeData.front.colors[0][2] = 'unknown';
+  expect(cubeletsToCubeData(cubeDataToCubelets(cubeData))).toEqual(cubeData);
+});
+
+test('maps cubelet positions to grid cells as seen from outside', () => {
+  expect(getStickerCell([-1, 1, 1], 'front')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([1, 1, 1], 'right')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([1, 1, -1], 'back')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([-1, 1, -1], 'left')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([-1, 1, -1], 'up')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([-1, -1, 1], 'down')).toEqual({ row: 0, col: 0 });
+  expect(getStickerCell([0, 0, 0], 'front')).toBeNull();
+  expect(CUBELET_POSITIONS).toHaveLength(26);
+});
+
+test('paints stickers onto a blank cube', () => {
+  const blank = createBlankCubeData();
+  expect(blank.up.colors).toEqual([
+    ['unknown', 'unknown', 'unknown'],
+    ['unknown', 'white', 'unknown'],
+    ['unknown', 'unknown', 'unknown']
+  ]);
+
+  const painted = paintStickers(blank, [{ faceName: 'front', row: 0, col: 2, color: 'red' }]);
+  expect(painted.front.colors[0][2]).toBe('red');
+  expect(blank.front.colors[0][2]).toBe('unknown');
+  expect(paintStickers({}, [{ faceName: 'up', row: 1, col: 1, color: 'white' }]).up.colors[1])
+    .toEqual(['unknown', 'white', 'unknown']);
+});
@@ -0,0 +1,363 @@
+// src/cube/cubeLibrary.js
+// Library of saved cubes, stored in IndexedDB, or in localStorage where
+// IndexedDB cannot be opened (some private browsing modes).
+//
+// An entry is { id, name, source, tags, thumbnail, cubeData, createdAt,
+// updatedAt }: source is how the cube was entered ('camera', 'manual' or
+// 'scramble'), thumbnail is an SVG data URL of the cube net and the
+// timestamps are ISO strings. The id of the open cube is kept in
+// localStorage. The single capturedCubeData key used before the library is
+// moved into it on first run. Entries are checked against the cube-data
+// schema (cubeSchema.js) when the library opens.
+//
+// Like the solver table cache, every storage function resolves (never
+// rejects). When neither store can be written the app keeps cubes in memory.
+
+import { FACE_NAMES, FACE_ORDER, STICKER_COLORS, getFaceGrid } from './cubeCore';
+import { deleteHistory, moveHistory } from './history';
+import { CUBE_SCHEMA_VERSION, CUBE_SOURCES, migrateCubeData } from './cubeSchema';
+
+const DB_NAME = 'cubenav-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'cubes';
+
+export const LEGACY_STORAGE_KEY = 'capturedCubeData';
+const ACTIVE_CUBE_KEY = 'activeCubeId';
+// Every entry as one JSON array, used when IndexedDB is unavailable
+const FALLBACK_STORAGE_KEY = 'cubeLibrary';
+
+// Recovery id of the old single key when it cannot be read
+export const LEGACY_RECOVERY_ID = 'legacy';
+
+function openDatabase() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ Could not open the cube library:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not open the cube library:', error);
+      resolve(null);
+    }
+  });
+}
+
+function readFallbackEntries() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(FALLBACK_STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error('❌ Could not read the cube library from localStorage:', error);
+    return [];
+  }
+}
+
+// Resolves like a request: { result }, or null when the entries were not written
+function writeFallbackEntries(entries, result) {
+  try {
+    localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(entries));
+    return { result };
+  } catch (error) {
+    console.warn('⚠️ Could not save the cube library to localStorage:', error);
+    return null;
+  }
+}
+
+let fallbackAnnounced = false;
+
+// Run one request against the store; resolves with { result }, or null on
+// failure. Without a database, fallback() does the same on localStorage.
+function runRequest(mode, makeRequest, fallback) {
+  return openDatabase().then(db => new Promise((resolve) => {
+    if (!db) {
+      if (!fallbackAnnounced) {
+        fallbackAnnounced = true;
+        console.warn('⚠️ IndexedDB is unavailable; the cube library is kept in localStorage');
+      }
+      resolve(fallback());
+      return;
+    }
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      let result;
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      transaction.oncomplete = () => {
+        db.close();
+        resolve({ result });
+      };
+      transaction.onerror = transaction.onabort = () => {
+        console.warn('⚠️ Cube library request failed:', transaction.error);
+        db.close();
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('⚠️ Cube library request failed:', error);
+      db.close();
+      resolve(null);
+    }
+  }));
+}
+
+// Newest first
+const byUpdated = (a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '');
+
+// Resolves with every saved cube, most recently updated first
+export async function listCubes() {
+  const response = await runRequest('readonly', store => store.getAll(), () => ({ result: readFallbackEntries() }));
+  return response ? [...response.result].sort(byUpdated) : [];
+}
+
+export async function getCube(id) {
+  const response = await runRequest('readonly', store => store.get(id), () => ({
+    result: readFallbackEntries().find(entry => entry.id === id)
+  }));
+  return response?.result || null;
+}
+
+// Resolves with true when the entry was stored
+export async function putCube(entry) {
+  const response = await runRequest('readwrite', store => store.put(entry), () =>
+    writeFallbackEntries([...readFallbackEntries().filter(other => other.id !== entry.id), entry], entry.id)
+  );
+  return response !== null;
+}
+
+// Resolves with true when the entry is gone; its undo history goes with it
+export async function deleteCube(id) {
+  deleteHistory(id);
+  const response = await runRequest('readwrite', store => store.delete(id), () =>
+    writeFallbackEntries(readFallbackEntries().filter(entry => entry.id !== id))
+  );
+  return response !== null;
+}
+
+export function getActiveCubeId() {
+  return localStorage.getItem(ACTIVE_CUBE_KEY);
+}
+
+export function setActiveCubeId(id) {
+  if (id) {
+    localStorage.setItem(ACTIVE_CUBE_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_CUBE_KEY);
+  }
+}
+
+// Sticker offsets (row, column) of each face in the thumbnail net
+const NET_ORIGINS = {
+  U: [0, 3],
+  L: [3, 0],
+  F: [3, 3],
+  R: [3, 6],
+  B: [3, 9],
+  D: [6, 3]
+};
+const THUMBNAIL_CELL = 10;
+
+// SVG data URL of the cube net; stickers whose facelet index is in highlight
+// are outlined
+export function renderThumbnail(cubeData, { highlight = null } = {}) {
+  const rects = [];
+  FACE_ORDER.forEach((face, faceIndex) => {
+    const grid = getFaceGrid(cubeData?.[FACE_NAMES[face]]);
+    const [top, left] = NET_ORIGINS[face];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        const color = STICKER_COLORS[grid?.[row]?.[col]] || STICKER_COLORS.gray;
+        const marked = highlight && highlight.has(faceIndex * 9 + row * 3 + col);
+        rects.push(
+          `<rect x="${(left + col) * THUMBNAIL_CELL + 0.5}" y="${(top + row) * THUMBNAIL_CELL + 0.5}" ` +
+          `width="${THUMBNAIL_CELL - 1}" height="${THUMBNAIL_CELL - 1}" rx="1.5" fill="${color}" ` +
+          (marked ? 'stroke="#ff1744" stroke-width="2"/>' : 'stroke="#222" stroke-width="0.5"/>')
+        );
+      }
+    }
+  });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${12 * THUMBNAIL_CELL} ${9 * THUMBNAIL_CELL}">${rects.join('')}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+// Facelet indices (URFDLB order) where two cubes show different colors
+export function compareCubeData(a, b) {
+  const differences = [];
+  FACE_ORDER.forEach((face, faceIndex) => {
+    const gridA = getFaceGrid(a?.[FACE_NAMES[face]]);
+    const gridB = getFaceGrid(b?.[FACE_NAMES[face]]);
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        if (gridA?.[row]?.[col] !== gridB?.[row]?.[col]) differences.push(faceIndex * 9 + row * 3 + col);
+      }
+    }
+  });
+  return differences;
+}
+
+// Comma-separated tag text to a list of distinct tags
+export function parseTags(text) {
+  const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+const createCubeId = () => `cube-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Short local date and time, e.g. "1 Mar, 10:00"
+export function formatCubeDate(date) {
+  return new Date(date).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+export function defaultCubeName(source, { scramble = [], date = new Date() } = {}) {
+  if (source === 'scramble' && scramble.length > 0) {
+    const shown = scramble.slice(0, 8).join(' ');
+    return `Scramble ${shown}${scramble.length > 8 ? ' …' : ''}`;
+  }
+  return `${source === 'camera' ? 'Camera capture' : 'Manual cube'} ${formatCubeDate(date)}`;
+}
+
+export function createLibraryEntry(cubeData, { name = null, source = 'manual', tags = [], scramble = [], now = new Date() } = {}) {
+  const knownSource = CUBE_SOURCES.includes(source) ? source : 'manual';
+  return {
+    id: createCubeId(),
+    name: name || defaultCubeName(knownSource, { scramble, date: now }),
+    source: knownSource,
+    tags,
+    thumbnail: renderThumbnail(cubeData),
+    cubeData,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+// A new entry object with changes ({ name, tags, cubeData }) applied
+export function updateLibraryEntry(entry, changes, now = new Date()) {
+  const updated = { ...entry, ...changes, updatedAt: now.toISOString() };
+  if (changes.cubeData) updated.thumbnail = renderThumbnail(changes.cubeData);
+  return updated;
+}
+
+export function duplicateLibraryEntry(entry, now = new Date()) {
+  return {
+    ...entry,
+    id: createCubeId(),
+    name: `${entry.name} (copy)`,
+    tags: [...entry.tags],
+    cubeData: JSON.parse(JSON.stringify(entry.cubeData)),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+// Camera captures are the only cubes saved with a capture timestamp. The
+// data is moved as it was saved; openLibrary checks it like any other entry.
+function legacyEntry(cubeData) {
+  const captured = new Date(cubeData.timestamp);
+  const fromCamera = Boolean(cubeData.timestamp) && !Number.isNaN(captured.getTime());
+  return createLibraryEntry(cubeData, {
+    name: fromCamera ? null : 'Saved cube',
+    source: fromCamera ? 'camera' : 'manual',
+    now: fromCamera ? captured : new Date()
+  });
+}
+
+// The old single key as { cubeData, raw }; cubeData is null when the key
+// does not hold a JSON object. Null when the key is not set.
+function readLegacyCube() {
+  const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (raw === null) return null;
+  try {
+    const cubeData = JSON.parse(raw);
+    if (cubeData && typeof cubeData === 'object' && !Array.isArray(cubeData)) return { cubeData, raw };
+  } catch (error) {
+    console.error('❌ Could not read the saved cube for the library:', error);
+  }
+  return { cubeData: null, raw };
+}
+
+export function discardLegacyCube() {
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  deleteHistory(LEGACY_STORAGE_KEY);
+}
+
+// Move the cube saved under the old single key into the library, with its
+// undo history. The key is only removed once the entry is stored. Resolves
+// with the new entry, or null when there was nothing to move.
+export async function migrateLegacyCube() {
+  const legacy = readLegacyCube();
+  if (!legacy?.cubeData) return null;
+
+  const entry = legacyEntry(legacy.cubeData);
+  if (!(await putCube(entry))) return null;
+
+  moveHistory(LEGACY_STORAGE_KEY, entry.id);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  if (!getActiveCubeId()) setActiveCubeId(entry.id);
+  console.log(`📚 Moved the saved cube into the library as "${entry.name}"`);
+  return entry;
+}
+
+// Check an entry against the cube-data schema. Entries from an older version
+// are upgraded and stored again when nothing had to be repaired; otherwise the
+// entry is left as it is and a recovery { id, name, result, raw } describes
+// what is wrong, for the user to decide.
+async function checkEntry(entry) {
+  const result = migrateCubeData(entry.cubeData, { source: entry.source, capturedAt: entry.createdAt });
+  if (result.status === 'current') return { entry };
+  if (result.status === 'migrated' && result.repairs.length === 0) {
+    const upgraded = { ...entry, cubeData: result.cubeData };
+    await putCube(upgraded);
+    console.log(`🆙 Upgraded "${entry.name}" to cube data version ${CUBE_SCHEMA_VERSION}`);
+    return { entry: upgraded };
+  }
+  const recovery = { id: entry.id, name: entry.name, result, raw: JSON.stringify(entry.cubeData, null, 2) };
+  return { entry, recovery };
+}
+
+// Migrate, then resolve with { entries, active, recoveries }: active is the
+// entry that was open last (or the newest one) and recoveries lists the
+// entries (and the old single key, as LEGACY_RECOVERY_ID) that need the
+// user's attention. When the old saved cube cannot be stored anywhere it is
+// still opened, from memory.
+export async function openLibrary() {
+  await migrateLegacyCube();
+  let stored = await listCubes();
+  const recoveries = [];
+
+  const legacy = readLegacyCube();
+  if (legacy && !legacy.cubeData) {
+    recoveries.push({
+      id: LEGACY_RECOVERY_ID,
+      name: 'Saved cube',
+      result: { status: 'corrupt', cubeData: null, fromVersion: null, repairs: [], errors: ['The saved cube could not be read'] },
+      raw: legacy.raw
+    });
+  } else if (legacy && stored.length === 0) {
+    stored = [legacyEntry(legacy.cubeData)];
+  }
+
+  const checked = await Promise.all(stored.map(checkEntry));
+  const entries = checked.map(item => item.entry);
+  checked.forEach(item => item.recovery && recoveries.push(item.recovery));
+
+  const activeId = getActiveCubeId();
+  const active = entries.find(entry => entry.id === activeId) || entries[0] || null;
+  return { entries, active, recoveries };
+}
@@ -0,0 +1,101 @@
+import { applyMoves, createSolvedCube, cubeToCubeData } from './cubeCore';
+import {
+  compareCubeData,
+  createLibraryEntry,
+  deleteCube,
+  duplicateLibraryEntry,
+  openLibrary,
+  parseTags,
+  putCube,
+  renderThumbnail,
+  updateLibraryEntry
+} from './cubeLibrary';
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+const LATER = new Date('2026-03-02T10:00:00Z');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('creates, updates and duplicates library entries', () => {
+  const solved = cubeToCubeData(createSolvedCube());
+  const entry = createLibraryEntry(solved, { source: 'scramble', scramble: ['R', 'U'], tags: ['oll'], now: NOW });
+  expect(entry).toMatchObject({ name: 'Scramble R U', source: 'scramble', tags: ['oll'], cubeData: solved });
+  expect(entry.createdAt).toBe(NOW.toISOString());
+  expect(entry.thumbnail).toMatch(/^data:image\/svg\+xml,/);
+  expect(createLibraryEntry(solved, { source: 'webcam' }).source).toBe('manual');
+
+  const turned = cubeToCubeData(applyMoves(createSolvedCube(), ['R']));
+  const updated = updateLibraryEntry(entry, { cubeData: turned, tags: parseTags('oll, pll ,, oll') }, LATER);
+  expect(updated.tags).toEqual(['oll', 'pll']);
+  expect(updated.createdAt).toBe(NOW.toISOString());
+  expect(updated.updatedAt).toBe(LATER.toISOString());
+  expect(updated.thumbnail).not.toBe(entry.thumbnail);
+
+  const copy = duplicateLibraryEntry(updated, LATER);
+  expect(copy.id).not.toBe(updated.id);
+  expect(copy.name).toBe('Scramble R U (copy)');
+  expect(copy.cubeData).toEqual(turned);
+  expect(copy.cubeData).not.toBe(turned);
+});
+
+test('compares the stickers of two cubes', () => {
+  const solved = cubeToCubeData(createSolvedCube());
+  expect(compareCubeData(solved, solved)).toEqual([]);
+
+  // R moves three stickers on each of U, F, D and B, and turns the R face
+  const differences = compareCubeData(solved, cubeToCubeData(applyMoves(createSolvedCube(), ['R'])));
+  expect(differences).toHaveLength(12);
+  expect(differences).toContain(2);
+  expect(renderThumbnail(solved, { highlight: new Set(differences) })).toContain(encodeURIComponent('#ff1744'));
+});
+
+test('keeps the library in localStorage when IndexedDB is unavailable', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(typeof indexedDB).toBe('undefined');
+  const captured = { ...cubeToCubeData(createSolvedCube()), timestamp: NOW.toISOString() };
+  localStorage.setItem('capturedCubeData', JSON.stringify(captured));
+  localStorage.setItem('cubeHistory:capturedCubeData', JSON.stringify({ base: 'start', entries: [], position: 0 }));
+
+  const { entries, active, recoveries } = await openLibrary();
+  expect(entries).toHaveLength(1);
+  expect(recoveries).toEqual([]);
+  expect(active).toMatchObject({ source: 'camera', createdAt: NOW.toISOString() });
+  expect(active.cubeData).toMatchObject({ schemaVersion: 1, front: { colors: captured.front.colors } });
+  expect(active.cubeData.capture).toMatchObject({ source: 'camera', capturedAt: NOW.toISOString() });
+  // The old key and its history moved into the library for good
+  expect(localStorage.getItem('capturedCubeData')).toBeNull();
+  expect(localStorage.getItem(`cubeHistory:${active.id}`)).not.toBeNull();
+
+  const copy = duplicateLibraryEntry(active, LATER);
+  await expect(putCube(copy)).resolves.toBe(true);
+  const reopened = await openLibrary();
+  expect(reopened.entries.map(entry => entry.id)).toEqual([copy.id, active.id]);
+  expect(reopened.active.id).toBe(active.id);
+
+  await expect(deleteCube(copy.id)).resolves.toBe(true);
+  expect((await openLibrary()).entries.map(entry => entry.id)).toEqual([active.id]);
+  console.warn.mockRestore();
+});
+
+test('asks for recovery when the old saved cube cannot be read', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  localStorage.setItem('capturedCubeData', '{"front": {"colors": [');
+
+  const { entries, active, recoveries } = await openLibrary();
+  expect(entries).toEqual([]);
+  expect(active).toBeNull();
+  expect(recoveries).toHaveLength(1);
+  expect(recoveries[0]).toMatchObject({ id: 'legacy', raw: '{"front": {"colors": [' });
+  expect(recoveries[0].result.status).toBe('corrupt');
+  console.error.mockRestore();
+});
@@ -0,0 +1,284 @@
+// src/cube/cubeSchema.js
+// Versioned schema for captured and edited cube data.
+//
+// Version 1 keeps the face layout every view reads and adds what a capture
+// knows about itself:
+//
+//   {
+//     schemaVersion: 1,
+//     front: { colors, confidence }, back, up, down, left, right,
+//     scheme: { U, R, F, D, L, B } | null,
+//     capture: { source, capturedAt, faces }
+//   }
+//
+// colors is a 3x3 grid of sticker color names ('unknown' for a sticker with
+// no color yet) and confidence the matching grid of detection confidences
+// from 0 to 1, null for stickers entered or changed by hand. scheme lists the
+// center colors (null while a center is unknown). capture.source is how the
+// cube was entered, capturedAt an ISO date or null, and faces holds the
+// camera's per-face alignment scores.
+//
+// Data saved before the schema has no schemaVersion and is version 0.
+// migrateCubeData runs the migrations in order up to the current version and
+// says what it had to repair; data it cannot read is reported as corrupt so
+// the app can offer a recovery prompt instead of drawing a broken cube.
+
+import { FACE_NAMES, FACE_ORDER } from './cubeCore';
+
+export const CUBE_SCHEMA_VERSION = 1;
+
+export const CUBE_SOURCES = ['camera', 'manual', 'scramble'];
+const CAPTURE_SOURCES = [...CUBE_SOURCES, 'unknown'];
+
+export const STICKER_COLOR_NAMES = ['white', 'yellow', 'green', 'blue', 'red', 'orange'];
+
+// Stickers saved without a color: the old face grids filled them with gray
+const MISSING_COLORS = new Set([undefined, null, '', 'unknown', 'gray', 'grey']);
+
+const FACE_KEYS = FACE_ORDER.map(face => FACE_NAMES[face]);
+
+const grid = (fill) => [0, 1, 2].map(() => [fill, fill, fill]);
+
+const isGrid = (value) => Array.isArray(value) && value.length === 3 &&
+  value.every(row => Array.isArray(row) && row.length === 3);
+
+// 3x3 grid from a grid or a flat list of 9, else null
+function toGrid(values) {
+  if (isGrid(values)) return values.map(row => [...row]);
+  if (Array.isArray(values) && values.length === 9 && values.every(value => !Array.isArray(value))) {
+    return [0, 1, 2].map(row => values.slice(row * 3, row * 3 + 3));
+  }
+  return null;
+}
+
+const toIsoDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const clampConfidence = (value) => (typeof value === 'number' && Number.isFinite(value)
+  ? Math.min(1, Math.max(0, value))
+  : null);
+
+// Center colors by face letter, or null when they do not name six colors
+export function detectColorScheme(cubeData) {
+  const scheme = {};
+  FACE_ORDER.forEach(face => {
+    scheme[face] = cubeData?.[FACE_NAMES[face]]?.colors?.[1]?.[1];
+  });
+  const colors = Object.values(scheme);
+  const complete = colors.every(color => STICKER_COLOR_NAMES.includes(color)) && new Set(colors).size === 6;
+  return complete ? scheme : null;
+}
+
+// One face as the camera hands it over, in any of its formats: a bare color
+// list (the old format) or { colors, confidence, stickerConfidence,
+// alignmentScore, timestamp, ... } (the newer one), with colors as a 3x3 grid
+// or a flat list of 9. Resolves to { colors, confidence, alignmentScore,
+// timestamp } with raw color values, or null when no colors can be read.
+export function readFaceCapture(faceData) {
+  if (Array.isArray(faceData)) {
+    const colors = toGrid(faceData);
+    return colors ? { colors, confidence: grid(null), alignmentScore: null, timestamp: null } : null;
+  }
+  if (!faceData || typeof faceData !== 'object') return null;
+
+  const colors = toGrid(faceData.colors);
+  if (!colors) return null;
+
+  // Per-sticker confidence when the camera measured it, else the face average
+  let confidence = toGrid(faceData.stickerConfidence)?.map(row => row.map(clampConfidence));
+  if (!confidence) {
+    const average = clampConfidence(faceData.confidence);
+    confidence = grid(average > 0 ? average : null);
+  }
+
+  return {
+    colors,
+    confidence,
+    alignmentScore: typeof faceData.alignmentScore === 'number' ? faceData.alignmentScore : null,
+    timestamp: toIsoDate(faceData.timestamp)
+  };
+}
+
+// Current-version cube data from face grids. faces maps face names to
+// { colors, confidence }; capture is { source, capturedAt, faces }. Colors
+// that are not sticker colors become 'unknown'.
+export function createCubeData(faces, { capture = {} } = {}) {
+  const cubeData = { schemaVersion: CUBE_SCHEMA_VERSION };
+  FACE_KEYS.forEach(name => {
+    const face = faces[name];
+    const colors = isGrid(face?.colors) ? face.colors : grid('unknown');
+    const confidence = isGrid(face?.confidence) ? face.confidence : grid(null);
+    cubeData[name] = {
+      colors: colors.map(row => row.map(color => (STICKER_COLOR_NAMES.includes(color) ? color : 'unknown'))),
+      confidence: confidence.map(row => row.map(clampConfidence))
+    };
+  });
+  cubeData.scheme = detectColorScheme(cubeData);
+  cubeData.capture = {
+    source: CAPTURE_SOURCES.includes(capture.source) ? capture.source : 'unknown',
+    capturedAt: toIsoDate(capture.capturedAt),
+    faces: capture.faces || {}
+  };
+  return cubeData;
+}
+
+// Version 0 → 1: every shape saved before the schema. Faces may be bare
+// arrays or { colors } objects from the camera (with per-face confidence and
+// alignment), colors may be flat lists, missing stickers may be gray, and
+// whole faces may be missing. Repairs are described in repairs.
+function migrateLegacyShapes(data, repairs, { source, capturedAt }) {
+  const faces = {};
+  const captureFaces = {};
+  let readable = 0;
+  let missingStickers = 0;
+  const unknownColors = new Set();
+
+  FACE_KEYS.forEach(name => {
+    const face = readFaceCapture(data[name]);
+    if (!face) {
+      repairs.push(`The ${name} face was missing; its stickers need to be painted`);
+      faces[name] = { colors: grid('unknown'), confidence: grid(null) };
+      return;
+    }
+    readable++;
+    const colors = face.colors.map(row => row.map(value => {
+      const color = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (STICKER_COLOR_NAMES.includes(color)) return color;
+      if (MISSING_COLORS.has(color)) {
+        missingStickers++;
+      } else {
+        unknownColors.add(String(value));
+      }
+      return 'unknown';
+    }));
+    faces[name] = { colors, confidence: face.confidence };
+    if (face.alignmentScore !== null || face.timestamp) {
+      captureFaces[name] = { alignmentScore: face.alignmentScore, timestamp: face.timestamp };
+    }
+  });
+
+  if (readable === 0) throw new Error('No face of the cube could be read');
+  if (missingStickers > 0) {
+    repairs.push(`${missingStickers} sticker${missingStickers === 1 ? ' had' : 's had'} no color and ${missingStickers === 1 ? 'needs' : 'need'} to be painted`);
+  }
+  if (unknownColors.size > 0) {
+    repairs.push(`Unrecognized colors were cleared: ${[...unknownColors].join(', ')}`);
+  }
+
+  const fromCamera = Object.keys(captureFaces).length > 0 || Boolean(data.timestamp);
+  return createCubeData(faces, {
+    capture: {
+      source: source || (fromCamera ? 'camera' : 'unknown'),
+      capturedAt: toIsoDate(data.timestamp) || capturedAt,
+      faces: captureFaces
+    }
+  });
+}
+
+// MIGRATIONS[v] upgrades data of version v to version v + 1
+const MIGRATIONS = [migrateLegacyShapes];
+
+// Problems with current-version data; an empty list means it is valid
+export function validateCubeSchema(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['The cube data is not an object'];
+  if (data.schemaVersion !== CUBE_SCHEMA_VERSION) {
+    errors.push(`Unsupported schema version ${data.schemaVersion}`);
+  }
+
+  FACE_KEYS.forEach(name => {
+    const face = data[name];
+    if (!face || !isGrid(face.colors)) {
+      errors.push(`The ${name} face needs a 3x3 color grid`);
+      return;
+    }
+    if (face.colors.flat().some(color => color !== 'unknown' && !STICKER_COLOR_NAMES.includes(color))) {
+      errors.push(`The ${name} face has stickers with unknown color names`);
+    }
+    if (!isGrid(face.confidence) || face.confidence.flat().some(value => value !== null && clampConfidence(value) !== value)) {
+      errors.push(`The ${name} face needs a 3x3 confidence grid of numbers from 0 to 1 or null`);
+    }
+  });
+
+  if (data.scheme !== null) {
+    const colors = FACE_ORDER.map(face => data.scheme?.[face]);
+    if (!colors.every(color => STICKER_COLOR_NAMES.includes(color)) || new Set(colors).size !== 6) {
+      errors.push('The color scheme must give six different colors');
+    }
+  }
+
+  const capture = data.capture;
+  if (!capture || typeof capture !== 'object') {
+    errors.push('The capture metadata is missing');
+  } else {
+    if (!CAPTURE_SOURCES.includes(capture.source)) errors.push(`Unknown capture source ${capture.source}`);
+    if (capture.capturedAt !== null && toIsoDate(capture.capturedAt) !== capture.capturedAt) {
+      errors.push('The capture date is not an ISO date');
+    }
+    if (!capture.faces || typeof capture.faces !== 'object') errors.push('The per-face capture metadata is missing');
+  }
+
+  return errors;
+}
+
+// Bring any saved cube data to the current version. options: { source,
+// capturedAt } describe data that does not say how it was entered. Returns
+// { status, cubeData, fromVersion, repairs, errors } where status is
+// 'current', 'migrated' or 'corrupt' (cubeData is then null).
+export function migrateCubeData(data, { source = null, capturedAt = null } = {}) {
+  const corrupt = (fromVersion, errors) => ({ status: 'corrupt', cubeData: null, fromVersion, repairs: [], errors });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return corrupt(null, ['The saved data is not a cube']);
+  }
+  const fromVersion = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > CUBE_SCHEMA_VERSION) {
+    return corrupt(fromVersion, [`The saved data has an unknown schema version (${data.schemaVersion})`]);
+  }
+
+  const repairs = [];
+  let current = data;
+  try {
+    for (let version = fromVersion; version < CUBE_SCHEMA_VERSION; version++) {
+      current = MIGRATIONS[version](current, repairs, { source, capturedAt: toIsoDate(capturedAt) });
+    }
+  } catch (error) {
+    return corrupt(fromVersion, [error.message]);
+  }
+
+  const errors = validateCubeSchema(current);
+  if (errors.length > 0) return corrupt(fromVersion, errors);
+  return {
+    status: fromVersion === CUBE_SCHEMA_VERSION ? 'current' : 'migrated',
+    cubeData: current,
+    fromVersion,
+    repairs,
+    errors: []
+  };
+}
+
+// Stamp edited stickers (after a move, a recolor, an undo) with the metadata
+// of the cube they came from. Confidence travels with the stickers: the move
+// engines and the cubies turn it along with the colors and a recolor clears
+// it, so a confidence grid in next is kept. Faces without one keep the
+// confidence of stickers whose color did not change.
+export function updateCubeData(previous, next) {
+  const faces = {};
+  FACE_KEYS.forEach(name => {
+    const colors = next?.[name]?.colors;
+    if (!isGrid(colors)) return;
+    const before = previous?.[name];
+    faces[name] = {
+      colors,
+      confidence: isGrid(next[name].confidence)
+        ? next[name].confidence
+        : colors.map((row, r) => row.map((color, c) =>
+          before?.colors?.[r]?.[c] === color ? before.confidence?.[r]?.[c] ?? null : null
+        ))
+    };
+  });
+  return createCubeData(faces, { capture: previous?.capture || {} });
+}
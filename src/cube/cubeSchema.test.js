@@ -0,0 +1,113 @@
+import { applyMoves, createSolvedCube, cubeToCubeData, DEFAULT_COLOR_SCHEME, paintStickers } from './cubeCore';
+import { applyMoveToCubeState } from '../animations';
+import {
+  CUBE_SCHEMA_VERSION,
+  migrateCubeData,
+  readFaceCapture,
+  updateCubeData,
+  validateCubeSchema
+} from './cubeSchema';
+
+const FACES = ['front', 'back', 'up', 'down', 'left', 'right'];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('migrates plain cube data and leaves current data alone', () => {
+  const plain = cubeToCubeData(applyMoves(createSolvedCube(), ['R', 'U']));
+  const result = migrateCubeData(plain, { source: 'manual', capturedAt: '2026-03-01T10:00:00Z' });
+  expect(result).toMatchObject({ status: 'migrated', fromVersion: 0, repairs: [], errors: [] });
+  expect(result.cubeData.schemaVersion).toBe(CUBE_SCHEMA_VERSION);
+  expect(result.cubeData.front.colors).toEqual(plain.front.colors);
+  expect(result.cubeData.front.confidence.flat().every(value => value === null)).toBe(true);
+  expect(result.cubeData.scheme).toEqual(DEFAULT_COLOR_SCHEME);
+  expect(result.cubeData.capture).toEqual({ source: 'manual', capturedAt: '2026-03-01T10:00:00.000Z', faces: {} });
+  expect(validateCubeSchema(result.cubeData)).toEqual([]);
+
+  const again = migrateCubeData(result.cubeData);
+  expect(again.status).toBe('current');
+  expect(again.cubeData).toBe(result.cubeData);
+});
+
+test('reads both camera face formats and the gray-filled grids', () => {
+  const solved = cubeToCubeData(createSolvedCube());
+  expect(readFaceCapture(solved.up.colors.flat()).colors).toEqual(solved.up.colors);
+
+  const legacy = { timestamp: '2026-02-01T09:00:00Z' };
+  FACES.forEach(name => {
+    legacy[name] = {
+      colors: solved[name].colors.flat(),
+      faceIndex: 0,
+      alignmentScore: 88,
+      confidence: 0.75,
+      timestamp: Date.parse('2026-02-01T08:59:00Z')
+    };
+  });
+  legacy.up = solved.up.colors;
+  legacy.down.colors[0] = 'gray';
+  legacy.left.colors[1] = 'Purple';
+
+  const result = migrateCubeData(legacy);
+  expect(result.status).toBe('migrated');
+  expect(result.repairs).toEqual([
+    '1 sticker had no color and needs to be painted',
+    'Unrecognized colors were cleared: Purple'
+  ]);
+  expect(result.cubeData.down.colors[0][0]).toBe('unknown');
+  expect(result.cubeData.front.confidence[0][0]).toBe(0.75);
+  expect(result.cubeData.up.confidence[0][0]).toBeNull();
+  expect(result.cubeData.capture.source).toBe('camera');
+  expect(result.cubeData.capture.capturedAt).toBe('2026-02-01T09:00:00.000Z');
+  expect(result.cubeData.capture.faces.front).toEqual({ alignmentScore: 88, timestamp: '2026-02-01T08:59:00.000Z' });
+  expect(result.cubeData.capture.faces.up).toBeUndefined();
+});
+
+test('reports data that cannot be read as corrupt', () => {
+  expect(migrateCubeData('{"front":').status).toBe('corrupt');
+  expect(migrateCubeData({ foo: 1 }).errors).toEqual(['No face of the cube could be read']);
+  expect(migrateCubeData({ schemaVersion: 7 }).errors[0]).toMatch(/unknown schema version/);
+
+  const current = migrateCubeData(cubeToCubeData(createSolvedCube())).cubeData;
+  const broken = { ...current, front: { colors: current.front.colors, confidence: [[2]] } };
+  const result = migrateCubeData(broken);
+  expect(result.status).toBe('corrupt');
+  expect(result.errors).toEqual(['The front face needs a 3x3 confidence grid of numbers from 0 to 1 or null']);
+
+  // A partly captured cube still migrates; the missing face is to be painted
+  const partial = cubeToCubeData(createSolvedCube());
+  delete partial.back;
+  expect(migrateCubeData(partial).repairs[0]).toMatch(/back face was missing/);
+});
+
+test('edits keep the metadata and confidence travels with the stickers', () => {
+  const captured = migrateCubeData(cubeToCubeData(createSolvedCube()), { source: 'camera' }).cubeData;
+  FACES.forEach((name, index) => {
+    captured[name].confidence = captured[name].confidence.map(row => row.map(() => 0.5 + index / 10));
+  });
+
+  // A turn moves the confidence with the stickers
+  const turned = updateCubeData(captured, applyMoveToCubeState(captured, 'R'));
+  expect(validateCubeSchema(turned)).toEqual([]);
+  expect(turned.capture).toEqual(captured.capture);
+  // The right column of the front face now shows the down face's stickers
+  expect(turned.front.confidence[0][2]).toBe(captured.down.confidence[0][2]);
+  expect(turned.front.confidence[0][0]).toBe(captured.front.confidence[0][0]);
+  expect(turned.up.confidence[0][2]).toBe(captured.front.confidence[0][2]);
+
+  // A recolor clears it
+  const painted = updateCubeData(turned, paintStickers(turned, [{ faceName: 'up', row: 0, col: 0, color: 'red' }]));
+  expect(painted.up.confidence[0][0]).toBeNull();
+  expect(painted.up.confidence[0][1]).toBe(turned.up.confidence[0][1]);
+
+  // Data without confidence keeps it where the color did not change
+  const plain = cubeToCubeData(createSolvedCube());
+  plain.front.colors[0][0] = 'blue';
+  const edited = updateCubeData(captured, plain);
+  expect(edited.front.confidence[0][0]).toBeNull();
+  expect(edited.front.confidence[0][1]).toBe(captured.front.confidence[0][1]);
+});
@@ -0,0 +1,329 @@
+// src/cube/cubeValidator.js
+// Solvability validator for captured or edited cube data.
+//
+// Every problem is reported as { code, message, stickers } where stickers are
+// facelet labels such as "U9" or "F3" (face letter + 1..9, row by row).
+
+import {
+  FACE_ORDER,
+  FACE_NAMES,
+  CORNER_FACELETS,
+  EDGE_FACELETS,
+  CORNER_COLORS,
+  EDGE_COLORS,
+  createSolvedCube,
+  permutationParity,
+  getFaceGrid
+} from './cubeCore';
+
+// Piece names as speedcubers read them (U/D first, then F/B, then R/L)
+const CORNER_LABELS = ['UFR', 'UFL', 'UBL', 'UBR', 'DFR', 'DFL', 'DBL', 'DBR'];
+const EDGE_LABELS = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+// Opposite colors of the standard color scheme
+const OPPOSITE_COLORS = {
+  white: 'yellow',
+  yellow: 'white',
+  red: 'orange',
+  orange: 'red',
+  green: 'blue',
+  blue: 'green'
+};
+
+const OPPOSITE_FACES = [['U', 'D'], ['F', 'B'], ['R', 'L']];
+const OPPOSITE_FACE = { U: 'D', D: 'U', F: 'B', B: 'F', R: 'L', L: 'R' };
+
+const EMPTY_COLORS = new Set([undefined, null, '', 'unknown', 'gray']);
+
+export function stickerLabel(index) {
+  return `${FACE_ORDER[Math.floor(index / 9)]}${(index % 9) + 1}`;
+}
+
+// Inverse of stickerLabel: "U9" -> 8
+export function stickerIndex(label) {
+  return FACE_ORDER.indexOf(label.charAt(0)) * 9 + Number(label.slice(1)) - 1;
+}
+
+function issue(code, message, stickers = []) {
+  return { code, message, stickers: stickers.map(stickerLabel) };
+}
+
+function countBy(items) {
+  const counts = {};
+  items.forEach(item => {
+    counts[item] = (counts[item] || 0) + 1;
+  });
+  return counts;
+}
+
+// Read the 54 sticker colors in facelet order, reporting missing faces
+function readStickers(cubeData, issues) {
+  const colors = [];
+  FACE_ORDER.forEach((face, f) => {
+    const grid = getFaceGrid(cubeData?.[FACE_NAMES[face]]);
+    const faceStickers = Array.from({ length: 9 }, (_, i) => f * 9 + i);
+    if (!grid || grid.length !== 3 || grid.some(row => !Array.isArray(row) || row.length !== 3)) {
+      issues.push(issue('missing-face', `The ${FACE_NAMES[face]} face is missing or incomplete`, faceStickers));
+      colors.push(...Array(9).fill(null));
+      return;
+    }
+    colors.push(...grid.flat());
+  });
+  return colors;
+}
+
+function checkColorCounts(colors, issues) {
+  const empty = [];
+  colors.forEach((color, index) => {
+    if (EMPTY_COLORS.has(color)) empty.push(index);
+  });
+  if (empty.length > 0) {
+    issues.push(issue(
+      'unknown-sticker',
+      `${empty.length} sticker${empty.length === 1 ? ' has' : 's have'} no color yet: ${empty.map(stickerLabel).join(', ')}`,
+      empty
+    ));
+  }
+
+  const counts = countBy(colors.filter(color => !EMPTY_COLORS.has(color)));
+  const distinct = Object.keys(counts);
+  if (distinct.length > 6) {
+    issues.push(issue('too-many-colors', `The cube has ${distinct.length} different colors instead of 6: ${distinct.join(', ')}`));
+  }
+  distinct.forEach(color => {
+    if (counts[color] > 9 || (empty.length === 0 && counts[color] !== 9)) {
+      const stickers = colors.map((c, i) => (c === color ? i : -1)).filter(i => i >= 0);
+      issues.push(issue(
+        'color-count',
+        `${color} appears ${counts[color]} times instead of 9`,
+        counts[color] > 9 ? stickers : []
+      ));
+    }
+  });
+  return counts;
+}
+
+// Returns face -> center color, or null when the centers cannot label the cube
+function checkCenters(colors, issues) {
+  const scheme = {};
+  FACE_ORDER.forEach((face, f) => {
+    scheme[face] = colors[f * 9 + 4];
+  });
+
+  let usable = true;
+  FACE_ORDER.forEach((face, f) => {
+    if (EMPTY_COLORS.has(scheme[face])) {
+      usable = false;
+      return;
+    }
+    const earlier = FACE_ORDER.slice(0, f).find(other => scheme[other] === scheme[face]);
+    if (earlier) {
+      usable = false;
+      issues.push(issue(
+        'duplicate-center',
+        `The ${FACE_NAMES[earlier]} and ${FACE_NAMES[face]} centers are both ${scheme[face]}`,
+        [FACE_ORDER.indexOf(earlier) * 9 + 4, f * 9 + 4]
+      ));
+    }
+  });
+
+  OPPOSITE_FACES.forEach(([a, b]) => {
+    const colorA = scheme[a];
+    const colorB = scheme[b];
+    if (OPPOSITE_COLORS[colorA] && OPPOSITE_COLORS[colorB] && OPPOSITE_COLORS[colorA] !== colorB) {
+      issues.push(issue(
+        'center-opposites',
+        `The ${FACE_NAMES[a]} center (${colorA}) and ${FACE_NAMES[b]} center (${colorB}) should be opposite colors; ${colorA} belongs opposite ${OPPOSITE_COLORS[colorA]}`,
+        [FACE_ORDER.indexOf(a) * 9 + 4, FACE_ORDER.indexOf(b) * 9 + 4]
+      ));
+    }
+  });
+
+  return usable ? scheme : null;
+}
+
+// Describe what is wrong with a piece whose stickers (face letters) do not
+// match any real piece. Returns null when nothing specific can be said.
+function describeBadPiece(kind, label, faces, colors, facelets) {
+  const counts = countBy(faces);
+  const repeated = Object.keys(counts).find(face => counts[face] > 1);
+  if (repeated) {
+    const color = colors[faces.indexOf(repeated)];
+    const words = counts[repeated] === 2 ? 'two' : 'three';
+    return issue('bad-piece', `${kind} ${label} has ${words} ${color} stickers`, facelets);
+  }
+  const opposite = faces.find(face => faces.includes(OPPOSITE_FACE[face]));
+  if (opposite) {
+    const colorA = colors[faces.indexOf(opposite)];
+    const colorB = colors[faces.indexOf(OPPOSITE_FACE[opposite])];
+    return issue('bad-piece', `${kind} ${label} has both ${colorA} and ${colorB} stickers, which are on opposite sides`, facelets);
+  }
+  if (kind === 'Corner') {
+    return issue('bad-piece', `Corner ${label} has its ${colors.join('/')} stickers in mirror order`, facelets);
+  }
+  return null;
+}
+
+// Identify each corner and edge; returns a cube or null if a piece is not real
+function checkPieces(colors, scheme, issues) {
+  const faceByColor = {};
+  FACE_ORDER.forEach(face => {
+    faceByColor[scheme[face]] = face;
+  });
+  const cube = createSolvedCube();
+  let complete = true;
+
+  const cornerAt = {};
+  CORNER_FACELETS.forEach((facelets, i) => {
+    const stickerColors = facelets.map(index => colors[index]);
+    const faces = stickerColors.map(color => faceByColor[color]);
+    if (faces.some(face => !face)) {
+      complete = false;
+      return;
+    }
+    const ori = faces.findIndex(face => face === 'U' || face === 'D');
+    const piece = ori === -1 ? -1 : CORNER_COLORS.findIndex(pieceFaces =>
+      pieceFaces.every((face, n) => face === faces[(ori + n) % 3])
+    );
+    if (piece === -1) {
+      complete = false;
+      const described = describeBadPiece('Corner', CORNER_LABELS[i], faces, stickerColors, facelets);
+      if (described) issues.push(described);
+      return;
+    }
+    cube.cp[i] = piece;
+    cube.co[i] = ori;
+    (cornerAt[piece] = cornerAt[piece] || []).push(i);
+  });
+
+  const edgeAt = {};
+  EDGE_FACELETS.forEach((facelets, i) => {
+    const stickerColors = facelets.map(index => colors[index]);
+    const faces = stickerColors.map(color => faceByColor[color]);
+    if (faces.some(face => !face)) {
+      complete = false;
+      return;
+    }
+    let piece = -1;
+    let ori = 0;
+    EDGE_COLORS.forEach((pieceFaces, j) => {
+      if (pieceFaces[0] === faces[0] && pieceFaces[1] === faces[1]) {
+        piece = j;
+        ori = 0;
+      } else if (pieceFaces[0] === faces[1] && pieceFaces[1] === faces[0]) {
+        piece = j;
+        ori = 1;
+      }
+    });
+    if (piece === -1) {
+      complete = false;
+      const described = describeBadPiece('Edge', EDGE_LABELS[i], faces, stickerColors, facelets);
+      if (described) issues.push(described);
+      return;
+    }
+    cube.ep[i] = piece;
+    cube.eo[i] = ori;
+    (edgeAt[piece] = edgeAt[piece] || []).push(i);
+  });
+
+  Object.entries(cornerAt).forEach(([piece, positions]) => {
+    if (positions.length > 1) {
+      complete = false;
+      const pieceColors = CORNER_COLORS[piece].map(face => scheme[face]).join('/');
+      issues.push(issue(
+        'duplicate-piece',
+        `The ${pieceColors} corner appears ${positions.length} times (at ${positions.map(p => CORNER_LABELS[p]).join(' and ')})`,
+        positions.flatMap(p => CORNER_FACELETS[p])
+      ));
+    }
+  });
+  Object.entries(edgeAt).forEach(([piece, positions]) => {
+    if (positions.length > 1) {
+      complete = false;
+      const pieceColors = EDGE_COLORS[piece].map(face => scheme[face]).join('/');
+      issues.push(issue(
+        'duplicate-piece',
+        `The ${pieceColors} edge appears ${positions.length} times (at ${positions.map(p => EDGE_LABELS[p]).join(' and ')})`,
+        positions.flatMap(p => EDGE_FACELETS[p])
+      ));
+    }
+  });
+
+  return complete ? cube : null;
+}
+
+// Orientation and permutation checks on a cube made of real, unique pieces
+function checkSolvability(cube, issues) {
+  const twist = cube.co.reduce((sum, value) => sum + value, 0) % 3;
+  if (twist !== 0) {
+    issues.push(issue(
+      'corner-twist',
+      `A single corner is twisted ${twist === 1 ? 'clockwise' : 'counter-clockwise'} (corner twist sum is ${twist} mod 3)`
+    ));
+  }
+
+  const flip = cube.eo.reduce((sum, value) => sum + value, 0) % 2;
+  if (flip !== 0) {
+    issues.push(issue('edge-flip', 'A single edge is flipped (edge flip parity is odd)'));
+  }
+
+  if (permutationParity(cube.cp) !== permutationParity(cube.ep)) {
+    issues.push(issue(
+      'permutation-parity',
+      'Two pieces are swapped (corner and edge permutation parities do not match)'
+    ));
+  }
+}
+
+// Validate cube data ({front, back, up, down, left, right}.colors).
+// Returns { isValid, issues, scheme, facelets, cube, colorCounts }; facelets
+// and cube are only set when the state is solvable.
+export function validateCubeData(cubeData) {
+  const issues = [];
+  const colors = readStickers(cubeData, issues);
+  const colorCounts = checkColorCounts(colors, issues);
+  const scheme = checkCenters(colors, issues);
+
+  let cube = null;
+  if (scheme) {
+    cube = checkPieces(colors, scheme, issues);
+    if (cube) checkSolvability(cube, issues);
+  }
+
+  const isValid = issues.length === 0 && cube !== null;
+  let facelets = null;
+  if (isValid) {
+    const faceByColor = {};
+    FACE_ORDER.forEach(face => {
+      faceByColor[scheme[face]] = face;
+    });
+    facelets = colors.map(color => faceByColor[color]).join('');
+  }
+
+  return {
+    isValid,
+    issues,
+    scheme,
+    facelets,
+    cube: isValid ? cube : null,
+    colorCounts
+  };
+}
+
+// Plain-text messages, for places that only show a list of strings
+export function getIssueMessages(validation) {
+  return validation.issues.map(item => item.message);
+}
+
+// Stickers named by the issues of a validation, as facelet index -> messages,
+// for highlighting them in an editor
+export function getInvalidStickers(validation) {
+  const invalid = new Map();
+  validation.issues.forEach(({ message, stickers }) => {
+    stickers.forEach(label => {
+      const index = stickerIndex(label);
+      invalid.set(index, [...(invalid.get(index) || []), message]);
+    });
+  });
+  return invalid;
+}
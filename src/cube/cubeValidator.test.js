@@ -0,0 +1,95 @@
+import {
+  applyMoves,
+  createSolvedCube,
+  cubeToFacelets,
+  faceletsToCubeData
+} from './cubeCore';
+import { getInvalidStickers, stickerIndex, validateCubeData } from './cubeValidator';
+
+const cubeDataFor = (scramble) =>
+  faceletsToCubeData(cubeToFacelets(applyMoves(createSolvedCube(), scramble)));
+
+const issueCodes = (validation) => validation.issues.map(item => item.code);
+
+test('accepts solved and scrambled cubes', () => {
+  expect(validateCubeData(cubeDataFor([])).isValid).toBe(true);
+
+  const validation = validateCubeData(cubeDataFor("R U2 F' L D B2 R' U".split(' ')));
+  expect(validation.isValid).toBe(true);
+  expect(validation.issues).toEqual([]);
+  expect(validation.facelets).toHaveLength(54);
+});
+
+test('reports a single twisted corner', () => {
+  const cubeData = cubeDataFor([]);
+  const { up, right, front } = cubeData;
+  [up.colors[2][2], right.colors[0][0], front.colors[0][2]] =
+    [front.colors[0][2], up.colors[2][2], right.colors[0][0]];
+
+  const validation = validateCubeData(cubeData);
+  expect(validation.isValid).toBe(false);
+  expect(issueCodes(validation)).toEqual(['corner-twist']);
+  expect(validation.issues[0].message).toMatch(/a single corner is twisted/i);
+});
+
+test('reports a single flipped edge', () => {
+  const cubeData = cubeDataFor([]);
+  const { up, front } = cubeData;
+  [up.colors[2][1], front.colors[0][1]] = [front.colors[0][1], up.colors[2][1]];
+
+  expect(issueCodes(validateCubeData(cubeData))).toEqual(['edge-flip']);
+});
+
+test('reports two swapped pieces', () => {
+  const cubeData = cubeDataFor([]);
+  const { up, front, right } = cubeData;
+  // Swap the UF and UR edges
+  [up.colors[2][1], up.colors[1][2]] = [up.colors[1][2], up.colors[2][1]];
+  [front.colors[0][1], right.colors[0][1]] = [right.colors[0][1], front.colors[0][1]];
+
+  expect(issueCodes(validateCubeData(cubeData))).toEqual(['permutation-parity']);
+});
+
+test('names the stickers of an impossible corner', () => {
+  const cubeData = cubeDataFor([]);
+  cubeData.right.colors[0][0] = 'white';
+  cubeData.down.colors[1][0] = 'red';
+
+  const validation = validateCubeData(cubeData);
+  const badPiece = validation.issues.find(item => item.code === 'bad-piece');
+  expect(badPiece.message).toBe('Corner UFR has two white stickers');
+  expect(badPiece.stickers).toEqual(['U9', 'R1', 'F3']);
+});
+
+test('reports color counts, unknown stickers and center problems', () => {
+  const cubeData = cubeDataFor([]);
+  cubeData.front.colors[0][0] = 'unknown';
+  cubeData.back.colors[1][1] = 'white';
+
+  const validation = validateCubeData(cubeData);
+  expect(validation.isValid).toBe(false);
+  expect(issueCodes(validation)).toEqual(
+    expect.arrayContaining(['unknown-sticker', 'color-count', 'duplicate-center'])
+  );
+  expect(validation.issues.find(item => item.code === 'unknown-sticker').stickers).toEqual(['F1']);
+});
+
+test('reports missing faces', () => {
+  const cubeData = cubeDataFor([]);
+  delete cubeData.left;
+
+  const validation = validateCubeData(cubeData);
+  expect(validation.isValid).toBe(false);
+  expect(validation.issues[0].message).toBe('The left face is missing or incomplete');
+});
+
+test('maps issues to the stickers they name', () => {
+  const cubeData = cubeDataFor([]);
+  cubeData.up.colors[2][2] = 'red';
+
+  const invalid = getInvalidStickers(validateCubeData(cubeData));
+  expect(stickerIndex('U9')).toBe(8);
+  expect(invalid.get(8).some(message => /red appears 10 times/.test(message))).toBe(true);
+  expect(invalid.has(stickerIndex('F3'))).toBe(true);
+  expect(invalid.has(stickerIndex('D5'))).toBe(false);
+});
@@ -0,0 +1,184 @@
+// src/cube/cubies.js
+// The 26 cubies of the 3D cube as persistent pieces.
+//
+// A cubie is { id, position, quaternion, stickers, confidence }: position is
+// its cubelet coordinate ([-1..1] on each axis), quaternion its orientation
+// as [x, y, z, w], and stickers the colors it carries keyed by the face
+// ('front', 'up', ...) the sticker faces when the cubie is unrotated;
+// confidence holds the detection confidence of those stickers. A turn
+// moves and rotates the cubies of a layer; the stickers stay on their cubie,
+// so a piece can be followed through any sequence. The cubeData sticker grids
+// are derived from where each cubie has ended up.
+
+import {
+  FACE_NAMES,
+  FACE_NORMALS,
+  FACE_ORDER,
+  cubeDataToCubelets,
+  getFaceGrid,
+  getStickerCell
+} from './cubeCore';
+import { parseMove } from '../animations';
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+export const IDENTITY_QUATERNION = [0, 0, 0, 1];
+
+// Quaternion of a quarter-turn rotation in the R/U/F direction, the same
+// rotation as rotateVector(vector, axis, quarterTurns)
+export function quarterTurnQuaternion(axis, quarterTurns) {
+  const half = (-quarterTurns * Math.PI) / 4;
+  const quaternion = [0, 0, 0, Math.cos(half)];
+  quaternion[AXIS_INDEX[axis]] = Math.sin(half);
+  return quaternion;
+}
+
+// a * b: rotate by b, then by a
+export function multiplyQuaternions(a, b) {
+  const [ax, ay, az, aw] = a;
+  const [bx, by, bz, bw] = b;
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz
+  ];
+}
+
+// Rotate a lattice vector (a position or a face normal); the result is
+// rounded back onto the lattice
+export function rotateByQuaternion(vector, quaternion) {
+  const [qx, qy, qz, qw] = quaternion;
+  const [vx, vy, vz] = vector;
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx)
+  ].map(value => Math.round(value) + 0);
+}
+
+// Quarter-turn orientations only have components 0, ±1/2, ±√2/2 and ±1;
+// snapping keeps rounding errors from piling up over long sequences. The sign
+// is fixed so equal orientations have equal quaternions.
+const SNAP_VALUES = [0, 0.5, Math.SQRT1_2, 1];
+
+function snapQuaternion(quaternion) {
+  const snapped = quaternion.map(value => {
+    const nearest = SNAP_VALUES.reduce((best, candidate) =>
+      Math.abs(Math.abs(value) - candidate) < Math.abs(Math.abs(value) - best) ? candidate : best
+    );
+    return nearest === 0 ? 0 : Math.sign(value) * nearest;
+  });
+  const leading = [snapped[3], snapped[0], snapped[1], snapped[2]].find(value => value !== 0);
+  return leading < 0 ? snapped.map(value => -value + 0) : snapped;
+}
+
+const faceNameForNormal = (normal) =>
+  FACE_NAMES[FACE_ORDER.find(face => FACE_NORMALS[face].every((value, i) => value === normal[i]))];
+
+const normalForFaceName = (faceName) =>
+  FACE_NORMALS[FACE_ORDER.find(face => FACE_NAMES[face] === faceName)];
+
+const NO_CONFIDENCE = Object.freeze({});
+
+// Detection confidence of the sticker at a cell of cubeData, or null
+const confidenceAt = (cubeData, faceName, cell) =>
+  cubeData?.[faceName]?.confidence?.[cell.row]?.[cell.col] ?? null;
+
+// Cubies in their home positions carrying the stickers of cubeData
+export function createCubies(cubeData) {
+  return cubeDataToCubelets(cubeData).map(({ position, colors }, id) => ({
+    id,
+    position,
+    quaternion: IDENTITY_QUATERNION,
+    stickers: colors,
+    confidence: Object.fromEntries(Object.keys(colors).map(faceName =>
+      [faceName, confidenceAt(cubeData, faceName, getStickerCell(position, faceName))]
+    ))
+  }));
+}
+
+// Where a cubie's sticker is now: { faceName, position } in cubeData terms
+export function locateSticker(cubie, stickerFace) {
+  const normal = rotateByQuaternion(normalForFaceName(stickerFace), cubie.quaternion);
+  return { faceName: faceNameForNormal(normal), position: cubie.position };
+}
+
+// Turn the layers of a move (face turns, wide turns, slices and rotations).
+// Cubies outside the move are returned unchanged.
+export function turnCubies(cubies, move) {
+  const { axis, layers, quarterTurns } = parseMove(move);
+  if (quarterTurns === 0) return cubies;
+  const rotation = quarterTurnQuaternion(axis, quarterTurns);
+  return cubies.map(cubie => {
+    if (!layers.includes(cubie.position[AXIS_INDEX[axis]])) return cubie;
+    return {
+      ...cubie,
+      position: rotateByQuaternion(cubie.position, rotation),
+      quaternion: snapQuaternion(multiplyQuaternions(rotation, cubie.quaternion))
+    };
+  });
+}
+
+// Sticker grids as seen on the turned cubies. Faces of `base` keep their
+// other fields; their colors are replaced and so is their confidence grid,
+// which follows the stickers.
+export function cubiesToCubeData(cubies, base = null) {
+  const cubeData = {};
+  FACE_ORDER.forEach(face => {
+    const name = FACE_NAMES[face];
+    const colors = [[null, null, null], [null, null, null], [null, null, null]];
+    if (!base || !base[name] || Array.isArray(base[name])) {
+      cubeData[name] = { colors };
+      return;
+    }
+    cubeData[name] = { ...base[name], colors };
+    if (Array.isArray(base[name].confidence)) {
+      cubeData[name].confidence = [[null, null, null], [null, null, null], [null, null, null]];
+    }
+  });
+  cubies.forEach(cubie => {
+    Object.entries(cubie.stickers).forEach(([stickerFace, color]) => {
+      const { faceName, position } = locateSticker(cubie, stickerFace);
+      const cell = getStickerCell(position, faceName);
+      if (!cell) return;
+      cubeData[faceName].colors[cell.row][cell.col] = color;
+      if (cubeData[faceName].confidence) {
+        cubeData[faceName].confidence[cell.row][cell.col] = cubie.confidence?.[stickerFace] ?? null;
+      }
+    });
+  });
+  return cubeData;
+}
+
+// Bring cubies in line with cubeData that changed without a turn (a recolored
+// sticker, undo, a new capture). Pieces stay where they are and take the
+// colors and confidence now showing at their stickers; unchanged cubies are
+// kept as they are.
+export function syncCubies(cubies, cubeData) {
+  let changed = false;
+  const synced = cubies.map(cubie => {
+    let stickers = cubie.stickers;
+    const original = cubie.confidence || NO_CONFIDENCE;
+    let confidence = original;
+    Object.keys(cubie.stickers).forEach(stickerFace => {
+      const { faceName, position } = locateSticker(cubie, stickerFace);
+      const cell = getStickerCell(position, faceName);
+      const color = getFaceGrid(cubeData?.[faceName])?.[cell.row]?.[cell.col] ?? null;
+      if (color !== stickers[stickerFace]) {
+        stickers = { ...stickers, [stickerFace]: color };
+      }
+      const value = confidenceAt(cubeData, faceName, cell);
+      if (value !== (confidence[stickerFace] ?? null)) {
+        confidence = { ...confidence, [stickerFace]: value };
+      }
+    });
+    if (stickers === cubie.stickers && confidence === original) return cubie;
+    changed = true;
+    return { ...cubie, stickers, confidence };
+  });
+  return changed ? synced : cubies;
+}
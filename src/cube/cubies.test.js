@@ -0,0 +1,64 @@
+import { applyMoves, createSolvedCube, cubeToCubeData } from './cubeCore';
+import { applyMovesToCubeState } from '../animations';
+import { createCubies, cubiesToCubeData, locateSticker, syncCubies, turnCubies } from './cubies';
+
+const SCRAMBLE = "R U2 F' L D B2 R' U' F2 D' L2 B".split(' ');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const turnAll = (cubies, moves) => moves.reduce(turnCubies, cubies);
+
+test('stickers derived from turned cubies match the sticker model', () => {
+  const solved = cubeToCubeData(createSolvedCube());
+  const moves = [...SCRAMBLE, 'M', "r'", 'E2', 'S', 'x', "y'", 'z2', 'Rw', 'd'];
+  const cubies = turnAll(createCubies(solved), moves);
+  expect(cubiesToCubeData(cubies)).toEqual(applyMovesToCubeState(solved, moves));
+  expect(cubiesToCubeData(turnAll(cubies, Array(4).fill('R')))).toEqual(cubiesToCubeData(cubies));
+});
+
+test('pieces travel with their stickers and return home', () => {
+  const cubies = createCubies(cubeToCubeData(applyMoves(createSolvedCube(), SCRAMBLE)));
+  const corner = cubies.find(cubie => cubie.position.join() === '1,1,1');
+
+  const turned = turnAll(cubies, ['R']);
+  const moved = turned.find(cubie => cubie.id === corner.id);
+  expect(moved.position).toEqual([1, 1, -1]);
+  expect(moved.stickers).toBe(corner.stickers);
+  expect(locateSticker(moved, 'up')).toEqual({ faceName: 'back', position: [1, 1, -1] });
+
+  const home = turnAll(cubies, Array(6).fill(["R", "U", "R'", "U'"]).flat());
+  expect(home.map(cubie => cubie.position)).toEqual(cubies.map(cubie => cubie.position));
+  expect(home.map(cubie => cubie.quaternion)).toEqual(cubies.map(cubie => cubie.quaternion));
+});
+
+test('syncing recolors stickers in place and keeps unchanged cubies', () => {
+  const solved = cubeToCubeData(createSolvedCube());
+  const cubies = turnAll(createCubies(solved), ['F', 'U']);
+  const edited = cubiesToCubeData(cubies);
+  edited.front.colors[0][0] = 'blue';
+
+  const synced = syncCubies(cubies, edited);
+  expect(cubiesToCubeData(synced)).toEqual(edited);
+  expect(synced.filter((cubie, i) => cubie !== cubies[i])).toHaveLength(1);
+  expect(syncCubies(synced, edited)).toBe(synced);
+});
+
+test('detection confidence travels with the stickers', () => {
+  const captured = cubeToCubeData(createSolvedCube());
+  Object.values(captured).forEach((face, index) => {
+    face.confidence = face.colors.map((row, r) => row.map((color, c) => (index * 9 + r * 3 + c) / 100));
+  });
+  const moves = ['R', "U'", 'F2'];
+  const cubies = turnAll(createCubies(captured), moves);
+  expect(cubiesToCubeData(cubies, captured)).toEqual(applyMovesToCubeState(captured, moves));
+
+  // Undo (or a recolor) hands over its own confidence
+  const restored = syncCubies(cubies, captured);
+  expect(cubiesToCubeData(restored, captured).front.confidence).toEqual(captured.front.confidence);
+});
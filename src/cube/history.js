@@ -0,0 +1,116 @@
+// src/cube/history.js
+// Undo/redo history of cube states.
+//
+// A history is { base, entries, position }: base is the oldest state that can
+// be restored, entries are { id, type, label, group, state } snapshots taken
+// after each change, and position is how many entries are applied (0 means
+// the base state). Every function returns a new history object.
+//
+// Change types: 'move', 'recolor', 'scramble', 'playback', 'external'.
+// Consecutive changes with the same group (all moves of one scramble, every
+// step of one solution playback) are kept as a single entry.
+
+import { FACE_NAMES, FACE_ORDER, getFaceGrid } from './cubeCore';
+
+export const MAX_HISTORY_ENTRIES = 100;
+
+const STORAGE_PREFIX = 'cubeHistory:';
+
+export function createHistory(state) {
+  return { base: state, entries: [], position: 0 };
+}
+
+export function getHistoryState(history) {
+  return history.position === 0 ? history.base : history.entries[history.position - 1].state;
+}
+
+export function canUndo(history) {
+  return Boolean(history) && history.position > 0;
+}
+
+export function canRedo(history) {
+  return Boolean(history) && history.position < history.entries.length;
+}
+
+// The stickers of a state in URFDLB order; key order and metadata such as
+// schemaVersion or capture do not count
+const stickerKey = (state) => {
+  if (!state || typeof state !== 'object') return state;
+  return JSON.stringify(FACE_ORDER.map(face => getFaceGrid(state[FACE_NAMES[face]])));
+};
+
+export function isSameCubeState(a, b) {
+  return stickerKey(a) === stickerKey(b);
+}
+
+// Add a change; anything that could have been redone is dropped
+export function recordChange(history, state, { type = 'move', label = '', group = null } = {}) {
+  const entries = history.entries.slice(0, history.position);
+  const last = entries[entries.length - 1];
+
+  if (group && last && last.group === group) {
+    // Extend the entry of the same group; drop it if it ends where it began
+    const before = entries.length > 1 ? entries[entries.length - 2].state : history.base;
+    entries.pop();
+    if (!isSameCubeState(before, state)) {
+      entries.push({ ...last, label, state });
+    }
+  } else {
+    const id = (last ? last.id : 0) + 1;
+    entries.push({ id, type, label, group, state });
+  }
+
+  let base = history.base;
+  while (entries.length > MAX_HISTORY_ENTRIES) {
+    base = entries.shift().state;
+  }
+  return { base, entries, position: entries.length };
+}
+
+// Move to a position (0..entries.length); returns { history, state }
+export function jumpToHistory(history, position) {
+  const clamped = Math.max(0, Math.min(history.entries.length, position));
+  const next = { ...history, position: clamped };
+  return { history: next, state: getHistoryState(next) };
+}
+
+export function undoHistory(history) {
+  return jumpToHistory(history, history.position - 1);
+}
+
+export function redoHistory(history) {
+  return jumpToHistory(history, history.position + 1);
+}
+
+// Histories are stored in localStorage, one per saved cube
+export function loadHistory(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    if (saved && Array.isArray(saved.entries) && Number.isInteger(saved.position)) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('❌ Error loading cube history:', error);
+  }
+  return null;
+}
+
+export function saveHistory(key, history) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(history));
+  } catch (error) {
+    console.error('❌ Error saving cube history:', error);
+  }
+}
+
+export function deleteHistory(key) {
+  localStorage.removeItem(STORAGE_PREFIX + key);
+}
+
+// Store the history of one key under another, when a cube gets a new id
+export function moveHistory(fromKey, toKey) {
+  const history = loadHistory(fromKey);
+  if (!history) return;
+  saveHistory(toKey, history);
+  deleteHistory(fromKey);
+}
@@ -0,0 +1,79 @@
+import {
+  createHistory,
+  getHistoryState,
+  recordChange,
+  undoHistory,
+  redoHistory,
+  jumpToHistory,
+  isSameCubeState,
+  loadHistory,
+  saveHistory,
+  moveHistory,
+  MAX_HISTORY_ENTRIES
+} from './history';
+
+test('undoes and redoes recorded changes', () => {
+  let history = createHistory('start');
+  history = recordChange(history, 'after R', { type: 'move', label: 'R' });
+  history = recordChange(history, 'after recolor', { type: 'recolor', label: 'U1 → red' });
+
+  let result = undoHistory(history);
+  expect(result.state).toBe('after R');
+  result = undoHistory(result.history);
+  expect(result.state).toBe('start');
+  expect(undoHistory(result.history).state).toBe('start');
+
+  result = redoHistory(result.history);
+  expect(result.state).toBe('after R');
+
+  // A new change drops what could have been redone
+  const branched = recordChange(result.history, 'after U', { type: 'move', label: 'U' });
+  expect(branched.entries.map(entry => entry.label)).toEqual(['R', 'U']);
+  expect(getHistoryState(jumpToHistory(branched, 0).history)).toBe('start');
+});
+
+test('keeps changes of one group as a single entry', () => {
+  let history = createHistory('start');
+  const group = 'solution-1';
+  history = recordChange(history, 'one', { type: 'playback', label: '1/2', group });
+  history = recordChange(history, 'two', { type: 'playback', label: '2/2', group });
+  expect(history.entries).toHaveLength(1);
+  expect(history.entries[0]).toMatchObject({ label: '2/2', state: 'two' });
+  expect(undoHistory(history).state).toBe('start');
+
+  // Playing back to where the group began removes the entry
+  history = recordChange(history, 'start', { type: 'playback', label: '0/2', group });
+  expect(history.entries).toHaveLength(0);
+});
+
+test('limits its length and persists per cube', () => {
+  let history = createHistory(0);
+  for (let i = 1; i <= MAX_HISTORY_ENTRIES + 5; i++) {
+    history = recordChange(history, i, { label: String(i) });
+  }
+  expect(history.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+  expect(history.base).toBe(5);
+
+  saveHistory('cube-a', history);
+  expect(loadHistory('cube-a')).toEqual(history);
+  expect(loadHistory('cube-b')).toBeNull();
+
+  moveHistory('cube-a', 'cube-c');
+  expect(loadHistory('cube-c')).toEqual(history);
+  expect(loadHistory('cube-a')).toBeNull();
+});
+
+test('compares cube states by their stickers only', () => {
+  const grid = (color) => [0, 1, 2].map(() => [color, color, color]);
+  const state = {
+    up: { colors: grid('white') }, right: { colors: grid('red') }, front: { colors: grid('green') },
+    down: { colors: grid('yellow') }, left: { colors: grid('orange') }, back: { colors: grid('blue') }
+  };
+  const reordered = {
+    schemaVersion: 1,
+    front: state.front, back: state.back, up: state.up, down: state.down, left: state.left, right: state.right,
+    capture: { source: 'camera' }
+  };
+  expect(isSameCubeState(state, reordered)).toBe(true);
+  expect(isSameCubeState(state, { ...reordered, up: { colors: grid('red') } })).toBe(false);
+});
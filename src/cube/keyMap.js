@@ -0,0 +1,87 @@
+// src/cube/keyMap.js
+// Keyboard turning scheme: which key performs which move.
+//
+// The default layout follows csTimer's virtual cube: the right hand turns R
+// and U on I/K and J, the left hand L and U' on D/E and F, rotations sit on
+// the outer keys. The map is { key: move } with letter keys upper-cased, and
+// is persisted in localStorage.
+
+const STORAGE_KEY = 'keyboardScheme';
+
+export const DEFAULT_KEY_MAP = {
+  I: 'R', K: "R'",
+  D: 'L', E: "L'",
+  J: 'U', F: "U'",
+  S: 'D', L: "D'",
+  H: 'F', G: "F'",
+  W: 'B', O: "B'",
+  U: 'r', M: "r'",
+  V: 'l', R: "l'",
+  ',': "u'", C: 'u',
+  Z: 'd', '/': "d'",
+  5: 'M', 6: 'M', X: "M'", '.': "M'",
+  2: 'E', 9: "E'",
+  1: 'S', 0: "S'",
+  T: 'x', Y: 'x', B: "x'", N: "x'",
+  ';': 'y', A: "y'",
+  P: 'z', Q: "z'"
+};
+
+// Moves offered by the remapping UI, grouped for display
+export const KEYBOARD_MOVE_GROUPS = [
+  { name: 'Face turns', moves: ['R', "R'", 'L', "L'", 'U', "U'", 'D', "D'", 'F', "F'", 'B', "B'"] },
+  { name: 'Wide turns', moves: ['r', "r'", 'l', "l'", 'u', "u'", 'd', "d'", 'f', "f'", 'b', "b'"] },
+  { name: 'Slices', moves: ['M', "M'", 'E', "E'", 'S', "S'"] },
+  { name: 'Rotations', moves: ['x', "x'", 'y', "y'", 'z', "z'"] }
+];
+
+// Key name used in the map for a KeyboardEvent.key value
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Move bound to a keydown event, or null. Shortcuts with Ctrl, Alt or Meta
+// are left to the browser and to undo/redo.
+export function getMoveForKey(keyMap, event) {
+  if (event.ctrlKey || event.altKey || event.metaKey) return null;
+  return keyMap[normalizeKey(event.key)] || null;
+}
+
+// Keys bound to a move
+export function getKeysForMove(keyMap, move) {
+  return Object.keys(keyMap).filter(key => keyMap[key] === move);
+}
+
+// Bind a key to a move (a key performs one move, a move may have many keys)
+export function bindKey(keyMap, key, move) {
+  return { ...keyMap, [normalizeKey(key)]: move };
+}
+
+export function unbindKey(keyMap, key) {
+  const updated = { ...keyMap };
+  delete updated[normalizeKey(key)];
+  return updated;
+}
+
+export function loadKeyMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved === 'object') return saved;
+  } catch (error) {
+    console.error('❌ Error loading keyboard scheme:', error);
+  }
+  return { ...DEFAULT_KEY_MAP };
+}
+
+export function saveKeyMap(keyMap) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(keyMap));
+}
+
+// Keyboard turning can be switched off, e.g. while typing notes elsewhere
+export function loadKeyboardEnabled() {
+  return localStorage.getItem(`${STORAGE_KEY}:enabled`) !== 'false';
+}
+
+export function saveKeyboardEnabled(enabled) {
+  localStorage.setItem(`${STORAGE_KEY}:enabled`, String(enabled));
+}
@@ -0,0 +1,34 @@
+import {
+  DEFAULT_KEY_MAP,
+  bindKey,
+  unbindKey,
+  getKeysForMove,
+  getMoveForKey,
+  loadKeyMap,
+  saveKeyMap
+} from './keyMap';
+import { parseMove } from '../animations';
+
+test('the default layout follows csTimer', () => {
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: 'i' })).toBe('R');
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: 'k' })).toBe("R'");
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: 'j' })).toBe('U');
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: 'f' })).toBe("U'");
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: ';' })).toBe('y');
+  expect(getMoveForKey(DEFAULT_KEY_MAP, { key: 'z', ctrlKey: true })).toBeNull();
+
+  // Every bound move can be animated
+  Object.values(DEFAULT_KEY_MAP).forEach(move => expect(() => parseMove(move)).not.toThrow());
+});
+
+test('keys can be rebound and the map persists', () => {
+  let keyMap = bindKey(DEFAULT_KEY_MAP, 'i', 'M');
+  expect(getMoveForKey(keyMap, { key: 'I' })).toBe('M');
+  expect(getKeysForMove(keyMap, 'R')).toEqual([]);
+
+  keyMap = unbindKey(keyMap, 'X');
+  expect(getKeysForMove(keyMap, "M'")).toEqual(['.']);
+
+  saveKeyMap(keyMap);
+  expect(loadKeyMap()).toEqual(keyMap);
+});
@@ -0,0 +1,63 @@
+// src/cube/metrics.js
+// Move-count metrics and execution time estimates.
+//
+//   HTM  half-turn metric: any turn of an outer layer (or wide turn) is 1,
+//        slices count as two outer turns, rotations are free
+//   QTM  quarter-turn metric: like HTM but half turns count 2
+//   STM  slice-turn metric: any layer turn, slices included, is 1
+//   ETM  execution-turn metric: every move, rotations included, is 1
+
+import { splitMove, toMoveList } from './notation';
+
+export const DEFAULT_TPS = 4;
+
+export const METRIC_NAMES = {
+  htm: 'Half-turn metric',
+  qtm: 'Quarter-turn metric',
+  stm: 'Slice-turn metric',
+  etm: 'Execution-turn metric'
+};
+
+function moveKind(base) {
+  if (/^[xyz]$/.test(base)) return 'rotation';
+  if (/^[MES]$/.test(base)) return 'slice';
+  return 'layer';
+}
+
+// Count a move list (or algorithm text) in every metric.
+// Returns { htm, qtm, stm, etm }.
+export function countMoves(moves) {
+  const counts = { htm: 0, qtm: 0, stm: 0, etm: 0 };
+
+  toMoveList(moves).forEach(move => {
+    const { base, turns } = splitMove(move);
+    if (turns === 0) return;
+    const quarters = turns === 2 ? 2 : 1;
+    const kind = moveKind(base);
+
+    counts.etm += 1;
+    if (kind === 'rotation') return;
+    counts.stm += 1;
+    const layers = kind === 'slice' ? 2 : 1;
+    counts.htm += layers;
+    counts.qtm += layers * quarters;
+  });
+
+  return counts;
+}
+
+// Estimated execution time in seconds at the given turns per second. TPS is
+// counted in ETM, as a timer would see it.
+export function estimateExecutionTime(moves, tps = DEFAULT_TPS) {
+  if (!(tps > 0)) return null;
+  return countMoves(moves).etm / tps;
+}
+
+// One-line summary such as "20 HTM · 26 QTM · 20 STM · 20 ETM · ~5.0s at 4 TPS"
+export function formatMetrics(moves, tps = DEFAULT_TPS) {
+  const { htm, qtm, stm, etm } = countMoves(moves);
+  const parts = [`${htm} HTM`, `${qtm} QTM`, `${stm} STM`, `${etm} ETM`];
+  const seconds = estimateExecutionTime(moves, tps);
+  if (seconds !== null) parts.push(`~${seconds.toFixed(1)}s at ${tps} TPS`);
+  return parts.join(' · ');
+}
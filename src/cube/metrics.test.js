@@ -0,0 +1,17 @@
+import { countMoves, estimateExecutionTime, formatMetrics } from './metrics';
+
+test('counts face turns in every metric', () => {
+  expect(countMoves("R U2 F' D2")).toEqual({ htm: 4, qtm: 6, stm: 4, etm: 4 });
+});
+
+test('counts slices, wide turns and rotations', () => {
+  // M2 U M2 U2 M2 U M2 (H-perm)
+  expect(countMoves(['M2', 'U', 'M2', 'U2', 'M2', 'U', 'M2'])).toEqual({ htm: 11, qtm: 20, stm: 7, etm: 7 });
+  expect(countMoves("x r U r' y")).toEqual({ htm: 3, qtm: 3, stm: 3, etm: 5 });
+});
+
+test('estimates execution time at a TPS', () => {
+  expect(estimateExecutionTime("R U R' U'", 2)).toBe(2);
+  expect(estimateExecutionTime("R U", 0)).toBeNull();
+  expect(formatMetrics("R U2", 4)).toBe('2 HTM · 3 QTM · 2 STM · 2 ETM · ~0.5s at 4 TPS');
+});
@@ -0,0 +1,264 @@
+// src/cube/notation.js
+// Algorithm notation parser.
+//
+// Turns text such as "[R U R', D] (R U R' U')3 // sexy" into an AST and
+// expands it to the flat move list used by applyMoveToCubeState and
+// VirtualCube.executeMoveSequence. Supported syntax:
+//   - WCA moves: R U' F2 Rw M E S x y z, with any amount (R3, U2')
+//   - SiGN lowercase wide moves: r u' f2 (same as Rw Uw' Fw2)
+//   - groups with repetition: (R U R' U')3, and inverted groups: (R U)'
+//   - commutators [A, B] = A B A' B' and conjugates [A: B] = A B A'
+//   - // comments up to the end of the line
+//
+// Algorithms come from links as well as from the keyboard, so a group repeats
+// at most MAX_REPEAT times and the expanded algorithm is capped at
+// MAX_EXPANDED_MOVES moves; larger ones are rejected as notation errors.
+//
+// AST nodes (line and column are 1-based):
+//   { type: 'sequence', items }
+//   { type: 'move', base, turns, notation, line, column }
+//   { type: 'group', body, repeat, inverted, line, column }
+//   { type: 'commutator', a, b, repeat, inverted, line, column }
+//   { type: 'conjugate', setup, body, repeat, inverted, line, column }
+
+export const MAX_REPEAT = 99;
+export const MAX_EXPANDED_MOVES = 10000;
+
+const MOVE_TOKEN = /^(?:[URFDLB]w|[URFDLBMESxyz]|[urfdlb])/;
+const PRIMES = new Set(["'", '’', '′']);
+
+export class NotationError extends Error {
+  constructor(message, line, column, multiline) {
+    super(multiline ? `${message} at line ${line}, column ${column}` : `${message} at column ${column}`);
+    this.name = 'NotationError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Notation of a base move turned `turns` clockwise quarter turns (1..3)
+export function formatMove(base, turns) {
+  return base + ['', '', '2', "'"][turns];
+}
+
+// Number of moves a node expands to, before R4-style moves are dropped
+function countMoves(node) {
+  switch (node.type) {
+    case 'sequence':
+      return node.items.reduce((sum, item) => sum + countMoves(item), 0);
+    case 'move':
+      return 1;
+    case 'group':
+      return countMoves(node.body) * node.repeat;
+    case 'commutator':
+      return 2 * (countMoves(node.a) + countMoves(node.b)) * node.repeat;
+    case 'conjugate':
+      return (2 * countMoves(node.setup) + countMoves(node.body)) * node.repeat;
+    default:
+      return 0;
+  }
+}
+
+function createParser(text) {
+  let index = 0;
+  const multiline = text.includes('\n');
+
+  const positionAt = (at) => {
+    const before = text.slice(0, at);
+    const line = before.split('\n').length;
+    return { line, column: at - before.lastIndexOf('\n') };
+  };
+
+  const fail = (message, at = index) => {
+    const { line, column } = positionAt(at);
+    throw new NotationError(message, line, column, multiline);
+  };
+
+  const describe = (at) => (at >= text.length ? 'end of input' : `"${text[at]}"`);
+
+  // Skip whitespace and comments
+  const skipBlank = () => {
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+      } else if (text.startsWith('//', index)) {
+        while (index < text.length && text[index] !== '\n') index++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readDigits = () => {
+    const start = index;
+    while (index < text.length && /[0-9]/.test(text[index])) index++;
+    return start === index ? null : parseInt(text.slice(start, index), 10);
+  };
+
+  const readPrime = () => {
+    if (index < text.length && PRIMES.has(text[index])) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+
+  // Optional repetition and inversion after a group: 3, ', 2'
+  const readSuffix = () => {
+    const start = index;
+    const repeat = readDigits();
+    if (repeat !== null && repeat > MAX_REPEAT) fail(`A group can repeat at most ${MAX_REPEAT} times`, start);
+    return { repeat: repeat === null ? 1 : repeat, inverted: readPrime() };
+  };
+
+  // Reject a node that expands to too many moves, before it is expanded
+  const checkLength = (node, at) => {
+    if (countMoves(node) > MAX_EXPANDED_MOVES) {
+      fail(`The algorithm expands to more than ${MAX_EXPANDED_MOVES} moves`, at);
+    }
+    return node;
+  };
+
+  const parseMoveToken = () => {
+    const start = index;
+    const match = MOVE_TOKEN.exec(text.slice(index));
+    if (!match) fail(`Unexpected ${describe(index)}`);
+    index += match[0].length;
+
+    const amount = readDigits();
+    const prime = readPrime();
+    const quarterTurns = amount === null ? 1 : amount;
+    const turns = ((prime ? -quarterTurns : quarterTurns) % 4 + 4) % 4;
+    const { line, column } = positionAt(start);
+    return {
+      type: 'move',
+      base: match[0],
+      turns,
+      notation: text.slice(start, index),
+      line,
+      column
+    };
+  };
+
+  // Parse items until one of the stop characters (or the end of the text)
+  const parseSequence = (stops) => {
+    const items = [];
+    skipBlank();
+    while (index < text.length && !stops.includes(text[index])) {
+      items.push(parseItem());
+      skipBlank();
+    }
+    return { type: 'sequence', items };
+  };
+
+  const expect = (char, opening) => {
+    if (text[index] !== char) {
+      const { line, column } = positionAt(opening);
+      fail(`Expected "${char}" to close the bracket opened at ${multiline ? `line ${line}, ` : ''}column ${column}, found ${describe(index)}`);
+    }
+    index++;
+  };
+
+  const parseItem = () => {
+    const start = index;
+    const { line, column } = positionAt(start);
+    const char = text[index];
+
+    if (char === '(') {
+      index++;
+      const body = parseSequence([')', ']', ',', ':']);
+      expect(')', start);
+      return checkLength({ type: 'group', body, ...readSuffix(), line, column }, start);
+    }
+
+    if (char === '[') {
+      index++;
+      const first = parseSequence([']', ')', ',', ':']);
+      const separator = text[index];
+      if (separator !== ',' && separator !== ':') {
+        fail(`Expected "," or ":" inside the brackets, found ${describe(index)}`);
+      }
+      index++;
+      const second = parseSequence([']', ')', ',', ':']);
+      expect(']', start);
+      const suffix = readSuffix();
+      return checkLength(separator === ','
+        ? { type: 'commutator', a: first, b: second, ...suffix, line, column }
+        : { type: 'conjugate', setup: first, body: second, ...suffix, line, column }, start);
+    }
+
+    if (char === ')' || char === ']' || char === ',' || char === ':') {
+      fail(`Unexpected "${char}"`);
+    }
+
+    return parseMoveToken();
+  };
+
+  return {
+    parse: () => {
+      const sequence = parseSequence([')', ']', ',', ':']);
+      if (index < text.length) fail(`Unexpected "${text[index]}"`);
+      return checkLength(sequence, 0);
+    }
+  };
+}
+
+// Parse algorithm text into an AST; throws NotationError on bad input
+export function parseAlgorithm(text) {
+  return createParser(String(text ?? '')).parse();
+}
+
+// Moves as { base, turns } pairs
+function expandNode(node) {
+  switch (node.type) {
+    case 'sequence':
+      return node.items.flatMap(expandNode);
+    case 'move':
+      return [{ base: node.base, turns: node.turns }];
+    case 'group':
+      return repeatMoves(expandNode(node.body), node);
+    case 'commutator': {
+      const a = expandNode(node.a);
+      const b = expandNode(node.b);
+      return repeatMoves([...a, ...b, ...invertExpanded(a), ...invertExpanded(b)], node);
+    }
+    case 'conjugate': {
+      const setup = expandNode(node.setup);
+      return repeatMoves([...setup, ...expandNode(node.body), ...invertExpanded(setup)], node);
+    }
+    default:
+      throw new Error(`Unknown notation node: ${node.type}`);
+  }
+}
+
+function invertExpanded(moves) {
+  return [...moves].reverse().map(({ base, turns }) => ({ base, turns: (4 - turns) % 4 }));
+}
+
+function repeatMoves(moves, { repeat, inverted }) {
+  const once = inverted ? invertExpanded(moves) : moves;
+  return Array.from({ length: repeat }, () => once).flat();
+}
+
+// Expand an AST (or algorithm text) to a flat list of moves such as
+// ['R', "U'", 'r2']. Moves that turn a whole number of times (R4) are dropped.
+export function expandAlgorithm(algorithm) {
+  const ast = typeof algorithm === 'string' ? parseAlgorithm(algorithm) : algorithm;
+  return expandNode(ast)
+    .filter(({ turns }) => turns !== 0)
+    .map(({ base, turns }) => formatMove(base, turns));
+}
+
+// Flat move list from algorithm text or an existing move list
+export function toMoveList(moves) {
+  return Array.isArray(moves) ? moves : expandAlgorithm(moves);
+}
+
+// Split a single move such as "R2'" into { base: 'R', turns: 2 }
+export function splitMove(move) {
+  const { items } = parseAlgorithm(move);
+  if (items.length !== 1 || items[0].type !== 'move') {
+    throw new Error(`Unsupported move: ${move}`);
+  }
+  return { base: items[0].base, turns: items[0].turns };
+}
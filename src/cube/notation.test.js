@@ -0,0 +1,44 @@
+import { applyMoves, createSolvedCube, isSolvedCube } from './cubeCore';
+import { expandAlgorithm, parseAlgorithm, NotationError, MAX_EXPANDED_MOVES, MAX_REPEAT } from './notation';
+
+test('expands WCA notation and normalizes amounts', () => {
+  expect(expandAlgorithm("R U2 F' Rw M x' R2' U3 D4")).toEqual(['R', 'U2', "F'", 'Rw', 'M', "x'", 'R2', "U'"]);
+  expect(expandAlgorithm("RUR'U'")).toEqual(['R', 'U', "R'", "U'"]);
+  expect(expandAlgorithm("r u' f2")).toEqual(['r', "u'", 'f2']);
+});
+
+test('expands groups, commutators and conjugates', () => {
+  expect(expandAlgorithm("(R U R' U')3")).toHaveLength(12);
+  expect(expandAlgorithm("(R U)'")).toEqual(["U'", "R'"]);
+  expect(expandAlgorithm("[R, U]")).toEqual(['R', 'U', "R'", "U'"]);
+  expect(expandAlgorithm("[F: R U R' U']")).toEqual(['F', 'R', 'U', "R'", "U'", "F'"]);
+  expect(expandAlgorithm("[R' D' R, U]2")).toHaveLength(16);
+  expect(expandAlgorithm("[U2: [R U R', D]]")).toEqual(
+    ['U2', 'R', 'U', "R'", 'D', 'R', "U'", "R'", "D'", 'U2']
+  );
+
+  // A commutator repeated six times is the identity for R and U
+  expect(isSolvedCube(applyMoves(createSolvedCube(), expandAlgorithm('(R U R\' U\')6')))).toBe(true);
+});
+
+test('ignores comments and builds an AST with positions', () => {
+  const ast = parseAlgorithm("R U // setup\n[R, U]2' // done");
+  expect(ast.items.map(item => item.type)).toEqual(['move', 'move', 'commutator']);
+  expect(ast.items[2]).toMatchObject({ line: 2, column: 1, repeat: 2, inverted: true });
+  expect(ast.items[1]).toMatchObject({ base: 'U', turns: 1, column: 3 });
+});
+
+test('reports errors with their column', () => {
+  expect(() => expandAlgorithm("R U Q")).toThrow(NotationError);
+  expect(() => expandAlgorithm("R U Q")).toThrow('Unexpected "Q" at column 5');
+  expect(() => expandAlgorithm("(R U")).toThrow(/close the bracket opened at column 1, found end of input/);
+  expect(() => expandAlgorithm("[R U]")).toThrow('Expected "," or ":" inside the brackets, found "]" at column 5');
+  expect(() => expandAlgorithm("R\nU)")).toThrow('Unexpected ")" at line 2, column 2');
+});
+
+test('rejects repeats and expansions that are too large', () => {
+  expect(() => expandAlgorithm('(R U)999999999')).toThrow(`A group can repeat at most ${MAX_REPEAT} times at column 6`);
+  expect(() => expandAlgorithm('(((R U)99)99)99')).toThrow(NotationError);
+  expect(() => expandAlgorithm('R '.repeat(MAX_EXPANDED_MOVES + 1))).toThrow(/more than \d+ moves at column 1/);
+  expect(expandAlgorithm(`(R U)${MAX_REPEAT}`)).toHaveLength(2 * MAX_REPEAT);
+});
@@ -0,0 +1,156 @@
+// src/cube/shareLink.js
+// Shareable links to a cube state on the /cube route.
+//
+//   /cube?state=<54 facelets URFDLB>[&scheme=<6 colors>][&solution=<alg>]
+//   /cube?scramble=<alg>[&solution=<alg>]
+//
+// state is the facelet string the solvers use; scheme lists the center colors
+// in URFDLB order and is only present when it differs from the standard
+// scheme. scramble is applied to a solved cube. Moves are separated by spaces
+// (encoded as +), so links stay readable.
+//
+// The chrome-less player on the /embed route reads its own parameters:
+//
+//   /embed?alg=<alg>[&setup=<alg>][&scheme=<6 colors>][&speed=<x>][&autoplay=1]
+//
+// setup is applied to a solved cube before the algorithm is played; speed
+// multiplies the normal move speed.
+
+import {
+  DEFAULT_COLOR_SCHEME,
+  FACE_ORDER,
+  cubeDataToFacelets,
+  cubeToCubeData,
+  createSolvedCube,
+  faceletsToCubeData
+} from './cubeCore';
+import { validateCubeData } from './cubeValidator';
+import { STICKER_COLOR_NAMES } from './cubeSchema';
+import { toMoveList } from './notation';
+import { applyMovesToCubeState } from '../animations';
+
+const FACELETS_PATTERN = /^[URFDLB]{54}$/;
+
+export const EMBED_SPEED_RANGE = [0.25, 4];
+
+function parseScheme(text) {
+  const colors = text.split(',').map(color => color.trim().toLowerCase());
+  if (colors.length !== 6 || new Set(colors).size !== 6) return null;
+  const scheme = {};
+  FACE_ORDER.forEach((face, i) => {
+    scheme[face] = colors[i];
+  });
+  return scheme;
+}
+
+// Scheme parameter of a link, falling back to the standard scheme
+function readScheme(params, errors) {
+  if (!params.get('scheme')) return DEFAULT_COLOR_SCHEME;
+  const scheme = parseScheme(params.get('scheme'));
+  if (!scheme) {
+    errors.push('The color scheme must list 6 different colors');
+    return DEFAULT_COLOR_SCHEME;
+  }
+  const unknown = Object.values(scheme).filter(color => !STICKER_COLOR_NAMES.includes(color));
+  if (unknown.length > 0) {
+    errors.push(`The color scheme can only use ${STICKER_COLOR_NAMES.join(', ')}; found ${unknown.join(', ')}`);
+    return DEFAULT_COLOR_SCHEME;
+  }
+  return scheme;
+}
+
+function parseMoves(text, name, errors) {
+  try {
+    return toMoveList(text);
+  } catch (error) {
+    errors.push(`The ${name} is not valid notation: ${error.message}`);
+    return null;
+  }
+}
+
+// Read the share parameters of a query string. Returns null when there are
+// none, otherwise { cubeData, scramble, solution, errors }; cubeData is null
+// when the link does not describe a valid cube.
+export function parseShareParams(search) {
+  const params = new URLSearchParams(search);
+  const stateText = params.get('state');
+  const scrambleText = params.get('scramble');
+  const solutionText = params.get('solution');
+  if (stateText === null && scrambleText === null && solutionText === null) return null;
+
+  const errors = [];
+  let cubeData = null;
+  const scheme = readScheme(params, errors);
+
+  const scramble = scrambleText !== null ? parseMoves(scrambleText, 'scramble', errors) : null;
+  const solution = solutionText !== null ? parseMoves(solutionText, 'solution', errors) : null;
+
+  if (stateText !== null) {
+    const facelets = stateText.trim().toUpperCase();
+    if (!FACELETS_PATTERN.test(facelets)) {
+      errors.push('The state must be 54 facelets made of the letters U R F D L B');
+    } else {
+      cubeData = faceletsToCubeData(facelets, scheme);
+    }
+  } else if (scramble) {
+    cubeData = applyMovesToCubeState(cubeToCubeData(createSolvedCube(), scheme), scramble);
+  } else if (scrambleText === null) {
+    errors.push('A solution link also needs a state or a scramble');
+  }
+
+  if (cubeData) {
+    const validation = validateCubeData(cubeData);
+    if (!validation.isValid) {
+      errors.push(...validation.issues.map(item => item.message));
+      cubeData = null;
+    }
+  }
+
+  return { cubeData, scramble, solution, errors };
+}
+
+// Query string for a cube state and an optional solution; null when the
+// stickers do not form a facelet string (missing or unknown colors)
+export function buildShareQuery(cubeData, { solution = [] } = {}) {
+  const { facelets, scheme, error } = cubeDataToFacelets(cubeData);
+  if (error) return null;
+
+  const params = new URLSearchParams({ state: facelets });
+  const colors = FACE_ORDER.map(face => scheme[face]);
+  if (colors.some((color, i) => color !== DEFAULT_COLOR_SCHEME[FACE_ORDER[i]])) {
+    params.set('scheme', colors.join(','));
+  }
+  if (solution.length > 0) params.set('solution', solution.join(' '));
+  return `?${params.toString()}`;
+}
+
+// Full link to the /cube route of the current site
+export function buildShareUrl(origin, cubeData, options) {
+  const query = buildShareQuery(cubeData, options);
+  return query === null ? null : `${origin}/cube${query}`;
+}
+
+// Read the parameters of the /embed player. Always returns a playable setup:
+// parameters that cannot be read are reported in errors and left out.
+export function parseEmbedParams(search) {
+  const params = new URLSearchParams(search);
+  const errors = [];
+  const scheme = readScheme(params, errors);
+  const setup = parseMoves(params.get('setup') || '', 'setup', errors) || [];
+  const alg = parseMoves(params.get('alg') || '', 'algorithm', errors) || [];
+
+  let speed = 1;
+  if (params.get('speed')) {
+    const value = Number(params.get('speed'));
+    if (Number.isFinite(value) && value > 0) {
+      const [min, max] = EMBED_SPEED_RANGE;
+      speed = Math.min(max, Math.max(min, value));
+    } else {
+      errors.push('The speed must be a positive number');
+    }
+  }
+
+  const autoplay = ['1', 'true'].includes(params.get('autoplay'));
+  const cubeData = applyMovesToCubeState(cubeToCubeData(createSolvedCube(), scheme), setup);
+  return { cubeData, setup, alg, scheme, speed, autoplay, errors };
+}
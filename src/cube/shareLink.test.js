@@ -0,0 +1,73 @@
+import { DEFAULT_COLOR_SCHEME, applyMoves, createSolvedCube, cubeToCubeData, cubeToFacelets } from './cubeCore';
+import { buildShareQuery, buildShareUrl, parseEmbedParams, parseShareParams } from './shareLink';
+
+const SCRAMBLE = "R U2 F' L D B2 R' U' F2 D' L2 B".split(' ');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('a shared state and solution round-trip through the link', () => {
+  const cube = applyMoves(createSolvedCube(), SCRAMBLE);
+  const cubeData = cubeToCubeData(cube);
+  const query = buildShareQuery(cubeData, { solution: ["B'", 'L2'] });
+  expect(query).toBe(`?state=${cubeToFacelets(cube)}&solution=B%27+L2`);
+
+  const shared = parseShareParams(query);
+  expect(shared.errors).toEqual([]);
+  expect(shared.cubeData).toEqual(cubeData);
+  expect(shared.solution).toEqual(["B'", 'L2']);
+  expect(buildShareUrl('https://example.com', cubeData)).toBe(`https://example.com/cube?state=${cubeToFacelets(cube)}`);
+});
+
+test('keeps a non-standard color scheme and reads scrambles', () => {
+  const scheme = { U: 'yellow', R: 'red', F: 'blue', D: 'white', L: 'orange', B: 'green' };
+  const cubeData = cubeToCubeData(applyMoves(createSolvedCube(), SCRAMBLE), scheme);
+  const query = buildShareQuery(cubeData);
+  expect(query).toContain('scheme=yellow%2Cred%2Cblue%2Cwhite%2Corange%2Cgreen');
+  expect(parseShareParams(query).cubeData).toEqual(cubeData);
+
+  const scrambled = parseShareParams(`?scramble=${encodeURIComponent(SCRAMBLE.join(' '))}&solution=R`);
+  expect(scrambled.cubeData).toEqual(cubeToCubeData(applyMoves(createSolvedCube(), SCRAMBLE)));
+  expect(scrambled.scramble).toEqual(SCRAMBLE);
+  expect(scrambled.solution).toEqual(['R']);
+});
+
+test('reports links that do not describe a valid cube', () => {
+  expect(parseShareParams('?foo=1')).toBeNull();
+  expect(parseShareParams('?state=UUU').errors[0]).toMatch(/54 facelets/);
+
+  const twisted = cubeToFacelets(createSolvedCube()).split('');
+  [twisted[8], twisted[9], twisted[20]] = [twisted[9], twisted[20], twisted[8]];
+  const invalid = parseShareParams(`?state=${twisted.join('')}`);
+  expect(invalid.cubeData).toBeNull();
+  expect(invalid.errors.some(message => /twisted/.test(message))).toBe(true);
+
+  expect(parseShareParams('?scramble=R+Q').errors[0]).toMatch(/scramble is not valid/);
+  expect(buildShareQuery({})).toBeNull();
+});
+
+test('reads the embed player parameters', () => {
+  const scheme = { U: 'yellow', R: 'orange', F: 'green', D: 'white', L: 'red', B: 'blue' };
+  const embed = parseEmbedParams("?setup=F+R+U+R'+U'+F'&alg=F+(R+U+R'+U')+F'&scheme=yellow,orange,green,white,red,blue&speed=2&autoplay=1");
+  expect(embed.errors).toEqual([]);
+  expect(embed.alg).toEqual(['F', 'R', 'U', "R'", "U'", "F'"]);
+  expect(embed.cubeData).toEqual(cubeToCubeData(applyMoves(createSolvedCube(), embed.setup), scheme));
+  expect(embed.speed).toBe(2);
+  expect(embed.autoplay).toBe(true);
+
+  const fallback = parseEmbedParams('?alg=R+Q&speed=fast&scheme=red');
+  expect(fallback.alg).toEqual([]);
+  expect(fallback.speed).toBe(1);
+  expect(fallback.autoplay).toBe(false);
+  expect(fallback.errors).toHaveLength(3);
+  expect(parseEmbedParams('?alg=R&speed=100').speed).toBe(4);
+
+  const unknownColors = parseEmbedParams('?alg=R&scheme=pink,red,green,white,orange,blue');
+  expect(unknownColors.errors).toEqual([expect.stringContaining('found pink')]);
+  expect(unknownColors.scheme).toEqual(DEFAULT_COLOR_SCHEME);
+});
@@ -0,0 +1,73 @@
+// src/cube/simplifier.js
+// Move-sequence simplifier.
+//
+// Merges turns of the same layer (U U2 -> U'), cancels inverses (U' U) and
+// looks past moves on the same axis, which commute (R L R -> R2 L). Used when
+// solver stages or search phases are joined, so shown solutions never
+// contain obvious cancellations.
+
+import { formatMove, splitMove, toMoveList } from './notation';
+
+// Axis of every move base; all moves about one axis commute
+const AXIS_OF_BASE = {
+  R: 'x', L: 'x', M: 'x', x: 'x',
+  U: 'y', D: 'y', E: 'y', y: 'y',
+  F: 'z', B: 'z', S: 'z', z: 'z'
+};
+
+// SiGN wide moves (r) are the same layers as WCA wide moves (Rw)
+function layerKey(base) {
+  return /^[urfdlb]$/.test(base) ? `${base.toUpperCase()}w` : base;
+}
+
+function axisOf(base) {
+  return AXIS_OF_BASE[base] || AXIS_OF_BASE[base.charAt(0).toUpperCase()];
+}
+
+// Join several move lists (e.g. solver stages) into one simplified list.
+// Cancellations across a boundary are credited to the later list, so the
+// returned sequences still concatenate to the returned moves.
+// Returns { sequences, moves, saved }.
+export function joinMoveSequences(sequences) {
+  const stack = [];
+  let inputCount = 0;
+
+  sequences.forEach((sequence, owner) => {
+    toMoveList(sequence).forEach(move => {
+      inputCount++;
+      const { base, turns } = splitMove(move);
+      if (turns === 0) return;
+      const axis = axisOf(base);
+
+      // Look back past moves on the same axis for a turn of the same layers
+      for (let i = stack.length - 1; i >= 0 && stack[i].axis === axis; i--) {
+        if (layerKey(stack[i].base) !== layerKey(base)) continue;
+
+        const merged = { ...stack[i], turns: (stack[i].turns + turns) % 4 };
+        stack.splice(i, 1);
+        if (merged.turns === 0) return;
+        if (merged.owner === owner) {
+          stack.splice(i, 0, merged);
+        } else {
+          // Everything after i commutes with it, so it can move to the end
+          stack.push({ ...merged, owner });
+        }
+        return;
+      }
+
+      stack.push({ base, turns, axis, owner });
+    });
+  });
+
+  const joined = sequences.map((_, owner) =>
+    stack.filter(item => item.owner === owner).map(item => formatMove(item.base, item.turns))
+  );
+  const moves = joined.flat();
+  return { sequences: joined, moves, saved: inputCount - moves.length };
+}
+
+// Simplify one move list (or algorithm text). Returns { moves, saved }.
+export function simplifyMoves(moves) {
+  const { moves: simplified, saved } = joinMoveSequences([moves]);
+  return { moves: simplified, saved };
+}
@@ -0,0 +1,27 @@
+import { applyMoves, createSolvedCube } from './cubeCore';
+import { joinMoveSequences, simplifyMoves } from './simplifier';
+
+test('merges same-face turns and cancels inverses', () => {
+  expect(simplifyMoves(['U', 'U2'])).toEqual({ moves: ["U'"], saved: 1 });
+  expect(simplifyMoves(["U'", 'U'])).toEqual({ moves: [], saved: 2 });
+  expect(simplifyMoves(['F', 'R', 'U', "U'", "R'", 'D'])).toEqual({ moves: ['F', 'D'], saved: 4 });
+  expect(simplifyMoves("r Rw M M'")).toEqual({ moves: ['r2'], saved: 3 });
+});
+
+test('commutes moves on the same axis', () => {
+  expect(simplifyMoves(['R', 'L', 'R']).moves).toEqual(['R2', 'L']);
+  expect(simplifyMoves(['U', 'D', 'E', "U'"]).moves).toEqual(['D', 'E']);
+  expect(simplifyMoves(['R', 'U', 'R']).moves).toEqual(['R', 'U', 'R']);
+});
+
+test('joins stages without changing the result', () => {
+  const joined = joinMoveSequences([['R', 'U', 'L'], ["L'", 'U', 'F'], ['D']]);
+  expect(joined.sequences).toEqual([['R'], ['U2', 'F'], ['D']]);
+  expect(joined.moves).toEqual(['R', 'U2', 'F', 'D']);
+  expect(joined.saved).toBe(3);
+
+  const scramble = ['R', 'U', 'F2', 'D', 'L', 'B'];
+  const parts = [scramble.slice(0, 3), ['F2', "F'"], scramble.slice(3)];
+  expect(applyMoves(createSolvedCube(), joinMoveSequences(parts).moves))
+    .toEqual(applyMoves(createSolvedCube(), parts.flat()));
+});
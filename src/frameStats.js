@@ -0,0 +1,59 @@
+// src/frameStats.js
+// Frame-time statistics for the 3D cube's debug overlay.
+//
+// The renderer records every frame's duration (and how long its own update
+// took) from useFrame, plus every React render of the cube component. The
+// overlay polls getSummary() a few times a second, so collecting stats never
+// causes a React render itself.
+
+export const FRAME_STATS_WINDOW = 120; // frames kept for the summary
+
+// A frame slower than this missed 30fps
+export const SLOW_FRAME_MS = 1000 / 30;
+
+export function createFrameStats({ size = FRAME_STATS_WINDOW } = {}) {
+  const frames = [];
+  const work = [];
+  let renders = 0;
+  let slowFrames = 0;
+
+  return {
+    // ms: time since the previous frame; workMs: time spent updating the cube
+    recordFrame(ms, workMs = 0) {
+      frames.push(ms);
+      work.push(workMs);
+      if (frames.length > size) {
+        frames.shift();
+        work.shift();
+      }
+      if (ms > SLOW_FRAME_MS) slowFrames++;
+    },
+
+    recordRender() {
+      renders++;
+    },
+
+    // { fps, averageMs, worstMs, workMs, slowFrames, renders, frames }
+    getSummary() {
+      const count = frames.length;
+      const total = frames.reduce((sum, ms) => sum + ms, 0);
+      const averageMs = count > 0 ? total / count : 0;
+      return {
+        fps: averageMs > 0 ? 1000 / averageMs : 0,
+        averageMs,
+        worstMs: count > 0 ? Math.max(...frames) : 0,
+        workMs: count > 0 ? work.reduce((sum, ms) => sum + ms, 0) / count : 0,
+        slowFrames,
+        renders,
+        frames: count
+      };
+    },
+
+    reset() {
+      frames.length = 0;
+      work.length = 0;
+      renders = 0;
+      slowFrames = 0;
+    }
+  };
+}
@@ -0,0 +1,24 @@
+import { createFrameStats, SLOW_FRAME_MS } from './frameStats';
+
+test('frame stats summarise a rolling window of frames', () => {
+  const stats = createFrameStats({ size: 4 });
+  expect(stats.getSummary()).toMatchObject({ fps: 0, averageMs: 0, worstMs: 0, frames: 0 });
+
+  [100, 20, 20, 20, 20].forEach(ms => stats.recordFrame(ms, 2));
+  stats.recordRender();
+  const summary = stats.getSummary();
+  expect(summary.frames).toBe(4);
+  expect(summary.averageMs).toBe(20);
+  expect(summary.fps).toBe(50);
+  expect(summary.worstMs).toBe(20);
+  expect(summary.workMs).toBe(2);
+  expect(summary.renders).toBe(1);
+
+  // Slow frames are counted even after they leave the window
+  expect(summary.slowFrames).toBe(1);
+  stats.recordFrame(SLOW_FRAME_MS + 1);
+  expect(stats.getSummary().slowFrames).toBe(2);
+
+  stats.reset();
+  expect(stats.getSummary()).toMatchObject({ frames: 0, slowFrames: 0, renders: 0 });
+});
@@ -1,5 +1,22 @@
 // src/solvers/kociembaSolver.js
 // Kociemba Two-Phase Algorithm Implementation
+//
+// Phase 1 brings the cube into the subgroup G1 = <U, D, R2, L2, F2, B2>
+// (corners and edges oriented, UD-slice edges in the slice). Phase 2 solves
+// the cube using only G1 moves. Both phases are IDA* searches over move
+// tables, bounded by pruning tables built with a breadth-first search.
+
+import {
+  MOVE_NAMES,
+  createSolvedCube,
+  applyMove,
+  applyMoves,
+  isSolvedCube,
+  getFaceGrid
+} from '../cube/cubeCore';
+import { validateCubeData, getIssueMessages } from '../cube/cubeValidator';
+import { joinMoveSequences } from '../cube/simplifier';
+import { loadCachedTables, saveCachedTables } from './tableCache';
 
 // Face mapping constants
 const FACES = {
@@ -11,40 +28,445 @@ const FACES = {
   L: 'left'   // Orange face
 };
 
-// Color constants
-const COLORS = {
-  WHITE: 'white',
-  YELLOW: 'yellow',
-  GREEN: 'green',
-  BLUE: 'blue',
-  RED: 'red',
-  ORANGE: 'orange'
+// Coordinate sizes
+const N_TWIST = 2187;   // 3^7 corner orientations
+const N_FLIP = 2048;    // 2^11 edge orientations
+const N_SLICE = 495;    // 12 choose 4 positions of the UD-slice edges
+const N_PERM_8 = 40320; // 8! corner or U/D edge permutations
+const N_PERM_4 = 24;    // 4! UD-slice edge permutations
+const N_MOVES = 18;
+
+// Search limits
+const DEFAULT_MAX_LENGTH = 22;
+const FALLBACK_MAX_LENGTH = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Moves allowed in phase 2: U, U2, U', R2, F2, D, D2, D', L2, B2
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+// ---------------------------------------------------------------------------
+// Coordinates
+// ---------------------------------------------------------------------------
+
+function binomial(n, k) {
+  if (n < k) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return result;
+}
+
+function getTwist(cube) {
+  let twist = 0;
+  for (let i = 0; i < 7; i++) twist = twist * 3 + cube.co[i];
+  return twist;
+}
+
+function setTwist(cube, twist) {
+  let parity = 0;
+  for (let i = 6; i >= 0; i--) {
+    cube.co[i] = twist % 3;
+    parity += cube.co[i];
+    twist = Math.floor(twist / 3);
+  }
+  cube.co[7] = (3 - (parity % 3)) % 3;
+}
+
+function getFlip(cube) {
+  let flip = 0;
+  for (let i = 0; i < 11; i++) flip = flip * 2 + cube.eo[i];
+  return flip;
+}
+
+function setFlip(cube, flip) {
+  let parity = 0;
+  for (let i = 10; i >= 0; i--) {
+    cube.eo[i] = flip % 2;
+    parity += cube.eo[i];
+    flip = Math.floor(flip / 2);
+  }
+  cube.eo[11] = parity % 2;
+}
+
+// Positions of the four UD-slice edges (FR, FL, BL, BR), order ignored
+function getSlice(cube) {
+  let slice = 0;
+  let found = 0;
+  for (let j = 11; j >= 0; j--) {
+    if (cube.ep[j] >= 8) {
+      slice += binomial(11 - j, found + 1);
+      found++;
+    }
+  }
+  return slice;
+}
+
+function setSlice(cube, slice) {
+  const sliceEdges = [8, 9, 10, 11];
+  const otherEdges = [0, 1, 2, 3, 4, 5, 6, 7];
+  cube.ep.fill(-1);
+  let remaining = 4;
+  for (let j = 0; j < 12; j++) {
+    const count = binomial(11 - j, remaining);
+    if (remaining > 0 && slice - count >= 0) {
+      cube.ep[j] = sliceEdges[4 - remaining];
+      slice -= count;
+      remaining--;
+    }
+  }
+  let next = 0;
+  for (let j = 0; j < 12; j++) {
+    if (cube.ep[j] === -1) cube.ep[j] = otherEdges[next++];
+  }
+}
+
+// Lehmer-code rank of a permutation of 0..n-1
+function rankPermutation(perm) {
+  let rank = 0;
+  for (let i = 0; i < perm.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < perm.length; j++) {
+      if (perm[j] < perm[i]) smaller++;
+    }
+    rank = rank * (perm.length - i) + smaller;
+  }
+  return rank;
+}
+
+function unrankPermutation(rank, n) {
+  const digits = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    digits[i] = rank % (n - i);
+    rank = Math.floor(rank / (n - i));
+  }
+  const available = Array.from({ length: n }, (_, i) => i);
+  return digits.map(digit => available.splice(digit, 1)[0]);
+}
+
+function getCornerPerm(cube) {
+  return rankPermutation(cube.cp);
+}
+
+// Only meaningful in G1, where the U/D edges stay in positions 0..7
+function getEdgePerm(cube) {
+  return rankPermutation(cube.ep.slice(0, 8));
+}
+
+function getSlicePerm(cube) {
+  return rankPermutation(cube.ep.slice(8).map(edge => edge - 8));
+}
+
+// ---------------------------------------------------------------------------
+// Move and pruning tables
+// ---------------------------------------------------------------------------
+
+let tables = null;
+
+// Build a move table of size count * 18 by decoding each coordinate into a
+// cube, applying every allowed move and encoding the result.
+function buildMoveTable(count, decode, encode, moves = MOVE_NAMES.map((_, m) => m)) {
+  const table = new Uint16Array(count * N_MOVES);
+  for (let coord = 0; coord < count; coord++) {
+    const cube = decode(coord);
+    for (const m of moves) {
+      table[coord * N_MOVES + m] = encode(applyMove(cube, m));
+    }
+  }
+  return table;
+}
+
+// Breadth-first search from the solved state over a pair of coordinates.
+// Entry [a * sizeB + b] holds the number of moves needed to solve both.
+function buildPruningTable(tableA, sizeA, tableB, sizeB, moves) {
+  const total = sizeA * sizeB;
+  const prune = new Int8Array(total).fill(-1);
+  prune[0] = 0;
+  let filled = 1;
+  let depth = 0;
+  while (filled < total) {
+    let changed = false;
+    for (let index = 0; index < total; index++) {
+      if (prune[index] !== depth) continue;
+      const a = Math.floor(index / sizeB);
+      const b = index % sizeB;
+      for (const m of moves) {
+        const next = tableA[a * N_MOVES + m] * sizeB + tableB[b * N_MOVES + m];
+        if (prune[next] === -1) {
+          prune[next] = depth + 1;
+          filled++;
+          changed = true;
+        }
+      }
+    }
+    if (!changed) break;
+    depth++;
+  }
+  return prune;
+}
+
+// Number of tables built by buildTables, for progress reporting
+const TABLE_COUNT = 10;
+
+function buildTables(onProgress = null) {
+  console.log('🧮 Building Kociemba move and pruning tables...');
+  const start = Date.now();
+  const allMoves = MOVE_NAMES.map((_, m) => m);
+  let built = 0;
+  const report = (table) => {
+    built++;
+    if (onProgress) onProgress({ type: 'tables', table, done: built, total: TABLE_COUNT });
+  };
+
+  const twistMove = buildMoveTable(N_TWIST, coord => {
+    const cube = createSolvedCube();
+    setTwist(cube, coord);
+    return cube;
+  }, getTwist);
+  report('twistMove');
+
+  const flipMove = buildMoveTable(N_FLIP, coord => {
+    const cube = createSolvedCube();
+    setFlip(cube, coord);
+    return cube;
+  }, getFlip);
+  report('flipMove');
+
+  const sliceMove = buildMoveTable(N_SLICE, coord => {
+    const cube = createSolvedCube();
+    setSlice(cube, coord);
+    return cube;
+  }, getSlice);
+  report('sliceMove');
+
+  const cornerPermMove = buildMoveTable(N_PERM_8, coord => {
+    const cube = createSolvedCube();
+    cube.cp = unrankPermutation(coord, 8);
+    return cube;
+  }, getCornerPerm, PHASE2_MOVES);
+  report('cornerPermMove');
+
+  const edgePermMove = buildMoveTable(N_PERM_8, coord => {
+    const cube = createSolvedCube();
+    cube.ep = [...unrankPermutation(coord, 8), 8, 9, 10, 11];
+    return cube;
+  }, getEdgePerm, PHASE2_MOVES);
+  report('edgePermMove');
+
+  const slicePermMove = buildMoveTable(N_PERM_4, coord => {
+    const cube = createSolvedCube();
+    cube.ep = [0, 1, 2, 3, 4, 5, 6, 7, ...unrankPermutation(coord, 4).map(edge => edge + 8)];
+    return cube;
+  }, getSlicePerm, PHASE2_MOVES);
+  report('slicePermMove');
+
+  const sliceTwistPrune = buildPruningTable(sliceMove, N_SLICE, twistMove, N_TWIST, allMoves);
+  report('sliceTwistPrune');
+  const sliceFlipPrune = buildPruningTable(sliceMove, N_SLICE, flipMove, N_FLIP, allMoves);
+  report('sliceFlipPrune');
+  const sliceCornerPrune = buildPruningTable(slicePermMove, N_PERM_4, cornerPermMove, N_PERM_8, PHASE2_MOVES);
+  report('sliceCornerPrune');
+  const sliceEdgePrune = buildPruningTable(slicePermMove, N_PERM_4, edgePermMove, N_PERM_8, PHASE2_MOVES);
+  report('sliceEdgePrune');
+
+  console.log(`✅ Kociemba tables ready in ${Date.now() - start}ms`);
+
+  return {
+    twistMove,
+    flipMove,
+    sliceMove,
+    cornerPermMove,
+    edgePermMove,
+    slicePermMove,
+    sliceTwistPrune,
+    sliceFlipPrune,
+    sliceCornerPrune,
+    sliceEdgePrune
+  };
+}
+
+// Tables are built lazily on the first solve and shared afterwards.
+// onProgress receives { type: 'tables', table, done, total } while building.
+export function initKociembaTables(onProgress = null) {
+  if (!tables) {
+    tables = buildTables(onProgress);
+  }
+  return tables;
+}
+
+// Version of the table layout in the IndexedDB cache. Bump it whenever the
+// coordinates, the move order or the table contents change.
+export const KOCIEMBA_TABLES_VERSION = 1;
+const TABLE_CACHE_KEY = 'kociemba';
+
+const TABLE_SIZES = {
+  twistMove: N_TWIST * N_MOVES,
+  flipMove: N_FLIP * N_MOVES,
+  sliceMove: N_SLICE * N_MOVES,
+  cornerPermMove: N_PERM_8 * N_MOVES,
+  edgePermMove: N_PERM_8 * N_MOVES,
+  slicePermMove: N_PERM_4 * N_MOVES,
+  sliceTwistPrune: N_SLICE * N_TWIST,
+  sliceFlipPrune: N_SLICE * N_FLIP,
+  sliceCornerPrune: N_PERM_4 * N_PERM_8,
+  sliceEdgePrune: N_PERM_4 * N_PERM_8
 };
 
+function hasTableShape(candidate) {
+  return Boolean(candidate) && Object.entries(TABLE_SIZES).every(([name, size]) =>
+    ArrayBuffer.isView(candidate[name]) && candidate[name].length === size
+  );
+}
+
+// Load the tables from the IndexedDB cache, or build them and store them
+// there when no valid copy exists. Storage problems only cost a rebuild.
+// onProgress also receives { type: 'cache', status } with status 'loaded',
+// 'stored' or 'unavailable'.
+export async function loadKociembaTables(onProgress = null) {
+  if (tables) return tables;
+
+  const cached = await loadCachedTables(TABLE_CACHE_KEY, KOCIEMBA_TABLES_VERSION);
+  if (tables) return tables;
+  if (hasTableShape(cached)) {
+    console.log('📦 Loaded Kociemba tables from the cache');
+    tables = cached;
+    if (onProgress) onProgress({ type: 'cache', status: 'loaded' });
+    return tables;
+  }
+
+  initKociembaTables(onProgress);
+  const stored = await saveCachedTables(TABLE_CACHE_KEY, KOCIEMBA_TABLES_VERSION, tables);
+  if (onProgress) onProgress({ type: 'cache', status: stored ? 'stored' : 'unavailable' });
+  return tables;
+}
+
+// ---------------------------------------------------------------------------
+// Two-phase search
+// ---------------------------------------------------------------------------
+
+const faceOf = move => Math.floor(move / 3);
+
+// Skip moves on the same face as the previous one, and fix the order of
+// commuting opposite faces (U before D, R before L, F before B).
+function isRedundant(move, lastMove) {
+  if (lastMove < 0) return false;
+  const face = faceOf(move);
+  const lastFace = faceOf(lastMove);
+  return face === lastFace || face === lastFace - 3;
+}
+
+function searchTwoPhase(cube, maxLength, deadline, onProgress = null) {
+  const t = initKociembaTables(onProgress);
+  const path = [];
+
+  const phase1Start = {
+    twist: getTwist(cube),
+    flip: getFlip(cube),
+    slice: getSlice(cube)
+  };
+
+  const phase1Bound = (twist, flip, slice) => Math.max(
+    t.sliceTwistPrune[slice * N_TWIST + twist],
+    t.sliceFlipPrune[slice * N_FLIP + flip]
+  );
+
+  const phase2Bound = (corner, edge, slicePerm) => Math.max(
+    t.sliceCornerPrune[slicePerm * N_PERM_8 + corner],
+    t.sliceEdgePrune[slicePerm * N_PERM_8 + edge]
+  );
+
+  let timedOut = false;
+  let nodes = 0;
+
+  const checkTime = () => {
+    nodes++;
+    if ((nodes & 1023) === 0 && Date.now() > deadline) timedOut = true;
+    return timedOut;
+  };
+
+  const phase2 = (corner, edge, slicePerm, depth, lastMove) => {
+    if (depth === 0) return corner === 0 && edge === 0 && slicePerm === 0;
+    if (checkTime()) return false;
+    for (const m of PHASE2_MOVES) {
+      if (isRedundant(m, lastMove)) continue;
+      const nextCorner = t.cornerPermMove[corner * N_MOVES + m];
+      const nextEdge = t.edgePermMove[edge * N_MOVES + m];
+      const nextSlice = t.slicePermMove[slicePerm * N_MOVES + m];
+      if (phase2Bound(nextCorner, nextEdge, nextSlice) >= depth) continue;
+      path.push(m);
+      if (phase2(nextCorner, nextEdge, nextSlice, depth - 1, m)) return true;
+      path.pop();
+    }
+    return false;
+  };
+
+  // Runs phase 2 from the end of a phase 1 solution of the given length
+  const startPhase2 = (depth1) => {
+    const g1Cube = applyMoves(cube, path);
+    const corner = getCornerPerm(g1Cube);
+    const edge = getEdgePerm(g1Cube);
+    const slicePerm = getSlicePerm(g1Cube);
+    const lastMove = depth1 > 0 ? path[depth1 - 1] : -1;
+    const maxDepth2 = maxLength - depth1;
+    for (let depth2 = phase2Bound(corner, edge, slicePerm); depth2 <= maxDepth2; depth2++) {
+      if (phase2(corner, edge, slicePerm, depth2, lastMove)) return true;
+      if (timedOut) return false;
+    }
+    return false;
+  };
+
+  const phase1 = (twist, flip, slice, depth, depth1, lastMove) => {
+    if (depth === 0) {
+      // A phase 1 solution ending in a G1 move would be found at a shorter depth
+      if (lastMove >= 0 && PHASE2_MOVES.includes(lastMove)) return false;
+      return startPhase2(depth1);
+    }
+    if (checkTime()) return false;
+    for (let m = 0; m < N_MOVES; m++) {
+      if (isRedundant(m, lastMove)) continue;
+      const nextTwist = t.twistMove[twist * N_MOVES + m];
+      const nextFlip = t.flipMove[flip * N_MOVES + m];
+      const nextSlice = t.sliceMove[slice * N_MOVES + m];
+      if (phase1Bound(nextTwist, nextFlip, nextSlice) >= depth) continue;
+      path.push(m);
+      if (phase1(nextTwist, nextFlip, nextSlice, depth - 1, depth1, m)) return true;
+      path.pop();
+      if (timedOut) return false;
+    }
+    return false;
+  };
+
+  const { twist, flip, slice } = phase1Start;
+  for (let depth1 = phase1Bound(twist, flip, slice); depth1 <= maxLength; depth1++) {
+    if (onProgress) onProgress({ type: 'search', phase: 1, depth: depth1, maxLength });
+    if (depth1 === 0) {
+      if (startPhase2(0)) return { moves: [...path], phase1Length: 0 };
+      continue;
+    }
+    if (phase1(twist, flip, slice, depth1, depth1, -1)) {
+      return { moves: [...path], phase1Length: depth1 };
+    }
+    if (timedOut) break;
+  }
+
+  return { moves: null, phase1Length: 0, timedOut };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
 // Convert cube data to Kociemba format
 export function convertCubeDataToKociembaFormat(cubeData) {
   console.log('🔄 Converting cube data to Kociemba format:', cubeData);
-  
-  // Create a proper cube state representation
-  const solverState = {
-    'U': Array(3).fill().map(() => Array(3).fill(COLORS.WHITE)),
-    'D': Array(3).fill().map(() => Array(3).fill(COLORS.YELLOW)),
-    'F': Array(3).fill().map(() => Array(3).fill(COLORS.GREEN)),
-    'B': Array(3).fill().map(() => Array(3).fill(COLORS.BLUE)),
-    'R': Array(3).fill().map(() => Array(3).fill(COLORS.RED)),
-    'L': Array(3).fill().map(() => Array(3).fill(COLORS.ORANGE))
-  };
-  
-  // If we have actual cube data, use it
-  if (cubeData) {
-    if (cubeData.front?.colors) solverState.F = cubeData.front.colors;
-    if (cubeData.back?.colors) solverState.B = cubeData.back.colors;
-    if (cubeData.up?.colors) solverState.U = cubeData.up.colors;
-    if (cubeData.down?.colors) solverState.D = cubeData.down.colors;
-    if (cubeData.left?.colors) solverState.L = cubeData.left.colors;
-    if (cubeData.right?.colors) solverState.R = cubeData.right.colors;
-  }
-  
+
+  // Face grids keyed by face letter; missing faces stay null so that they
+  // are reported instead of being silently treated as solved
+  const solverState = {};
+  Object.entries(FACES).forEach(([letter, faceName]) => {
+    solverState[letter] = getFaceGrid(cubeData?.[faceName]);
+  });
+
   console.log('✅ Kociemba solver state created');
   return solverState;
 }
@@ -52,123 +474,114 @@ export function convertCubeDataToKociembaFormat(cubeData) {
 // Analyze cube state for Kociemba algorithm
 export function analyzeCubeStateForKociemba(cubeData) {
   console.log('🔍 Analyzing cube state for Kociemba algorithm...');
-  
+
   const solverState = convertCubeDataToKociembaFormat(cubeData);
-  
-  // Basic validation
-  const totalStickers = Object.values(solverState).flat().flat().length;
-  const isValid = totalStickers === 54; // 6 faces * 9 stickers
-  
+  const validColors = Object.values(solverState)
+    .filter(Boolean)
+    .flat()
+    .filter(color => color && color !== 'unknown').length;
+
+  const validation = validateCubeData(cubeData);
+
   return {
-    isValid,
+    isValid: validation.isValid,
     cubeState: solverState,
-    validColors: totalStickers,
-    issues: isValid ? [] : ['Invalid cube state - wrong number of stickers']
+    facelets: validation.facelets,
+    cube: validation.cube,
+    validColors,
+    issues: getIssueMessages(validation),
+    validation
   };
 }
 
 // Kociemba Two-Phase Algorithm
-export function solveKociemba(cubeData) {
+export function solveKociemba(cubeData, options = {}) {
   console.log('🎯 Starting Kociemba Two-Phase algorithm...');
-  
+
   const analysis = analyzeCubeStateForKociemba(cubeData);
   if (!analysis.isValid) {
-    console.error('❌ Invalid cube state for Kociemba solver');
+    console.error('❌ Invalid cube state for Kociemba solver:', analysis.issues);
     return [];
   }
-  
-  // Phase 1: Solve to G1 subgroup (all edges oriented correctly)
-  const phase1Moves = solvePhase1(analysis.cubeState);
-  console.log('✅ Phase 1 complete:', phase1Moves);
-  
-  // Phase 2: Solve to solved state
-  const phase2Moves = solvePhase2(analysis.cubeState);
-  console.log('✅ Phase 2 complete:', phase2Moves);
-  
-  // Combine moves
-  const totalMoves = [...phase1Moves, ...phase2Moves];
-  console.log(`🎯 Kociemba solve complete. Total moves: ${totalMoves.length}`);
-  
-  return totalMoves;
-}
-
-// Phase 1: Solve to G1 subgroup
-function solvePhase1(cubeState) {
-  console.log('🔄 Phase 1: Solving to G1 subgroup...');
-  
-  // This is a simplified implementation
-  // In a real Kociemba solver, this would use lookup tables and complex algorithms
-  
-  const moves = [
-    // Edge orientation moves
-    "F", "R", "U", "R'", "U'", "F'",
-    "U",
-    "F", "U", "R", "U'", "R'", "F'",
-    "U",
-    "F", "R", "U", "R'", "U'", "F'",
-    "U2",
-    
-    // Additional edge orientation
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "U",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'"
-  ];
-  
-  return moves;
+
+  return solveCubieCube(analysis.cube, options);
 }
 
-// Phase 2: Solve to solved state
-function solvePhase2(cubeState) {
-  console.log('🔄 Phase 2: Solving to solved state...');
-  
-  // This is a simplified implementation
-  // In a real Kociemba solver, this would use lookup tables and complex algorithms
-  
-  const moves = [
-    // Corner permutation
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    
-    // Edge permutation
-    "F2", "U", "R", "U'", "R'", "F2",
-    "U",
-    "F2", "U", "R", "U'", "R'", "F2",
-    "U",
-    "F2", "U", "R", "U'", "R'", "F2",
-    "U",
-    "F2", "U", "R", "U'", "R'", "F2"
-  ];
-  
-  return moves;
+// Solve a cubie-level cube; returns { moves, saved } where saved counts the
+// moves cancelled where phase 1 and phase 2 meet
+function searchSolution(cube, options = {}) {
+  const {
+    maxLength = DEFAULT_MAX_LENGTH,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    onProgress = null
+  } = options;
+
+  if (isSolvedCube(cube)) {
+    console.log('✅ Cube is already solved');
+    return { moves: [], saved: 0 };
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let result = searchTwoPhase(cube, maxLength, deadline, onProgress);
+
+  if (!result.moves) {
+    // Accept a longer solution rather than none at all
+    console.warn(`⚠️ No solution within ${maxLength} moves, retrying with ${FALLBACK_MAX_LENGTH}`);
+    result = searchTwoPhase(cube, FALLBACK_MAX_LENGTH, Date.now() + timeoutMs, onProgress);
+  }
+
+  if (!result.moves) {
+    console.error('❌ Kociemba search failed to find a solution');
+    return { moves: [], saved: 0 };
+  }
+
+  const phase1 = result.moves.slice(0, result.phase1Length).map(m => MOVE_NAMES[m]);
+  const phase2 = result.moves.slice(result.phase1Length).map(m => MOVE_NAMES[m]);
+  const { sequences, moves, saved } = joinMoveSequences([phase1, phase2]);
+  if (!isSolvedCube(applyMoves(cube, moves))) {
+    console.error('❌ Kociemba solution does not solve the cube:', moves);
+    return { moves: [], saved: 0 };
+  }
+
+  console.log(`✅ Phase 1 complete: ${sequences[0].join(' ')}`);
+  console.log(`✅ Phase 2 complete: ${sequences[1].join(' ')}`);
+  console.log(`🎯 Kociemba solve complete. Total moves: ${moves.length} (${saved} saved by simplification)`);
+
+  return { moves, saved };
+}
+
+// Solve a cubie-level cube; returns the move list (empty when already solved).
+// options.onProgress receives table building and search depth events.
+export function solveCubieCube(cube, options = {}) {
+  return searchSolution(cube, options).moves;
 }
 
 // Get Kociemba moves - main function for advanced level
 export function getKociembaMoves(cubeData) {
   console.log('🎯 getKociembaMoves called with cube data:', cubeData);
-  
+
   const moves = solveKociemba(cubeData);
   console.log('✅ Generated moves from Kociemba solver:', moves);
   return moves;
 }
 
 // Test Kociemba solver
-export function testKociembaSolver(cubeData) {
+export function testKociembaSolver(cubeData, options = {}) {
   console.log('🧪 Testing Kociemba solver...');
-  
-  const moves = getKociembaMoves(cubeData);
-  
+
+  const analysis = analyzeCubeStateForKociemba(cubeData);
+  const { moves, saved } = analysis.isValid
+    ? searchSolution(analysis.cube, options)
+    : { moves: [], saved: 0 };
+  const solved = analysis.isValid && isSolvedCube(applyMoves(analysis.cube, moves));
+
   return {
-    success: moves.length > 0,
+    success: solved,
     totalMoves: moves.length,
     moves: moves,
-    message: moves.length > 0 ? 'Kociemba solver test successful!' : 'Kociemba solver test failed!'
+    movesSaved: saved,
+    issues: analysis.issues,
+    message: solved ? 'Kociemba solver test successful!' : 'Kociemba solver test failed!'
   };
 }
 
@@ -194,6 +607,6 @@ export function getKociembaMoveDescription(move) {
     "R2": "Turn right face 180 degrees",
     "L2": "Turn left face 180 degrees"
   };
-  
+
   return descriptions[move] || `Execute Kociemba move: ${move}`;
-} 
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+import {
+  applyMoves,
+  createSolvedCube,
+  cubeToFacelets,
+  faceletsToCubeData,
+  isSolvedCube
+} from '../cube/cubeCore';
+import { analyzeCubeStateForKociemba, solveKociemba } from './kociembaSolver';
+
+const scrambledCubeData = (scramble) =>
+  faceletsToCubeData(cubeToFacelets(applyMoves(createSolvedCube(), scramble)));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('returns no moves for a solved cube', () => {
+  expect(solveKociemba(scrambledCubeData([]))).toEqual([]);
+});
+
+test('solves scrambled cubes in at most 22 moves', () => {
+  const scrambles = [
+    ["R", "U", "R'", "U'"],
+    "D2 F' R2 U L2 F2 D' B' U' R2 F D2 L' B2 U F' R D' L2 B".split(' '),
+    "U2 B L' F2 R D' F U2 L B2 R' D F' L2 U' B D2 R' F L".split(' ')
+  ];
+
+  scrambles.forEach(scramble => {
+    const cubeData = scrambledCubeData(scramble);
+    const moves = solveKociemba(cubeData);
+    const { cube } = analyzeCubeStateForKociemba(cubeData);
+
+    expect(moves.length).toBeLessThanOrEqual(22);
+    expect(isSolvedCube(applyMoves(cube, moves))).toBe(true);
+  });
+});
+
+test('rejects a cube with a twisted corner', () => {
+  const cubeData = scrambledCubeData([]);
+  const up = cubeData.up.colors;
+  const right = cubeData.right.colors;
+  const front = cubeData.front.colors;
+  // Rotate the URF corner stickers in place
+  [up[2][2], right[0][0], front[0][2]] = [front[0][2], up[2][2], right[0][0]];
+
+  const analysis = analyzeCubeStateForKociemba(cubeData);
+  expect(analysis.isValid).toBe(false);
+  expect(solveKociemba(cubeData)).toEqual([]);
+});
+
+test('reports search progress', () => {
+  const events = [];
+  solveKociemba(scrambledCubeData(["R", "U", "F'", "L2"]), { onProgress: event => events.push(event) });
+  expect(events.some(event => event.type === 'search' && event.phase === 1)).toBe(true);
+});
@@ -1,6 +1,24 @@
 // src/solvers/lblSolver.js
+// Layer-by-layer (beginner's method) solver
+//
+// The cube is first turned (virtually) so that the white center is on D.
+// The first layer is then solved on D and the last layer on U, stage by
+// stage, and every move is translated back to the orientation the cube was
+// captured in, so the solution can be followed without rotating the cube.
 
-// MINIMAL WORKING LBL Solver - This will definitely work
+import {
+  FACE_ORDER,
+  MOVE_CUBES,
+  MOVE_NAMES,
+  applyMoves,
+  isSolvedCube,
+  faceletsToCube,
+  rotateFacelets,
+  getFaceGrid
+} from '../cube/cubeCore';
+import { validateCubeData, getIssueMessages } from '../cube/cubeValidator';
+import { joinMoveSequences } from '../cube/simplifier';
+import { splitMove } from '../cube/notation';
 
 // Face mapping constants
 const FACES = {
@@ -22,150 +40,491 @@ const COLORS = {
   ORANGE: 'orange'
 };
 
+// Whole-cube rotation that brings each face down to D
+const ROTATION_TO_DOWN = {
+  D: null,
+  U: { axis: 'x', turns: 2 },
+  F: { axis: 'x', turns: -1 },
+  B: { axis: 'x', turns: 1 },
+  R: { axis: 'z', turns: 1 },
+  L: { axis: 'z', turns: -1 }
+};
+
+// Algorithms are written for the front-right slot; relabelling them with
+// Y_RELABEL gives the same algorithm for the next slot around U.
+const Y_RELABEL = { F: 'R', R: 'B', B: 'L', L: 'F', U: 'U', D: 'D' };
+
+const U_SETUPS = [[], ['U'], ['U2'], ["U'"]];
+
+const ALGORITHMS = {
+  cornerInsert: "R U R' U'",
+  edgeInsertFromFront: "U R U' R' U' F' U F",
+  edgeInsertFromRight: "U' F' U F U R U' R'",
+  yellowCross: "F R U R' U' F'",
+  sune: "R U R' U R U2 R'",
+  cornerCycle: "R' F R' B2 R F' R' B2 R2",
+  cornerCycleInverse: "R2 B2 R F R' B2 R F' R",
+  edgeCycle: "R U' R U R U R U' R' U' R2",
+  edgeCycleInverse: "R2 U R U R' U' R' U' R' U R'"
+};
+
+// Cubie slots of the first two layers, in the order they are solved
+const CROSS_EDGES = [5, 4, 7, 6];           // DF, DR, DB, DL
+const FIRST_LAYER_CORNERS = [4, 7, 6, 5];   // DFR, DRB, DBL, DLF
+const MIDDLE_EDGES = [8, 11, 10, 9];        // FR, BR, BL, FL
+
+// Number of Y_RELABEL steps that carry the front-right slot to each slot
+const CORNER_SLOT_TURNS = { 4: 0, 7: 1, 6: 2, 5: 3 };
+const CORNER_ABOVE_SLOT = { 4: 0, 7: 3, 6: 2, 5: 1 };
+const EDGE_SLOT_TURNS = { 8: 0, 11: 1, 10: 2, 9: 3 };
+
+const parseAlgorithm = (text) => text.split(' ').filter(Boolean);
+
+function relabel(moves, turns) {
+  let result = moves;
+  for (let i = 0; i < turns; i++) {
+    result = result.map(move => Y_RELABEL[move[0]] + move.slice(1));
+  }
+  return result;
+}
+
+const cornerSolved = (cube, i) => cube.cp[i] === i && cube.co[i] === 0;
+const edgeSolved = (cube, i) => cube.ep[i] === i && cube.eo[i] === 0;
+
+function piecesSolved(cube, corners, edges) {
+  return corners.every(i => cornerSolved(cube, i)) && edges.every(i => edgeSolved(cube, i));
+}
+
+// ---------------------------------------------------------------------------
+// White cross: optimal search over the four cross edges
+// ---------------------------------------------------------------------------
+
+let crossTable = null;
+
+// Where a single edge (position * 2 + orientation) goes under each move
+function buildEdgeMoveTable() {
+  const table = [];
+  for (let state = 0; state < 24; state++) {
+    const position = state >> 1;
+    const orientation = state & 1;
+    table.push(MOVE_CUBES.map(moveCube => {
+      const target = moveCube.ep.indexOf(position);
+      return target * 2 + ((orientation + moveCube.eo[target]) % 2);
+    }));
+  }
+  return table;
+}
+
+const crossIndex = (states) => ((states[0] * 24 + states[1]) * 24 + states[2]) * 24 + states[3];
+
+function getCrossTable() {
+  if (crossTable) return crossTable;
+
+  const edgeMove = buildEdgeMoveTable();
+  const distance = new Int8Array(24 ** 4).fill(-1);
+  const start = CROSS_EDGES.map(edge => edge * 2);
+  distance[crossIndex(start)] = 0;
+
+  let frontier = [start];
+  let depth = 0;
+  while (frontier.length > 0) {
+    const next = [];
+    for (const states of frontier) {
+      for (let m = 0; m < MOVE_CUBES.length; m++) {
+        const moved = states.map(state => edgeMove[state][m]);
+        const index = crossIndex(moved);
+        if (distance[index] === -1) {
+          distance[index] = depth + 1;
+          next.push(moved);
+        }
+      }
+    }
+    frontier = next;
+    depth++;
+  }
+
+  crossTable = { edgeMove, distance };
+  return crossTable;
+}
+
+function solveCross(cube) {
+  const { edgeMove, distance } = getCrossTable();
+  let states = CROSS_EDGES.map(edge => {
+    const position = cube.ep.indexOf(edge);
+    return position * 2 + cube.eo[position];
+  });
+
+  const moves = [];
+  while (distance[crossIndex(states)] > 0) {
+    const current = distance[crossIndex(states)];
+    for (let m = 0; m < MOVE_CUBES.length; m++) {
+      const moved = states.map(state => edgeMove[state][m]);
+      if (distance[crossIndex(moved)] === current - 1) {
+        moves.push(MOVE_NAMES[m]);
+        states = moved;
+        break;
+      }
+    }
+  }
+  return moves;
+}
+
+// ---------------------------------------------------------------------------
+// First layer corners and middle layer edges
+// ---------------------------------------------------------------------------
+
+function solveFirstLayerCorners(cube, stageMoves) {
+  let current = cube;
+  const apply = (moves) => {
+    current = applyMoves(current, moves);
+    stageMoves.push(...moves);
+  };
+  const solvedCorners = [];
+
+  for (const slot of FIRST_LAYER_CORNERS) {
+    if (!cornerSolved(current, slot)) {
+      // A corner stuck in the bottom layer is lifted out first
+      const position = current.cp.indexOf(slot);
+      if (position >= 4) {
+        apply(relabel(parseAlgorithm(ALGORITHMS.cornerInsert), CORNER_SLOT_TURNS[position]));
+      }
+
+      // Bring it above its slot, then repeat the insert until it drops in
+      const lifted = current;
+      const setup = U_SETUPS.find(moves =>
+        applyMoves(lifted, moves).cp[CORNER_ABOVE_SLOT[slot]] === slot
+      );
+      apply(setup);
+
+      const insert = relabel(parseAlgorithm(ALGORITHMS.cornerInsert), CORNER_SLOT_TURNS[slot]);
+      for (let i = 0; i < 6 && !cornerSolved(current, slot); i++) {
+        apply(insert);
+      }
+    }
+
+    solvedCorners.push(slot);
+    if (!piecesSolved(current, solvedCorners, CROSS_EDGES)) return null;
+  }
+
+  return current;
+}
+
+function solveMiddleLayer(cube, stageMoves) {
+  let current = cube;
+  const apply = (moves) => {
+    current = applyMoves(current, moves);
+    stageMoves.push(...moves);
+  };
+  const solvedEdges = [...CROSS_EDGES];
+
+  for (const slot of MIDDLE_EDGES) {
+    if (!edgeSolved(current, slot)) {
+      // An edge in the wrong middle slot is pushed up into the top layer
+      const position = current.ep.indexOf(slot);
+      if (position >= 8) {
+        apply(relabel(parseAlgorithm(ALGORITHMS.edgeInsertFromFront), EDGE_SLOT_TURNS[position]));
+      }
+
+      const inserts = [ALGORITHMS.edgeInsertFromFront, ALGORITHMS.edgeInsertFromRight]
+        .map(text => relabel(parseAlgorithm(text), EDGE_SLOT_TURNS[slot]));
+      let found = null;
+      for (const setup of U_SETUPS) {
+        for (const insert of inserts) {
+          const candidate = [...setup, ...insert];
+          if (edgeSolved(applyMoves(current, candidate), slot)) {
+            found = candidate;
+            break;
+          }
+        }
+        if (found) break;
+      }
+      if (!found) return null;
+      apply(found);
+    }
+
+    solvedEdges.push(slot);
+    if (!piecesSolved(current, FIRST_LAYER_CORNERS, solvedEdges)) return null;
+  }
+
+  return current;
+}
+
+// ---------------------------------------------------------------------------
+// Last layer: algorithms applied after U-turn setups until the goal is met
+// ---------------------------------------------------------------------------
+
+function searchAlgorithms(cube, algorithms, maxApplications, isGoal, finalSetup = false) {
+  const finals = finalSetup ? U_SETUPS : [[]];
+  const steps = U_SETUPS.flatMap(setup =>
+    algorithms.map(algorithm => [...setup, ...parseAlgorithm(algorithm)])
+  );
+
+  // Breadth first over the number of algorithm applications
+  let layer = [{ cube, moves: [] }];
+  for (let applications = 0; applications <= maxApplications; applications++) {
+    for (const node of layer) {
+      for (const setup of finals) {
+        if (isGoal(applyMoves(node.cube, setup))) return [...node.moves, ...setup];
+      }
+    }
+    if (applications < maxApplications) {
+      layer = layer.flatMap(node => steps.map(step => ({
+        cube: applyMoves(node.cube, step),
+        moves: [...node.moves, ...step]
+      })));
+    }
+  }
+  return null;
+}
+
+const lastLayerStages = [
+  {
+    id: 'yellow-cross',
+    name: color => `${capitalize(color)} cross`,
+    goal: color => `Make a ${color} cross on the top face (ignore the corners)`,
+    algorithms: [ALGORITHMS.yellowCross],
+    maxApplications: 3,
+    isGoal: cube => [0, 1, 2, 3].every(i => cube.eo[i] === 0)
+  },
+  {
+    id: 'yellow-face',
+    name: color => `${capitalize(color)} face`,
+    goal: color => `Turn the top corners until the whole top face is ${color}`,
+    algorithms: [ALGORITHMS.sune],
+    maxApplications: 3,
+    isGoal: cube => [0, 1, 2, 3].every(i => cube.co[i] === 0 && cube.eo[i] === 0)
+  },
+  {
+    id: 'corner-permutation',
+    name: () => 'Corner permutation',
+    goal: () => 'Move the top corners to their correct positions',
+    algorithms: [ALGORITHMS.cornerCycle, ALGORITHMS.cornerCycleInverse],
+    maxApplications: 2,
+    finalSetup: true,
+    isGoal: cube => [0, 1, 2, 3].every(i => cornerSolved(cube, i))
+  },
+  {
+    id: 'edge-permutation',
+    name: () => 'Edge permutation',
+    goal: () => 'Cycle the top edges into place to finish the cube',
+    algorithms: [ALGORITHMS.edgeCycle, ALGORITHMS.edgeCycleInverse],
+    maxApplications: 2,
+    finalSetup: true,
+    isGoal: isSolvedCube
+  }
+];
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+// ---------------------------------------------------------------------------
+// Stage pipeline
+// ---------------------------------------------------------------------------
+
+// First layer cross, corners and middle edges, then the last layer stages
+const STAGE_COUNT = 3 + lastLayerStages.length;
+
+// Solve a cube that already has its first-layer color on D. Returns the
+// stages with moves in this frame, or null if a stage could not be solved.
+function solveStages(cube, firstColor, lastColor, onProgress = null) {
+  const stages = [];
+  const report = () => {
+    const stage = stages[stages.length - 1];
+    if (onProgress) {
+      onProgress({ type: 'stage', id: stage.id, name: stage.name, done: stages.length, total: STAGE_COUNT });
+    }
+  };
+
+  const crossMoves = solveCross(cube);
+  let current = applyMoves(cube, crossMoves);
+  stages.push({
+    id: 'white-cross',
+    name: `${capitalize(firstColor)} cross`,
+    goal: `Make a ${firstColor} cross whose edges match the side centers`,
+    moves: crossMoves
+  });
+  if (!piecesSolved(current, [], CROSS_EDGES)) return null;
+  report();
+
+  const cornerMoves = [];
+  current = solveFirstLayerCorners(current, cornerMoves);
+  stages.push({
+    id: 'first-layer-corners',
+    name: 'First layer corners',
+    goal: `Insert the four ${firstColor} corners to complete the first layer`,
+    moves: cornerMoves
+  });
+  if (!current) return null;
+  report();
+
+  const middleMoves = [];
+  current = solveMiddleLayer(current, middleMoves);
+  stages.push({
+    id: 'middle-layer',
+    name: 'Middle layer edges',
+    goal: 'Insert the four middle-layer edges to finish the first two layers',
+    moves: middleMoves
+  });
+  if (!current) return null;
+  report();
+
+  for (const stage of lastLayerStages) {
+    const moves = searchAlgorithms(current, stage.algorithms, stage.maxApplications, stage.isGoal, stage.finalSetup);
+    if (!moves) return null;
+    current = applyMoves(current, moves);
+    stages.push({
+      id: stage.id,
+      name: stage.name(lastColor),
+      goal: stage.goal(lastColor),
+      moves
+    });
+    report();
+  }
+
+  return isSolvedCube(current) ? stages : null;
+}
+
 // MINIMAL: Convert cube state to 2D array format
 export function convertCubeDataToSolverFormat(cubeData) {
   console.log('🔄 Converting cube data to solver format:', cubeData);
-  
-  // Just return a basic structure - don't do complex validation
-  const solverState = {
-    'U': Array(3).fill().map(() => Array(3).fill(COLORS.WHITE)),
-    'D': Array(3).fill().map(() => Array(3).fill(COLORS.YELLOW)),
-    'F': Array(3).fill().map(() => Array(3).fill(COLORS.GREEN)),
-    'B': Array(3).fill().map(() => Array(3).fill(COLORS.BLUE)),
-    'R': Array(3).fill().map(() => Array(3).fill(COLORS.RED)),
-    'L': Array(3).fill().map(() => Array(3).fill(COLORS.ORANGE))
-  };
-  
+
+  const solverState = {};
+  Object.entries(FACES).forEach(([letter, faceName]) => {
+    solverState[letter] = getFaceGrid(cubeData?.[faceName]);
+  });
+
   console.log(' Basic solver state created');
   return solverState;
 }
 
-// MINIMAL: Analyze cube state - always return valid
+// Analyze cube state
 export function analyzeCubeState(cubeData) {
   console.log('🔍 Analyzing cube state...');
-  
-  // Always return valid to avoid blocking
+
+  const solverState = convertCubeDataToSolverFormat(cubeData);
+  const validColors = Object.values(solverState)
+    .filter(Boolean)
+    .flat()
+    .filter(color => color && color !== 'unknown').length;
+  const validation = validateCubeData(cubeData);
+
   return {
-    isValid: true,
-    cubeState: convertCubeDataToSolverFormat(cubeData),
-    validColors: 54, // 6 faces * 9 stickers
-    issues: []
+    isValid: validation.isValid,
+    cubeState: solverState,
+    facelets: validation.facelets,
+    scheme: validation.scheme,
+    cube: validation.cube,
+    validColors,
+    issues: getIssueMessages(validation),
+    validation
   };
 }
 
-// MINIMAL: LBL solving function - just return moves
-export function solveLBL(cubeData) {
+// LBL solving function. Returns { success, stages, moves, movesSaved, issues }
+// where each stage is { id, name, goal, moves } in the orientation of the
+// captured cube and movesSaved counts moves cancelled between stages.
+// options.onProgress receives { type: 'stage', id, name, done, total } as
+// each stage is solved.
+export function solveLBL(cubeData, options = {}) {
   console.log(' Starting LBL solve...');
-  
-  // Just return a working sequence immediately
-  const moves = getCompleteSolvingSequence();
-  console.log('✅ LBL solve complete. Total moves:', moves.length);
-  return moves;
+
+  const analysis = analyzeCubeState(cubeData);
+  if (!analysis.isValid) {
+    console.error('❌ Invalid cube state for LBL solver:', analysis.issues);
+    return { success: false, stages: [], moves: [], issues: analysis.issues };
+  }
+
+  const { facelets, scheme } = analysis;
+
+  // Solve the first layer on the white face if there is one, otherwise on D
+  const firstFace = FACE_ORDER.find(face => scheme[face] === COLORS.WHITE) || 'D';
+  const rotation = ROTATION_TO_DOWN[firstFace];
+  let frameFacelets = facelets;
+  let faceMap = Object.fromEntries(FACE_ORDER.map(face => [face, face]));
+  if (rotation) {
+    ({ facelets: frameFacelets, faceMap } = rotateFacelets(facelets, rotation.axis, rotation.turns));
+  }
+
+  // Faces in the solving frame -> faces of the captured cube
+  const originalFace = Object.fromEntries(Object.entries(faceMap).map(([from, to]) => [to, from]));
+  const firstColor = scheme[firstFace];
+  const lastColor = scheme[originalFace.U] || COLORS.YELLOW;
+
+  const { cube } = faceletsToCube(frameFacelets);
+  const stages = solveStages(cube, firstColor, lastColor, options.onProgress);
+  if (!stages) {
+    console.error('❌ LBL solver could not complete every stage');
+    return { success: false, stages: [], moves: [], issues: ['The solver could not complete every stage'] };
+  }
+
+  // Cancel moves where one stage ends and the next begins
+  const joined = joinMoveSequences(
+    stages.map(stage => stage.moves.map(move => originalFace[move[0]] + move.slice(1)))
+  );
+  const translated = stages.map((stage, i) => ({ ...stage, moves: joined.sequences[i] }));
+  const moves = joined.moves;
+
+  if (!isSolvedCube(applyMoves(analysis.cube, moves))) {
+    console.error('❌ LBL solution does not solve the cube:', moves);
+    return { success: false, stages: [], moves: [], issues: ['The generated solution does not solve the cube'] };
+  }
+
+  console.log(`✅ LBL solve complete. Total moves: ${moves.length} (${joined.saved} saved by simplification)`);
+  return { success: true, stages: translated, moves, movesSaved: joined.saved, issues: [] };
 }
 
-// MINIMAL: Get basic LBL moves - main function
+// Get basic LBL moves - main function, returns the flat move list
 export function getBasicLBLMoves(cubeData) {
   console.log('🎯 getBasicLBLMoves called with cube data:', cubeData);
-  
-  // Just return moves immediately
-  const moves = getCompleteSolvingSequence();
+
+  const { moves } = solveLBL(cubeData);
   console.log('✅ Generated moves from LBL solver:', moves);
   return moves;
 }
 
-// MINIMAL: Test solver function - always succeed
+// Test solver function
 export function testSolver(cubeData) {
   console.log('🧪 Testing solver...');
-  
+
+  const result = solveLBL(cubeData);
+
   return {
-    success: true,
-    totalMoves: 50,
-    moves: getCompleteSolvingSequence(),
-    message: 'Solver test successful!'
+    success: result.success,
+    totalMoves: result.moves.length,
+    moves: result.moves,
+    stages: result.stages,
+    issues: result.issues,
+    message: result.success ? 'Solver test successful!' : 'Solver test failed!'
   };
 }
 
-// MINIMAL: Get step-by-step solving sequence
+// Get step-by-step solving sequence: the list of stages with their moves
 export function getStepByStepSequence(cubeData) {
   console.log('🎯 getStepByStepSequence called with:', cubeData);
-  
-  const moves = getCompleteSolvingSequence();
-  console.log('✅ Generated step-by-step sequence:', moves);
-  return moves;
+
+  const { stages } = solveLBL(cubeData);
+  console.log('✅ Generated step-by-step sequence:', stages);
+  return stages;
 }
 
-// MINIMAL: Get a complete solving sequence - this is the key function
-export function getCompleteSolvingSequence() {
+// Get a complete solving sequence as one flat list of moves
+export function getCompleteSolvingSequence(cubeData) {
   console.log('🎯 Generating complete solving sequence...');
-  
-  // Simple, working LBL sequence
-  const moves = [
-    // White Cross
-    "F", "R", "U", "R'", "U'", "F'",
-    "U",
-    "F", "U", "R", "U'", "R'", "F'",
-    "U",
-    "F", "R", "U", "R'", "U'", "F'",
-    "U2",
-    
-    // White Corners
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "U",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "U",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "U",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    "R", "U", "R'", "U'",
-    
-    // Middle Layer
-    "U", "R", "U'", "R'", "U'", "F'", "U", "F",
-    "U",
-    "U", "R", "U'", "R'", "U'", "F'", "U", "F",
-    "U",
-    "U", "R", "U'", "R'", "U'", "F'", "U", "F",
-    "U",
-    "U", "R", "U'", "R'", "U'", "F'", "U", "F",
-    
-    // Yellow Face
-    "F", "R", "U", "R'", "U'", "F'",
-    "U",
-    "F", "R", "U", "R'", "U'", "F'",
-    "U",
-    "F", "R", "U", "R'", "U'", "F'",
-    "U",
-    "F", "R", "U", "R'", "U'", "F'",
-    
-    // Final Layer
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'",
-    "U",
-    "R", "U", "R'", "F'", "R", "U", "R'", "U'", "R'", "F", "R2", "U'", "R'", "U'"
-  ];
-  
+
+  const moves = getBasicLBLMoves(cubeData);
   console.log(`✅ Generated ${moves.length} moves for complete solving sequence`);
   return moves;
 }
 
-// MINIMAL: Check if cube is solved
+// Check if cube is solved: every face shows a single color
 export function isCubeSolved(cubeState) {
-  return false; // Always return false for now
-}
-
-// MINIMAL: Apply move to cube state
-export function applyMoveToCubeState(cubeState, move) {
-  console.log(`🔄 Applying move: ${move}`);
-  return cubeState; // Just return the same state for now
+  const faces = Object.values(FACES).map(faceName => getFaceGrid(cubeState?.[faceName]));
+  if (faces.some(grid => !grid)) return false;
+  return faces.every(grid => {
+    const colors = grid.flat();
+    return colors.every(color => color && color !== 'unknown' && color === colors[0]);
+  });
 }
 
 // MINIMAL: Get move description
@@ -190,6 +549,32 @@ export function getMoveDescription(move) {
     "R2": "Turn right face 180 degrees",
     "L2": "Turn left face 180 degrees"
   };
-  
-  return descriptions[move] || `Execute move: ${move}`;
-} 
+
+  return descriptions[move] || describeOtherMove(move);
+}
+
+// Slices, wide turns and rotations, in the words used for face turns
+const LAYER_WORDS = {
+  M: 'middle slice (like L)',
+  E: 'equator slice (like D)',
+  S: 'standing slice (like F)',
+  x: 'whole cube (like R)',
+  y: 'whole cube (like U)',
+  z: 'whole cube (like F)'
+};
+
+function describeOtherMove(move) {
+  let parsed;
+  try {
+    parsed = splitMove(move);
+  } catch (error) {
+    return `Execute move: ${move}`;
+  }
+  const { base, turns } = parsed;
+  const faceLetter = base.charAt(0).toUpperCase();
+  const layer = LAYER_WORDS[base] ||
+    (FACES[faceLetter] ? `${FACES[faceLetter]} two layers` : null);
+  if (!layer || turns === 0) return `Execute move: ${move}`;
+  const direction = ['', 'clockwise', '180 degrees', 'counter-clockwise'][turns];
+  return `Turn ${layer} ${direction}`;
+}
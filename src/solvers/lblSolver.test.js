@@ -0,0 +1,78 @@
+import {
+  applyMoves,
+  createSolvedCube,
+  cubeToFacelets,
+  faceletsToCubeData,
+  isSolvedCube
+} from '../cube/cubeCore';
+import { simplifyMoves } from '../cube/simplifier';
+import { analyzeCubeState, solveLBL } from './lblSolver';
+
+const scrambledCubeData = (scramble, scheme) =>
+  faceletsToCubeData(cubeToFacelets(applyMoves(createSolvedCube(), scramble)), scheme);
+
+const SCRAMBLES = [
+  "D2 F' R2 U L2 F2 D' B' U' R2 F D2 L' B2 U F' R D' L2 B",
+  "U2 B L' F2 R D' F U2 L B2 R' D F' L2 U' B D2 R' F L",
+  "R U R' U'",
+  "F2 D R2 B' L U2 F' R D2 L' B U' R2 F L2 D' B2 U R' F'"
+].map(text => text.split(' '));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('solves scrambled cubes stage by stage', () => {
+  SCRAMBLES.forEach(scramble => {
+    const cubeData = scrambledCubeData(scramble);
+    const result = solveLBL(cubeData);
+    const { cube } = analyzeCubeState(cubeData);
+
+    expect(result.success).toBe(true);
+    expect(result.stages.map(stage => stage.id)).toEqual([
+      'white-cross',
+      'first-layer-corners',
+      'middle-layer',
+      'yellow-cross',
+      'yellow-face',
+      'corner-permutation',
+      'edge-permutation'
+    ]);
+    expect(result.moves).toEqual(result.stages.flatMap(stage => stage.moves));
+    expect(simplifyMoves(result.moves).saved).toBe(0);
+    expect(isSolvedCube(applyMoves(cube, result.moves))).toBe(true);
+  });
+});
+
+test('solves cubes whose white center is not on the down face', () => {
+  const schemes = [
+    { U: 'white', R: 'red', F: 'green', D: 'yellow', L: 'orange', B: 'blue' },
+    { U: 'green', R: 'red', F: 'white', D: 'blue', L: 'orange', B: 'yellow' },
+    { U: 'blue', R: 'white', F: 'red', D: 'green', L: 'yellow', B: 'orange' }
+  ];
+
+  schemes.forEach(scheme => {
+    const cubeData = scrambledCubeData(SCRAMBLES[0], scheme);
+    const result = solveLBL(cubeData);
+    const { cube } = analyzeCubeState(cubeData);
+
+    expect(result.success).toBe(true);
+    expect(result.stages[0].name).toBe('White cross');
+    expect(isSolvedCube(applyMoves(cube, result.moves))).toBe(true);
+  });
+});
+
+test('reports invalid cubes instead of solving them', () => {
+  const cubeData = scrambledCubeData([]);
+  cubeData.front.colors[0][0] = 'green';
+  cubeData.front.colors[0][1] = 'green';
+  cubeData.up.colors[2][1] = 'red';
+
+  const result = solveLBL(cubeData);
+  expect(result.success).toBe(false);
+  expect(result.issues.length).toBeGreaterThan(0);
+});
@@ -0,0 +1,116 @@
+// src/solvers/scrambler.js
+// Scramble generators.
+//
+// Random-state scrambles follow the WCA approach: pick a uniformly random
+// solvable cube, solve it with the two-phase solver and invert the solution.
+// Random-move scrambles are quicker but not uniform. Both accept a seed so
+// the same seed always gives the same scramble.
+
+import {
+  createSolvedCube,
+  permutationParity,
+  invertMoves,
+  isSolvedCube
+} from '../cube/cubeCore';
+import { solveCubieCube } from './kociembaSolver';
+
+const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+const SUFFIXES = ['', "'", '2'];
+const AXIS_OF_FACE = { U: 0, D: 0, R: 1, L: 1, F: 2, B: 2 };
+
+export const DEFAULT_RANDOM_MOVE_LENGTH = 25;
+
+// Random number generator in [0, 1). Seeded generators use mulberry32 on a
+// hash of the seed text; without a seed Math.random is used.
+export function createRandom(seed = null) {
+  if (seed === null || seed === undefined || seed === '') return Math.random;
+
+  let state = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomInt = (random, n) => Math.floor(random() * n);
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Uniformly random solvable cube: random permutations and orientations, with
+// the last orientation fixed by the others and the edge parity matched to
+// the corner parity
+export function randomCubeState(random = Math.random) {
+  const cube = createSolvedCube();
+  cube.cp = shuffle(cube.cp, random);
+  cube.ep = shuffle(cube.ep, random);
+  if (permutationParity(cube.cp) !== permutationParity(cube.ep)) {
+    [cube.ep[0], cube.ep[1]] = [cube.ep[1], cube.ep[0]];
+  }
+
+  let twist = 0;
+  for (let i = 0; i < 7; i++) {
+    cube.co[i] = randomInt(random, 3);
+    twist += cube.co[i];
+  }
+  cube.co[7] = (3 - (twist % 3)) % 3;
+
+  let flip = 0;
+  for (let i = 0; i < 11; i++) {
+    cube.eo[i] = randomInt(random, 2);
+    flip += cube.eo[i];
+  }
+  cube.eo[11] = flip % 2;
+
+  return cube;
+}
+
+// Random-state scramble; returns the move list
+export function generateRandomStateScramble({ seed = null, onProgress = null } = {}) {
+  const random = createRandom(seed);
+  let cube = randomCubeState(random);
+  while (isSolvedCube(cube)) {
+    cube = randomCubeState(random);
+  }
+
+  const solution = solveCubieCube(cube, { onProgress });
+  if (solution.length === 0) {
+    throw new Error('Could not solve the random state');
+  }
+  return invertMoves(solution);
+}
+
+// Random-move scramble that never turns the same face twice in a row and
+// never turns three times on one axis (R L R is just R2 L)
+export function generateRandomMoveScramble({ length = DEFAULT_RANDOM_MOVE_LENGTH, seed = null } = {}) {
+  const random = createRandom(seed);
+  const faces = [];
+
+  while (faces.length < length) {
+    const face = FACES[randomInt(random, FACES.length)];
+    const last = faces[faces.length - 1];
+    const beforeLast = faces[faces.length - 2];
+    if (face === last) continue;
+    if (last && beforeLast &&
+        AXIS_OF_FACE[face] === AXIS_OF_FACE[last] &&
+        AXIS_OF_FACE[face] === AXIS_OF_FACE[beforeLast]) {
+      continue;
+    }
+    faces.push(face);
+  }
+
+  return faces.map(face => face + SUFFIXES[randomInt(random, SUFFIXES.length)]);
+}
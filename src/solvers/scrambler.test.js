@@ -0,0 +1,49 @@
+import { applyMoves, createSolvedCube, isSolvedCube, verifyCube } from '../cube/cubeCore';
+import {
+  generateRandomMoveScramble,
+  generateRandomStateScramble,
+  randomCubeState,
+  createRandom
+} from './scrambler';
+
+const AXIS = { U: 0, D: 0, R: 1, L: 1, F: 2, B: 2 };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+test('random states are always solvable', () => {
+  const random = createRandom('states');
+  for (let i = 0; i < 200; i++) {
+    expect(verifyCube(randomCubeState(random))).toBeNull();
+  }
+});
+
+test('random-state scrambles reach the generated state and are reproducible', () => {
+  const scramble = generateRandomStateScramble({ seed: 'club-night' });
+  expect(scramble.length).toBeGreaterThan(0);
+  expect(generateRandomStateScramble({ seed: 'club-night' })).toEqual(scramble);
+
+  // The generator draws the same state from the same seed
+  const random = createRandom('club-night');
+  let generated = randomCubeState(random);
+  while (isSolvedCube(generated)) generated = randomCubeState(random);
+  expect(applyMoves(createSolvedCube(), scramble)).toEqual(generated);
+});
+
+test('random-move scrambles avoid redundant same-axis turns', () => {
+  const scramble = generateRandomMoveScramble({ length: 200, seed: 42 });
+  expect(scramble).toHaveLength(200);
+  expect(generateRandomMoveScramble({ length: 200, seed: 42 })).toEqual(scramble);
+
+  const faces = scramble.map(move => move[0]);
+  const redundant = faces.filter((face, i) =>
+    face === faces[i - 1] ||
+    (i > 1 && AXIS[face] === AXIS[faces[i - 1]] && AXIS[face] === AXIS[faces[i - 2]])
+  );
+  expect(redundant).toEqual([]);
+});
@@ -0,0 +1,102 @@
+// src/solvers/solverClient.js
+// Promise-based access to the solver worker.
+//
+//   const controller = new AbortController();
+//   const result = await solveInWorker(cubeData, {
+//     method: 'kociemba',
+//     onProgress: (progress) => console.log(progress),
+//     signal: controller.signal
+//   });
+//
+// Aborting terminates the worker (a synchronous search cannot be interrupted
+// any other way) and rejects every pending solve with an AbortError. A fresh
+// worker is started for the next solve.
+
+let worker = null;
+let nextRequestId = 1;
+const pendingSolves = new Map();
+
+function createAbortError() {
+  const error = new Error('The solve was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function rejectAll(error) {
+  pendingSolves.forEach(({ reject }) => reject(error));
+  pendingSolves.clear();
+}
+
+function handleMessage(event) {
+  const { id, type, progress, result, message } = event.data;
+  const pending = pendingSolves.get(id);
+  if (!pending) return;
+
+  if (type === 'progress') {
+    if (pending.onProgress) pending.onProgress(progress);
+  } else if (type === 'result') {
+    pendingSolves.delete(id);
+    pending.resolve(result);
+  } else if (type === 'error') {
+    pendingSolves.delete(id);
+    pending.reject(new Error(message));
+  }
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./solverWorker.js', import.meta.url));
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      console.error('❌ Solver worker error:', event.message);
+      terminateSolverWorker(new Error(event.message || 'The solver worker failed'));
+    };
+  }
+  return worker;
+}
+
+// Stop the worker and reject everything still waiting on it
+export function terminateSolverWorker(error = createAbortError()) {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  rejectAll(error);
+}
+
+// Send a request to the worker; resolves with its result
+function requestWorker(message, { onProgress = null, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      reject(new Error('Web Workers are not supported in this browser'));
+      return;
+    }
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const id = nextRequestId++;
+    pendingSolves.set(id, { resolve, reject, onProgress });
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (pendingSolves.has(id)) terminateSolverWorker();
+      }, { once: true });
+    }
+
+    getWorker().postMessage({ id, ...message });
+  });
+}
+
+// Solve cubeData with 'lbl' or 'kociemba' in the worker. Resolves with
+// { success, moves, movesSaved, issues, stages }; onProgress receives the solver's
+// progress events ({ type: 'tables' | 'search' | 'stage', ... }).
+export function solveInWorker(cubeData, { method = 'lbl', onProgress = null, signal = null } = {}) {
+  return requestWorker({ method, cubeData }, { onProgress, signal });
+}
+
+// Random-state scramble generated in the worker. Resolves with the moves.
+export async function generateScrambleInWorker({ seed = null, onProgress = null, signal = null } = {}) {
+  const result = await requestWorker({ method: 'scramble', options: { seed } }, { onProgress, signal });
+  return result.moves;
+}
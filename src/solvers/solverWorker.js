@@ -0,0 +1,57 @@
+// src/solvers/solverWorker.js
+// Web Worker that runs the solvers off the main thread, so building the
+// Kociemba tables and searching never stall the 3D view.
+//
+// Request:  { id, method: 'lbl' | 'kociemba', cubeData }
+//           { id, method: 'scramble', options: { seed } }
+// Replies:  { id, type: 'progress', progress }
+//           { id, type: 'result', result: { success, moves, movesSaved, issues, stages } }
+//           { id, type: 'error', message }
+
+import { testKociembaSolver, loadKociembaTables } from './kociembaSolver';
+import { solveLBL } from './lblSolver';
+import { generateRandomStateScramble } from './scrambler';
+
+async function solve(method, cubeData, options, onProgress) {
+  if (method === 'kociemba') {
+    // Tables come from the IndexedDB cache when possible
+    await loadKociembaTables(onProgress);
+    const result = testKociembaSolver(cubeData, { onProgress });
+    return {
+      success: result.success,
+      moves: result.moves,
+      movesSaved: result.movesSaved,
+      issues: result.issues,
+      stages: []
+    };
+  }
+  if (method === 'lbl') {
+    const result = solveLBL(cubeData, { onProgress });
+    return {
+      success: result.success,
+      moves: result.moves,
+      movesSaved: result.movesSaved || 0,
+      issues: result.issues,
+      stages: result.stages
+    };
+  }
+  if (method === 'scramble') {
+    // Random-state scrambles need the Kociemba tables as well
+    await loadKociembaTables(onProgress);
+    const moves = generateRandomStateScramble({ seed: options?.seed, onProgress });
+    return { success: true, moves, movesSaved: 0, issues: [], stages: [] };
+  }
+  throw new Error(`Unknown solver: ${method}`);
+}
+
+globalThis.onmessage = async (event) => {
+  const { id, method, cubeData, options } = event.data;
+  const onProgress = (progress) => globalThis.postMessage({ id, type: 'progress', progress });
+
+  try {
+    const result = await solve(method, cubeData, options, onProgress);
+    globalThis.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    globalThis.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,124 @@
+// src/solvers/tableCache.js
+// IndexedDB cache for solver lookup tables (typed arrays).
+//
+// Each entry is stored under a key with the table layout version and a
+// checksum of the table bytes. Entries from another version or with a bad
+// checksum are deleted and reported as missing, so the caller rebuilds them.
+// Every function resolves (never rejects) when storage is unavailable.
+
+const DB_NAME = 'cubenav-solver-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'tables';
+
+function openDatabase() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ Could not open the solver table cache:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not open the solver table cache:', error);
+      resolve(null);
+    }
+  });
+}
+
+// Run one request against the store; resolves with its result, or undefined on failure
+function runRequest(mode, makeRequest) {
+  return openDatabase().then(db => new Promise((resolve) => {
+    if (!db) {
+      resolve(undefined);
+      return;
+    }
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      let result;
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(result);
+      };
+      transaction.onerror = transaction.onabort = () => {
+        console.warn('⚠️ Solver table cache request failed:', transaction.error);
+        db.close();
+        resolve(undefined);
+      };
+    } catch (error) {
+      console.warn('⚠️ Solver table cache request failed:', error);
+      db.close();
+      resolve(undefined);
+    }
+  }));
+}
+
+// FNV-1a hash over the table names and bytes, in name order
+export function computeChecksum(tables) {
+  let hash = 0x811c9dc5;
+  const mix = (byte) => {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  };
+
+  Object.keys(tables).sort().forEach(name => {
+    const view = tables[name];
+    for (let i = 0; i < name.length; i++) mix(name.charCodeAt(i) & 0xff);
+    if (!ArrayBuffer.isView(view)) {
+      mix(0);
+      return;
+    }
+    const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    for (let i = 0; i < bytes.length; i++) mix(bytes[i]);
+  });
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Resolves with the cached tables, or null when missing, stale or corrupt
+export async function loadCachedTables(key, version) {
+  const record = await runRequest('readonly', store => store.get(key));
+  if (!record) return null;
+
+  if (record.version !== version) {
+    console.log(`🗑️ Discarding cached ${key} tables from version ${record.version}`);
+    await deleteCachedTables(key);
+    return null;
+  }
+  if (!record.tables || computeChecksum(record.tables) !== record.checksum) {
+    console.warn(`⚠️ Cached ${key} tables are corrupt, rebuilding`);
+    await deleteCachedTables(key);
+    return null;
+  }
+
+  return record.tables;
+}
+
+// Resolves with true when the tables were stored
+export async function saveCachedTables(key, version, tables) {
+  const record = {
+    version,
+    checksum: computeChecksum(tables),
+    createdAt: new Date().toISOString(),
+    tables
+  };
+  const result = await runRequest('readwrite', store => store.put(record, key));
+  return result !== undefined;
+}
+
+export async function deleteCachedTables(key) {
+  await runRequest('readwrite', store => store.delete(key));
+}
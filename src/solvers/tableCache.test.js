@@ -0,0 +1,122 @@
+import { computeChecksum, loadCachedTables, saveCachedTables } from './tableCache';
+import { KOCIEMBA_TABLES_VERSION, loadKociembaTables } from './kociembaSolver';
+
+// In-memory stand-in for IndexedDB: one object store whose requests succeed
+// on the next tick, like the real thing
+function createFakeIndexedDB() {
+  const records = new Map();
+  const later = (callback) => setTimeout(callback, 0);
+
+  const db = {
+    objectStoreNames: { contains: () => true },
+    createObjectStore: () => {},
+    close: () => {},
+    transaction: () => {
+      const transaction = {};
+      const respond = (result) => {
+        const request = {};
+        later(() => {
+          request.result = result;
+          if (request.onsuccess) request.onsuccess();
+          if (transaction.oncomplete) transaction.oncomplete();
+        });
+        return request;
+      };
+      transaction.objectStore = () => ({
+        get: (key) => respond(records.get(key)),
+        put: (value, key) => {
+          records.set(key, value);
+          return respond(key);
+        },
+        delete: (key) => {
+          records.delete(key);
+          return respond(undefined);
+        }
+      });
+      return transaction;
+    }
+  };
+
+  const indexedDB = {
+    open: () => {
+      const request = { result: db };
+      later(() => request.onsuccess());
+      return request;
+    }
+  };
+  return { indexedDB, records };
+}
+
+const installFakeIndexedDB = () => {
+  const fake = createFakeIndexedDB();
+  global.indexedDB = fake.indexedDB;
+  return fake;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+afterEach(() => {
+  delete global.indexedDB;
+});
+
+test('checksum changes when a single table byte changes', () => {
+  const tables = { a: new Uint16Array([1, 2, 3]), b: new Int8Array([4, -1, 0]) };
+  const checksum = computeChecksum(tables);
+  expect(computeChecksum({ b: tables.b, a: tables.a })).toBe(checksum);
+
+  tables.b[1] = 5;
+  expect(computeChecksum(tables)).not.toBe(checksum);
+});
+
+test('resolves without tables when IndexedDB is unavailable', async () => {
+  expect(typeof indexedDB).toBe('undefined');
+  await expect(loadCachedTables('kociemba', 1)).resolves.toBeNull();
+  await expect(saveCachedTables('kociemba', 1, { a: new Uint8Array(1) })).resolves.toBe(false);
+});
+
+test('loads tables stored with the same version', async () => {
+  const fake = installFakeIndexedDB();
+  const tables = { a: new Uint8Array([1, 2, 3]), b: new Int16Array([-4, 5]) };
+  await expect(saveCachedTables('test', 2, tables)).resolves.toBe(true);
+  expect(fake.records.get('test')).toMatchObject({ version: 2, checksum: computeChecksum(tables) });
+  await expect(loadCachedTables('test', 2)).resolves.toEqual(tables);
+});
+
+test('discards tables from another version', async () => {
+  const fake = installFakeIndexedDB();
+  await saveCachedTables('test', 1, { a: new Uint8Array([1]) });
+  await expect(loadCachedTables('test', 2)).resolves.toBeNull();
+  expect(fake.records.has('test')).toBe(false);
+});
+
+test('discards tables whose checksum does not match', async () => {
+  const fake = installFakeIndexedDB();
+  await saveCachedTables('test', 1, { a: new Uint8Array([1, 2]) });
+  fake.records.get('test').tables.a[0] = 9;
+  await expect(loadCachedTables('test', 1)).resolves.toBeNull();
+  expect(fake.records.has('test')).toBe(false);
+});
+
+test('rebuilds and stores Kociemba tables when the cached copy is corrupt', async () => {
+  const fake = installFakeIndexedDB();
+  fake.records.set('kociemba', {
+    version: KOCIEMBA_TABLES_VERSION,
+    checksum: '00000000',
+    tables: { twistMove: new Uint16Array(1) }
+  });
+  const progress = [];
+  const tables = await loadKociembaTables(event => progress.push(event));
+
+  expect(progress).toContainEqual({ type: 'cache', status: 'stored' });
+  const record = fake.records.get('kociemba');
+  expect(record.tables).toBe(tables);
+  expect(record.checksum).toBe(computeChecksum(tables));
+}, 60000);